@@ -0,0 +1,39 @@
+// Stages an application goes through, per item type, in their usual order.
+// Admins can replace these at runtime (see services/applicationService.js).
+//   key         - stored in the application history, lowercase with dashes
+//   label       - Persian and English names
+//   expectedDays - how long the stage usually takes, after which the application counts as stalled
+//   repeatable  - whether the stage can be entered again, e.g. for several interview rounds
+//   final       - whether the application is finished in this stage
+const DEFAULT_APPLICATION_STAGES = {
+  university: [
+    { key: 'applied', label: 'ثبت درخواست', label_en: 'Applied', expectedDays: 14 },
+    { key: 'documents-sent', label: 'ارسال مدارک', label_en: 'Documents sent', expectedDays: 30 },
+    { key: 'exam', label: 'آزمون', label_en: 'Exam', expectedDays: 30 },
+    { key: 'interview', label: 'مصاحبه', label_en: 'Interview', expectedDays: 21, repeatable: true },
+    { key: 'admitted', label: 'پذیرش', label_en: 'Admitted', expectedDays: 30 },
+    { key: 'enrolled', label: 'ثبت‌نام', label_en: 'Enrolled', final: true },
+    { key: 'rejected', label: 'رد شده', label_en: 'Rejected', final: true },
+    { key: 'withdrawn', label: 'انصراف', label_en: 'Withdrawn', final: true }
+  ],
+  job: [
+    { key: 'applied', label: 'ارسال رزومه', label_en: 'Applied', expectedDays: 14 },
+    { key: 'screening', label: 'بررسی اولیه', label_en: 'Screening', expectedDays: 14 },
+    { key: 'interview', label: 'مصاحبه', label_en: 'Interview', expectedDays: 14, repeatable: true },
+    { key: 'offer', label: 'پیشنهاد همکاری', label_en: 'Offer', expectedDays: 7 },
+    { key: 'hired', label: 'استخدام', label_en: 'Hired', final: true },
+    { key: 'rejected', label: 'رد شده', label_en: 'Rejected', final: true },
+    { key: 'withdrawn', label: 'انصراف', label_en: 'Withdrawn', final: true }
+  ]
+};
+
+// Statuses used before stages were configurable, and the stage they now mean
+const LEGACY_STATUSES = {
+  university: { 'in-progress': 'documents-sent', accepted: 'admitted' },
+  job: { 'in-progress': 'screening', accepted: 'offer' }
+};
+
+module.exports = {
+  DEFAULT_APPLICATION_STAGES,
+  LEGACY_STATUSES
+};
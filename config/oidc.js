@@ -0,0 +1,52 @@
+// Issuers and names of well-known providers, so only the client credentials
+// have to be configured for them
+const KNOWN_PROVIDERS = {
+  google: { name: 'Google', issuer: 'https://accounts.google.com' }
+};
+
+/**
+ * Read the OpenID Connect providers from the environment. OIDC_PROVIDERS lists
+ * the provider IDs, each configured with OIDC_<ID>_ISSUER, OIDC_<ID>_CLIENT_ID,
+ * OIDC_<ID>_CLIENT_SECRET and optionally OIDC_<ID>_NAME and OIDC_<ID>_SCOPES.
+ * @returns {Object} - Providers by ID
+ */
+const loadProviders = () => {
+  const ids = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+  
+  return ids.reduce((providers, id) => {
+    const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const known = KNOWN_PROVIDERS[id] || {};
+    const issuer = process.env[`${prefix}ISSUER`] || known.issuer;
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+    
+    if (!issuer || !clientId) {
+      console.warn(`Warning: OIDC provider "${id}" needs ${prefix}ISSUER and ${prefix}CLIENT_ID, it is disabled`);
+      return providers;
+    }
+    
+    providers[id] = {
+      id,
+      name: process.env[`${prefix}NAME`] || known.name || id,
+      issuer,
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      scope: process.env[`${prefix}SCOPES`] || 'openid email profile'
+    };
+    
+    return providers;
+  }, {});
+};
+
+// Frontend and app URLs the providers may send the user back to
+const REDIRECT_URIS = (process.env.OIDC_REDIRECT_URIS || '')
+  .split(',')
+  .map(uri => uri.trim())
+  .filter(Boolean);
+
+module.exports = {
+  providers: loadProviders(),
+  REDIRECT_URIS
+};
@@ -0,0 +1,30 @@
+// User roles
+const ROLES = ['user', 'moderator', 'employer', 'university_rep', 'admin'];
+
+// Permissions that can be granted to roles. Only permissions a route checks
+// are listed; job and university permissions come with the routes that
+// create, edit or moderate them.
+const PERMISSIONS = [
+  'sync:run',
+  'user:view',
+  'user:manage',
+  'apikey:manage',
+  'permission:manage',
+  'application:configure'
+];
+
+// Default role-permission matrix, admins can override it at runtime.
+// The admin role always has every permission so it can never lock itself out.
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['user:view'],
+  employer: [],
+  university_rep: [],
+  admin: PERMISSIONS
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+};
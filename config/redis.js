@@ -0,0 +1,27 @@
+const redis = require('redis');
+const { logger } = require('../utils/logger');
+
+// Shared Redis client for tokens, sessions and login protection
+const redisClient = redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379',
+  legacyMode: false,
+});
+
+redisClient.on('error', (err) => {
+  logger.error('Redis error:', { error: err.message });
+});
+
+redisClient.on('connect', () => {
+  logger.info('Connected to Redis for token management');
+});
+
+// Connect to Redis
+(async () => {
+  try {
+    await redisClient.connect();
+  } catch (err) {
+    logger.error('Failed to connect to Redis:', { error: err.message });
+  }
+})();
+
+module.exports = redisClient;
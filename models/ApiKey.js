@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Scopes that can be granted to an API key
+const API_KEY_SCOPES = ['read:jobs', 'read:universities', 'admin:sync'];
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'نام کلید API اجباری است'],
+    trim: true,
+    maxlength: [100, 'نام کلید API نمی‌تواند بیش از 100 کاراکتر باشد']
+  },
+  // Only a SHA-256 hash of the key is stored, the key itself is shown once
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, to recognise it in lists
+  prefix: {
+    type: String,
+    required: true
+  },
+  owner: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    organisation: {
+      type: String,
+      trim: true
+    }
+  },
+  scopes: {
+    type: [String],
+    enum: API_KEY_SCOPES,
+    required: true
+  },
+  rateLimit: {
+    max: {
+      type: Number,
+      default: 1000
+    },
+    windowMinutes: {
+      type: Number,
+      default: 15
+    }
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiKeySchema.index({ 'owner.user': 1 });
+ApiKeySchema.index({ 'owner.organisation': 1 });
+
+// Middleware to set updatedAt on save
+ApiKeySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {String} key - Plain API key
+ * @returns {String} - SHA-256 hash
+ */
+ApiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Generate a new random key value and store its hash on this document
+ * @returns {String} - Plain API key, to be shown to the admin once
+ */
+ApiKeySchema.methods.generateKey = function() {
+  const key = `ra_${crypto.randomBytes(32).toString('base64url')}`;
+  
+  this.keyHash = this.constructor.hashKey(key);
+  this.prefix = key.substring(0, 10);
+  
+  return key;
+};
+
+/**
+ * Check whether the key can currently be used
+ * @returns {Boolean} - Whether the key is neither revoked nor expired
+ */
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Setting toJSON option to never expose the key hash
+ApiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret._id;
+    delete ret.__v;
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+
+// Audit events are kept for a year by default
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// Security-relevant account events and admin actions
+const AuditEventSchema = new mongoose.Schema({
+  // Event name, e.g. 'login.success' or 'admin.user.disable'
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Account the event is about (may be empty, e.g. a failed login for an unknown username)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Logged-in user who performed the action (the user themselves, or e.g. an admin)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'ApiKey', 'Setting']
+  },
+  targetId: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditEventSchema.index({ user: 1, createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+AuditEventSchema.index({ type: 1, createdAt: -1 });
+AuditEventSchema.index({ ip: 1, createdAt: -1 });
+AuditEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Record an audit event for the current request. Failures are logged and
+ * never fail the request itself.
+ * @param {Object} req - Express request object
+ * @param {String} type - Event name
+ * @param {Object} fields - Event fields
+ * @param {String} fields.user - ID of the account the event is about (default: the logged-in user)
+ * @param {String} fields.targetType - Type of the affected object
+ * @param {String} fields.targetId - ID of the affected object
+ * @param {Object} fields.details - Extra details
+ * @returns {Promise<Object|null>} - Saved event, or null if it could not be saved
+ */
+AuditEventSchema.statics.record = async function(req, type, { user, targetType, targetId, details } = {}) {
+  const actor = req.user && req.user.id;
+  const subject = user || actor;
+  
+  try {
+    return await this.create({
+      type,
+      user: subject,
+      actor,
+      targetType,
+      targetId: targetId ? targetId.toString() : undefined,
+      details,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      requestId: req.id
+    });
+  } catch (error) {
+    logger.error('Failed to record audit event', { type, userId: subject, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Build a query filter from the type and date range of a search
+ * @param {Object} query - Query parameters
+ * @param {String} query.type - Event type, a trailing * matches a prefix (e.g. 'login.*')
+ * @param {String} query.from - Earliest event date
+ * @param {String} query.to - Latest event date
+ * @returns {Object} - MongoDB filter
+ */
+AuditEventSchema.statics.buildFilter = function({ type, from, to } = {}) {
+  const filter = {};
+  
+  if (type && type.endsWith('*')) {
+    const prefix = type.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.type = new RegExp(`^${prefix}`);
+  } else if (type) {
+    filter.type = type;
+  }
+  
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  
+  return filter;
+};
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
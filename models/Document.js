@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Kinds of documents a user can keep with their applications
+const DOCUMENT_TYPES = ['cv', 'transcript', 'language-certificate', 'recommendation-letter', 'other'];
+
+const DocumentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: true
+  },
+  // Name shown to the user, the original file name by default
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'نام سند نمی‌تواند بیش از 200 کاراکتر باشد']
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the contents, to spot the same file uploaded twice
+  sha256: {
+    type: String,
+    required: true
+  },
+  // Where the file is kept by the storage service, never sent to clients
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DocumentSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Total size of the documents of a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Number>} - Bytes used
+ */
+DocumentSchema.statics.usageOf = async function(userId) {
+  const [result] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, size: { $sum: '$size' } } }
+  ]);
+  
+  return result ? result.size : 0;
+};
+
+/**
+ * Get a user-friendly representation of the document
+ * @returns {Object} - Document data for API responses
+ */
+DocumentSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    name: this.name,
+    fileName: this.fileName,
+    mimeType: this.mimeType,
+    size: this.size,
+    createdAt: this.createdAt
+  };
+};
+
+const Document = mongoose.model('Document', DocumentSchema);
+module.exports = Document;
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Priorities a user can give an entry, highest first
+const ENTRY_PRIORITIES = ['high', 'medium', 'low'];
+
+// A saved university program or job in a collection
+const EntrySchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'entries.itemType',
+    required: true
+  },
+  itemType: {
+    type: String,
+    enum: ['University', 'Job'],
+    required: true
+  },
+  // Private note, only shown to the owner
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'یادداشت نمی‌تواند بیش از 1000 کاراکتر باشد']
+  },
+  priority: {
+    type: String,
+    enum: ENTRY_PRIORITIES,
+    default: 'medium'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Named list of favorites. Entries are kept in the order the user chose.
+const FavoriteCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'نام مجموعه اجباری است'],
+    trim: true,
+    maxlength: [100, 'نام مجموعه نمی‌تواند بیش از 100 کاراکتر باشد']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'توضیحات نمی‌تواند بیش از 500 کاراکتر باشد']
+  },
+  // The collection the original favorites endpoints work with
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  entries: [EntrySchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FavoriteCollectionSchema.index({ user: 1, createdAt: 1 });
+
+// One default collection per user
+FavoriteCollectionSchema.index({ user: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Middleware to set updatedAt on save
+FavoriteCollectionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+/**
+ * Find the entry of an item
+ * @param {String} itemId - University or Job ID
+ * @returns {Object|undefined} - Entry subdocument
+ */
+FavoriteCollectionSchema.methods.findEntry = function(itemId) {
+  return this.entries.find(entry => (entry.item._id || entry.item).toString() === itemId.toString());
+};
+
+/**
+ * Get a user-friendly representation of the collection
+ * @returns {Object} - Collection data for API responses
+ */
+FavoriteCollectionSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    isDefault: this.isDefault,
+    entryCount: this.entries.length,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const FavoriteCollection = mongoose.model('FavoriteCollection', FavoriteCollectionSchema);
+module.exports = FavoriteCollection;
+module.exports.ENTRY_PRIORITIES = ENTRY_PRIORITIES;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parseDeadline, formatDate } = require('../utils/jalali');
 
 const JobSchema = new mongoose.Schema({
   externalId: {
@@ -40,6 +41,15 @@ const JobSchema = new mongoose.Schema({
     type: [String],
     required: [true, 'شرایط استخدام اجباری است']
   },
+  // Application deadline as sent by the source, if the job has one
+  deadline: {
+    type: String,
+    trim: true
+  },
+  // End of the deadline day in Iran, parsed from deadline
+  deadlineAt: {
+    type: Date
+  },
   source: {
     type: String,
     required: [true, 'منبع داده‌ها اجباری است'],
@@ -72,6 +82,7 @@ JobSchema.index({ type: 1 });
 JobSchema.index({ location: 1 });
 JobSchema.index({ company: 1 });
 JobSchema.index({ isActive: 1 });
+JobSchema.index({ deadlineAt: 1 });
 JobSchema.index({ createdAt: -1 });
 JobSchema.index({ updatedAt: -1 });
 // Compound index for active jobs sorted by date
@@ -83,6 +94,14 @@ JobSchema.pre('save', function(next) {
   next();
 });
 
+// Keep deadlineAt in step with the deadline text
+JobSchema.pre('save', function(next) {
+  if (this.isModified('deadline')) {
+    this.deadlineAt = parseDeadline(this.deadline) || undefined;
+  }
+  next();
+});
+
 // Virtual ID to match the API format
 JobSchema.virtual('id').get(function() {
   return this.externalId;
@@ -95,6 +114,13 @@ JobSchema.set('toJSON', {
     delete ret._id;
     delete ret.__v;
     delete ret.externalId;
+    
+    if (doc.deadlineAt) {
+      const { jalali, gregorian } = formatDate(doc.deadlineAt);
+      ret.deadlineJalali = jalali;
+      ret.deadlineGregorian = gregorian;
+    }
+    
     return ret;
   }
 });
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Reminders that were sent, so the same reminder is never sent twice
+const ReminderLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: true
+  },
+  // Reminders sent before jobs had reminders are all for programs
+  itemType: {
+    type: String,
+    enum: ['University', 'Job'],
+    default: 'University'
+  },
+  // The lead time the reminder was for, e.g. 7 for "one week before"
+  leadDays: {
+    type: Number,
+    required: true
+  },
+  // The deadline at the time, a changed deadline gets its own reminders
+  deadlineAt: {
+    type: Date,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ReminderLogSchema.index({ user: 1, item: 1, leadDays: 1, deadlineAt: 1 }, { unique: true });
+ReminderLogSchema.index({ user: 1, sentAt: -1 });
+
+// Entries are only needed until the deadline has passed
+ReminderLogSchema.index({ deadlineAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ReminderLog', ReminderLogSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Runtime settings that admins can change through the API without a redeploy
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Get the value of a setting
+ * @param {String} key - Setting key
+ * @param {*} defaultValue - Value returned when the setting does not exist
+ * @returns {Promise<*>} - Setting value
+ */
+SettingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Create or update a setting
+ * @param {String} key - Setting key
+ * @param {*} value - New value
+ * @param {String} userId - ID of the admin making the change
+ * @returns {Promise<Object>} - Updated setting
+ */
+SettingSchema.statics.setValue = async function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId, updatedAt: Date.now() },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Public, read-only link to a favorite collection
+const SharedListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FavoriteCollection',
+    required: true
+  },
+  // Random part of the public URL, the only thing needed to read the list
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Last known state of every item, shown when the item is removed or
+  // deactivated later
+  snapshots: [{
+    _id: false,
+    // Collection entry the snapshot belongs to
+    entry: mongoose.Schema.Types.ObjectId,
+    item: mongoose.Schema.Types.ObjectId,
+    itemType: {
+      type: String,
+      enum: ['University', 'Job']
+    },
+    data: mongoose.Schema.Types.Mixed,
+    capturedAt: Date
+  }],
+  expiresAt: Date,
+  revokedAt: Date,
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SharedListSchema.index({ collectionId: 1, revokedAt: 1 });
+SharedListSchema.index({ user: 1 });
+
+/**
+ * Generate an unguessable slug
+ * @returns {String} - 22 character URL-safe slug
+ */
+SharedListSchema.statics.generateSlug = function() {
+  return crypto.randomBytes(16).toString('base64url');
+};
+
+/**
+ * Query for links that can currently be opened
+ * @returns {Object} - Mongo filter
+ */
+SharedListSchema.statics.activeFilter = function() {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+};
+
+/**
+ * Check whether the link can currently be opened
+ * @returns {Boolean} - Whether the link is neither revoked nor expired
+ */
+SharedListSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * Get the owner's view of the link
+ * @param {String} url - Public URL of the list
+ * @returns {Object} - Link data for API responses
+ */
+SharedListSchema.methods.toSummary = function(url) {
+  return {
+    slug: this.slug,
+    url,
+    active: this.isActive(),
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    viewCount: this.viewCount,
+    lastViewedAt: this.lastViewedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const SharedList = mongoose.model('SharedList', SharedListSchema);
+module.exports = SharedList;
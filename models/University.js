@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { parseDeadline, formatDate } = require('../utils/jalali');
 
 const UniversitySchema = new mongoose.Schema({
   externalId: {
@@ -36,6 +37,11 @@ const UniversitySchema = new mongoose.Schema({
     type: String,
     required: [true, 'مهلت ثبت‌نام اجباری است']
   },
+  // End of the deadline day in Iran, parsed from deadline. Not set when the
+  // deadline cannot be read as a date.
+  deadlineAt: {
+    type: Date
+  },
   requirements: {
     type: [String],
     required: [true, 'شرایط پذیرش اجباری است']
@@ -68,7 +74,7 @@ UniversitySchema.index({
 UniversitySchema.index({ field: 1 });
 UniversitySchema.index({ location: 1 });
 UniversitySchema.index({ university: 1 });
-UniversitySchema.index({ deadline: 1 });
+UniversitySchema.index({ deadlineAt: 1 });
 UniversitySchema.index({ createdAt: -1 });
 UniversitySchema.index({ updatedAt: -1 });
 
@@ -78,6 +84,32 @@ UniversitySchema.pre('save', function(next) {
   next();
 });
 
+// Keep deadlineAt in step with the deadline text
+UniversitySchema.pre('save', function(next) {
+  if (this.isModified('deadline') || this.deadlineAt === undefined) {
+    this.deadlineAt = parseDeadline(this.deadline) || undefined;
+  }
+  next();
+});
+
+/**
+ * Set deadlineAt on programs saved before it existed
+ * @returns {Promise<Number>} - Number of programs updated
+ */
+UniversitySchema.statics.backfillDeadlines = async function() {
+  const programs = await this.find({ deadlineAt: { $exists: false } }).select('deadline');
+  const updates = programs
+    .map(program => ({ _id: program._id, deadlineAt: parseDeadline(program.deadline) }))
+    .filter(({ deadlineAt }) => deadlineAt)
+    .map(({ _id, deadlineAt }) => ({ updateOne: { filter: { _id }, update: { $set: { deadlineAt } } } }));
+  
+  if (updates.length > 0) {
+    await this.bulkWrite(updates);
+  }
+  
+  return updates.length;
+};
+
 // Virtual ID to match the API format
 UniversitySchema.virtual('id').get(function() {
   return this.externalId;
@@ -90,6 +122,14 @@ UniversitySchema.set('toJSON', {
     delete ret._id;
     delete ret.__v;
     delete ret.externalId;
+    
+    // The deadline in both calendars, for clients that show one or the other
+    if (doc.deadlineAt) {
+      const { jalali, gregorian } = formatDate(doc.deadlineAt);
+      ret.deadlineJalali = jalali;
+      ret.deadlineGregorian = gregorian;
+    }
+    
     return ret;
   }
 });
@@ -1,5 +1,16 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const totp = require('../utils/totp');
+const { ROLES } = require('../config/permissions');
+const { PHONE_PATTERN, normalizePhone } = require('../utils/phone');
+
+// Number of logins kept in loginHistory
+const LOGIN_HISTORY_LIMIT = 50;
+
+// Ways deadline reminders can be sent, and the default days before a deadline
+const REMINDER_CHANNELS = ['email', 'sms', 'none'];
+const DEFAULT_REMINDER_DAYS = [14, 7, 1];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -18,11 +29,51 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'ایمیل نامعتبر است']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
+  // Iranian mobile number, stored as 09xxxxxxxxx. Only a verified number can be used to log in.
+  phone: {
+    type: String,
+    trim: true,
+    set: value => normalizePhone(value) || value,
+    match: [PHONE_PATTERN, 'شماره موبایل نامعتبر است']
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false,
+  },
+  phoneVerifiedAt: Date,
+  // bcrypt hash, the rules for the plain password are in utils/passwordPolicy.js
   password: {
     type: String,
     required: true,
-    minlength: 6,
   },
+  // False for accounts created through a login provider, whose password is random
+  // until the user sets one with the password reset flow
+  hasPassword: {
+    type: Boolean,
+    default: true,
+  },
+  // Accounts at OpenID Connect providers (e.g. Google) the user can log in with
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   firstName: {
     type: String,
     trim: true,
@@ -33,9 +84,31 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user',
   },
+  disabled: {
+    type: Boolean,
+    default: false,
+  },
+  disabledAt: Date,
+  disabledReason: String,
+  // Self-service deletion, the account can be restored until scheduledFor
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String],
+    lastUsedStep: Number,
+    enabledAt: Date,
+  },
   favorites: {
     universities: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -46,6 +119,28 @@ const userSchema = new mongoose.Schema({
       ref: 'Job',
     }],
   },
+  // Deadline reminders for favorited and applied programs and jobs
+  reminders: {
+    channel: {
+      type: String,
+      enum: REMINDER_CHANNELS,
+      default: 'email',
+    },
+    leadDays: {
+      type: [Number],
+      default: () => [...DEFAULT_REMINDER_DAYS],
+    },
+    // Programs and jobs the user does not want reminders for
+    mutedItems: [{
+      type: mongoose.Schema.Types.ObjectId,
+    }],
+  },
+  // Calendar (.ics) subscription. Only a hash of the secret feed token is
+  // stored, the token itself is shown once when the feed is created.
+  calendarFeed: {
+    tokenHash: String,
+    createdAt: Date,
+  },
   applications: [{
     item: {
       type: mongoose.Schema.Types.ObjectId,
@@ -56,9 +151,10 @@ const userSchema = new mongoose.Schema({
       enum: ['University', 'Job'],
       required: true,
     },
+    // Current stage, one of the stages configured for the item type
+    // (see config/applicationStages.js)
     status: {
       type: String,
-      enum: ['applied', 'in-progress', 'accepted', 'rejected'],
       default: 'applied',
     },
     notes: String,
@@ -67,6 +163,18 @@ const userSchema = new mongoose.Schema({
       default: Date.now,
     },
     updatedAt: Date,
+    // Uploaded documents sent with the application, a document can be used by several applications
+    documents: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+    }],
+    // Every stage the application went through, oldest first
+    history: [{
+      _id: false,
+      stage: String,
+      at: Date,
+      note: String,
+    }],
   }],
   createdAt: {
     type: Date,
@@ -74,6 +182,18 @@ const userSchema = new mongoose.Schema({
   },
   updatedAt: Date,
   lastLogin: Date,
+  // Most recent logins, newest first (capped, see recordLogin)
+  loginHistory: [{
+    _id: false,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    ip: String,
+    userAgent: String,
+    deviceName: String,
+    mfa: Boolean,
+  }],
 }, {
   timestamps: true,
 });
@@ -96,21 +216,131 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check a TOTP code or a one-time recovery code (caller saves the user)
+userSchema.methods.verifyTwoFactorCode = function(code, recoveryCode) {
+  if (!this.twoFactor || !this.twoFactor.secret) {
+    return false;
+  }
+  
+  if (recoveryCode) {
+    const hash = totp.hashRecoveryCode(recoveryCode);
+    const index = this.twoFactor.recoveryCodes.indexOf(hash);
+    
+    if (index === -1) {
+      return false;
+    }
+    
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+  
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  
+  // Reject codes from a time step that was already used to prevent replay
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+  
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to record a successful login (caller saves the user)
+userSchema.methods.recordLogin = function({ ip, userAgent, deviceName, mfa = false }) {
+  this.lastLogin = Date.now();
+  this.loginHistory.unshift({ at: this.lastLogin, ip, userAgent, deviceName, mfa });
+  this.loginHistory.splice(LOGIN_HISTORY_LIMIT);
+};
+
+// Method to check whether the user could still log in without a given provider identity
+userSchema.methods.hasOtherLoginMethod = function(provider) {
+  return this.hasPassword
+    || this.phoneVerified
+    || this.identities.some(identity => identity.provider !== provider);
+};
+
+// Method to check whether the account is waiting for deletion
+userSchema.methods.isPendingDeletion = function() {
+  return !!(this.deletion && this.deletion.scheduledFor);
+};
+
+// Hash a calendar feed token for storage and lookup
+userSchema.statics.hashCalendarToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Method to create a new calendar feed token, replacing any previous one
+userSchema.methods.generateCalendarToken = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  this.calendarFeed = {
+    tokenHash: this.constructor.hashCalendarToken(token),
+    createdAt: Date.now(),
+  };
+  
+  return token;
+};
+
 // Method to get user profile without sensitive info
 userSchema.methods.getProfile = function() {
   return {
     id: this._id,
     username: this.username,
     email: this.email,
+    emailVerified: this.emailVerified,
+    phone: this.phone,
+    phoneVerified: this.phoneVerified,
     firstName: this.firstName,
     lastName: this.lastName,
     role: this.role,
+    twoFactorEnabled: !!(this.twoFactor && this.twoFactor.enabled),
     favorites: this.favorites,
     applications: this.applications,
     createdAt: this.createdAt,
   };
 };
 
+// Find a free username based on a name, email or provider username
+userSchema.statics.generateUsername = async function(seed) {
+  let base = String(seed || '').toLowerCase().replace(/[^a-z0-9_]/g, '').slice(0, 14);
+  
+  if (base.length < 3) {
+    base = 'user';
+  }
+  
+  for (let i = 0; i < 10; i++) {
+    const candidate = i === 0 ? base : `${base}_${crypto.randomInt(10000, 100000)}`;
+    
+    if (!await this.exists({ username: candidate })) {
+      return candidate;
+    }
+  }
+  
+  return `user_${crypto.randomBytes(6).toString('hex')}`;
+};
+
+// Indexes for the admin user list
+userSchema.index({ role: 1 });
+userSchema.index({ createdAt: -1 });
+userSchema.index({ lastLogin: -1 });
+
+// A number can be added to several accounts, but verified on only one of them
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phoneVerified: true } });
+
+// An identity at a provider belongs to one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Index for the account deletion job
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
+// Index for calendar feed lookups
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
+
 // Create and export the User model
 const User = mongoose.model('User', userSchema);
-module.exports = User; 
\ No newline at end of file
+module.exports = User;
+module.exports.REMINDER_CHANNELS = REMINDER_CHANNELS;
+module.exports.DEFAULT_REMINDER_DAYS = DEFAULT_REMINDER_DAYS;
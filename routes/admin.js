@@ -0,0 +1,1078 @@
+const express = require('express');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const AuditEvent = require('../models/AuditEvent');
+const auth = require('../utils/auth');
+const loginGuard = require('../utils/loginGuard');
+const applicationService = require('../services/applicationService');
+const { apiKeyValidation, adminUserValidation, auditValidation, permissionValidation, applicationValidation } = require('../utils/validator');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+const { asyncHandler } = require('../utils/errorHandler');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// All admin routes require an authenticated user, each route checks its own permission
+router.use(auth.authenticateToken);
+
+/**
+ * Find a user by ID or throw a 404
+ * @param {String} id - User ID
+ * @returns {Promise<Object>} - User document
+ */
+const findUserOrFail = async (id) => {
+  const user = /^[0-9a-fA-F]{24}$/.test(id) ? await User.findById(id) : null;
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  return user;
+};
+
+/**
+ * Summary of a user for admin lists
+ * @param {Object} user - User document
+ * @returns {Object} - User summary
+ */
+const toUserSummary = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  phone: user.phone || null,
+  phoneVerified: user.phoneVerified,
+  firstName: user.firstName || '',
+  lastName: user.lastName || '',
+  role: user.role,
+  disabled: user.disabled,
+  disabledAt: user.disabledAt,
+  twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin
+});
+
+/**
+ * Refuse admin actions that would lock the admin out of their own account
+ * @param {Object} req - Express request object
+ * @param {Object} user - Target user document
+ */
+const assertNotSelf = (req, user) => {
+  if (user._id.toString() === req.user.id.toString()) {
+    throw new ForbiddenError(
+      'این عملیات روی حساب خودتان مجاز نیست',
+      'This action is not allowed on your own account'
+    );
+  }
+};
+
+/**
+ * Refuse changes to a user whose role has permissions the caller lacks, and
+ * role changes to a role with such permissions, so that user:manage given to
+ * another role cannot be used to gain or take away more than it grants. The
+ * refusal is recorded in the audit log.
+ * @param {Object} req - Express request object
+ * @param {Object} user - Target user document
+ * @param {String} action - Attempted action, for the audit log
+ * @param {String} newRole - Role the user would get (optional)
+ */
+const assertCanManageUser = async (req, user, action, newRole) => {
+  const matrix = await auth.getRolePermissions();
+  const own = matrix[req.user.role] || [];
+  const roles = newRole ? [user.role, newRole] : [user.role];
+  const missing = [...new Set(roles.flatMap(role => matrix[role] || []))]
+    .filter(permission => !own.includes(permission));
+  
+  if (missing.length > 0) {
+    await AuditEvent.record(req, 'admin.user.manage.denied', {
+      user: user._id,
+      targetType: 'User',
+      targetId: user._id,
+      details: { action, role: user.role, newRole, missing }
+    });
+    logger.warn('Admin action refused, target has more permissions than the caller', { adminId: req.user.id, userId: user._id, action, missing });
+    
+    throw new ForbiddenError(
+      'شما نمی‌توانید حساب یا نقشی با دسترسی‌های بیشتر از دسترسی‌های خودتان را مدیریت کنید',
+      `You cannot manage an account or grant a role with permissions you do not have (${missing.join(', ')})`
+    );
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/admin/users:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List users
+ *     description: List, search and filter users by role, registration date and last login
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: query
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Search in username, email, first and last name
+ *       - name: role
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: registeredFrom
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: registeredTo
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: lastLoginFrom
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: lastLoginTo
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: disabled
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: List of users
+ *       403:
+ *         description: Missing user:view permission
+ */
+router.get('/users', auth.authorizePermission('user:view'), adminUserValidation.list, asyncHandler(async (req, res) => {
+  const { query, role, registeredFrom, registeredTo, lastLoginFrom, lastLoginTo, disabled } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  
+  // Build filter
+  const filter = {};
+  
+  if (query && query.trim()) {
+    const pattern = new RegExp(query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [
+      { username: pattern },
+      { email: pattern },
+      { firstName: pattern },
+      { lastName: pattern }
+    ];
+  }
+  
+  if (role) filter.role = role;
+  if (disabled !== undefined) filter.disabled = disabled === 'true';
+  
+  if (registeredFrom || registeredTo) {
+    filter.createdAt = {};
+    if (registeredFrom) filter.createdAt.$gte = new Date(registeredFrom);
+    if (registeredTo) filter.createdAt.$lte = new Date(registeredTo);
+  }
+  
+  if (lastLoginFrom || lastLoginTo) {
+    filter.lastLogin = {};
+    if (lastLoginFrom) filter.lastLogin.$gte = new Date(lastLoginFrom);
+    if (lastLoginTo) filter.lastLogin.$lte = new Date(lastLoginTo);
+  }
+  
+  const users = await User.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+  
+  const total = await User.countDocuments(filter);
+  
+  res.json({
+    success: true,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    data: users.map(toUserSummary)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get a user
+ *     description: View a user's profile, favorites, applications, active sessions and login lock state
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User details
+ *       403:
+ *         description: Missing user:view permission
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id', auth.authorizePermission('user:view'), adminUserValidation.byId, asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.id);
+  
+  await user.populate([
+    { path: 'favorites.universities' },
+    { path: 'favorites.jobs' },
+    { path: 'applications.item' }
+  ]);
+  
+  const [sessions, lockState] = await Promise.all([
+    auth.listSessions(user._id),
+    loginGuard.getLockState(user._id)
+  ]);
+  
+  res.json({
+    success: true,
+    user: {
+      ...toUserSummary(user),
+      disabledReason: user.disabledReason,
+      favorites: {
+        universities: user.favorites.universities || [],
+        jobs: user.favorites.jobs || []
+      },
+      applications: user.applications,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        deviceName: session.deviceName,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt
+      })),
+      lock: lockState
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/role:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Change a user's role
+ *     description: The new role applies immediately, access tokens with the old role stop working
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, employer, university_rep, admin]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       403:
+ *         description: Missing user:manage permission, own account, or the user or role has permissions the caller lacks
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/role', auth.authorizePermission('user:manage'), adminUserValidation.changeRole, asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.id);
+  assertNotSelf(req, user);
+  await assertCanManageUser(req, user, 'role.change', req.body.role);
+  
+  const previousRole = user.role;
+  user.role = req.body.role;
+  await user.save();
+  
+  // Access tokens carry the role claim, so they must be reissued
+  await auth.invalidateAccessTokens(user._id);
+  
+  await AuditEvent.record(req, 'admin.user.role.change', { user: user._id, targetType: 'User', targetId: user._id, details: { from: previousRole, to: user.role } });
+  logger.info('Admin changed user role', { adminId: req.user.id, userId: user._id, from: previousRole, to: user.role });
+  
+  res.json({
+    success: true,
+    message: 'نقش کاربر تغییر کرد',
+    message_en: 'User role changed',
+    user: toUserSummary(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/disable:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Disable a user account
+ *     description: The user is logged out everywhere and can no longer login or use access tokens
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account disabled
+ *       403:
+ *         description: Missing user:manage permission, own account, or the user or role has permissions the caller lacks
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/disable', auth.authorizePermission('user:manage'), adminUserValidation.disable, asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.id);
+  assertNotSelf(req, user);
+  await assertCanManageUser(req, user, 'disable');
+  
+  user.disabled = true;
+  user.disabledAt = Date.now();
+  user.disabledReason = req.body.reason;
+  await user.save();
+  
+  await auth.setUserDisabled(user._id, true);
+  
+  await AuditEvent.record(req, 'admin.user.disable', { user: user._id, targetType: 'User', targetId: user._id, details: { reason: req.body.reason } });
+  logger.info('Admin disabled user account', { adminId: req.user.id, userId: user._id });
+  
+  res.json({
+    success: true,
+    message: 'حساب کاربر غیرفعال شد',
+    message_en: 'User account disabled',
+    user: toUserSummary(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/enable:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Re-enable a user account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account enabled
+ *       403:
+ *         description: Missing user:manage permission, or the user has permissions the caller lacks
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/enable', auth.authorizePermission('user:manage'), adminUserValidation.byId, asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.id);
+  await assertCanManageUser(req, user, 'enable');
+  
+  user.disabled = false;
+  user.disabledAt = undefined;
+  user.disabledReason = undefined;
+  await user.save();
+  
+  await auth.setUserDisabled(user._id, false);
+  
+  await AuditEvent.record(req, 'admin.user.enable', { user: user._id, targetType: 'User', targetId: user._id });
+  logger.info('Admin enabled user account', { adminId: req.user.id, userId: user._id });
+  
+  res.json({
+    success: true,
+    message: 'حساب کاربر فعال شد',
+    message_en: 'User account enabled',
+    user: toUserSummary(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/logout:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Force logout a user
+ *     description: End all sessions and access tokens of the user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User logged out everywhere
+ *       403:
+ *         description: Missing user:manage permission, or the user has permissions the caller lacks
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/logout', auth.authorizePermission('user:manage'), adminUserValidation.byId, asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.id);
+  await assertCanManageUser(req, user, 'logout');
+  
+  const revokedSessions = await auth.revokeAllSessions(user._id);
+  await auth.invalidateAccessTokens(user._id);
+  
+  await AuditEvent.record(req, 'admin.user.logout', { user: user._id, targetType: 'User', targetId: user._id, details: { revokedSessions } });
+  logger.info('Admin forced user logout', { adminId: req.user.id, userId: user._id, revokedSessions });
+  
+  res.json({
+    success: true,
+    message: 'کاربر از همه دستگاه‌ها خارج شد',
+    message_en: 'User logged out from all devices',
+    revokedSessions
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-events:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Search the security audit log
+ *     description: Logins, logouts, token refreshes, refresh token reuse, password and email changes and admin actions, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Account the event is about
+ *       - name: actorId
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: User who performed the action (e.g. an admin)
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Event type, a trailing * matches a prefix (e.g. login.* or admin.*)
+ *       - name: ip
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: requestId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: targetType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [User, ApiKey, Setting]
+ *       - name: targetId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: List of audit events
+ *       403:
+ *         description: Missing user:view permission
+ */
+router.get('/audit-events', auth.authorizePermission('user:view'), auditValidation.list, asyncHandler(async (req, res) => {
+  const { userId, actorId, ip, requestId, targetType, targetId } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const skip = (page - 1) * limit;
+  
+  const filter = AuditEvent.buildFilter(req.query);
+  if (userId) filter.user = userId;
+  if (actorId) filter.actor = actorId;
+  if (ip) filter.ip = ip;
+  if (requestId) filter.requestId = requestId;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  
+  const events = await AuditEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('user', 'username email')
+    .populate('actor', 'username email');
+  
+  const total = await AuditEvent.countDocuments(filter);
+  
+  res.json({
+    success: true,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    data: events
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/lock:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get login lock state of a user
+ *     description: Shows whether the account is locked after failed logins and how many failures were counted
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Lock state
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id/lock', auth.authorizePermission('user:view'), asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.id);
+  const lockState = await loginGuard.getLockState(user._id);
+  
+  res.json({
+    success: true,
+    userId: user._id,
+    ...lockState
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/lock:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Unlock a user account
+ *     description: Remove a login lock and reset the failed attempt counter
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing user:manage permission, or the user has permissions the caller lacks
+ *       404:
+ *         description: User not found
+ */
+router.delete('/users/:id/lock', auth.authorizePermission('user:manage'), asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.id);
+  await assertCanManageUser(req, user, 'unlock');
+  await loginGuard.unlockAccount(user._id);
+  
+  await AuditEvent.record(req, 'admin.user.unlock', { user: user._id, targetType: 'User', targetId: user._id });
+  logger.info('Admin unlocked user account', { adminId: req.user.id, userId: user._id });
+  
+  res.json({
+    success: true,
+    message: 'قفل حساب کاربر برداشته شد',
+    message_en: 'User account unlocked'
+  });
+}));
+
+/**
+ * Find an API key by ID or throw a 404
+ * @param {String} id - API key ID
+ * @returns {Promise<Object>} - ApiKey document
+ */
+const findApiKeyOrFail = async (id) => {
+  const apiKey = await ApiKey.findById(id);
+  
+  if (!apiKey) {
+    throw new NotFoundError(
+      'کلید API یافت نشد',
+      'API key not found'
+    );
+  }
+  
+  return apiKey;
+};
+
+/**
+ * @swagger
+ * /api/v1/admin/api-keys:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Create an API key
+ *     description: Create a scoped API key for a user or organisation. The key is returned only once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read:jobs, read:universities, admin:sync]
+ *               ownerUserId:
+ *                 type: string
+ *               organisation:
+ *                 type: string
+ *               expiresInDays:
+ *                 type: integer
+ *               rateLimitMax:
+ *                 type: integer
+ *                 default: 1000
+ *               rateLimitWindowMinutes:
+ *                 type: integer
+ *                 default: 15
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/api-keys', auth.authorizePermission('apikey:manage'), apiKeyValidation.create, asyncHandler(async (req, res) => {
+  const { name, scopes, ownerUserId, organisation, expiresInDays, rateLimitMax, rateLimitWindowMinutes } = req.body;
+  
+  if (ownerUserId && !(await User.exists({ _id: ownerUserId }))) {
+    throw new BadRequestError(
+      'کاربر مالک یافت نشد',
+      'Owner user not found'
+    );
+  }
+  
+  const apiKey = new ApiKey({
+    name,
+    scopes: [...new Set(scopes)],
+    owner: { user: ownerUserId, organisation },
+    rateLimit: {
+      max: rateLimitMax,
+      windowMinutes: rateLimitWindowMinutes
+    },
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+    createdBy: req.user.id
+  });
+  
+  const key = apiKey.generateKey();
+  await apiKey.save();
+  
+  await AuditEvent.record(req, 'admin.apikey.create', { targetType: 'ApiKey', targetId: apiKey._id, details: { name, scopes: apiKey.scopes, ownerUserId, organisation } });
+  logger.info('API key created', { adminId: req.user.id, apiKeyId: apiKey._id, scopes: apiKey.scopes });
+  
+  res.status(201).json({
+    success: true,
+    message: 'کلید API ایجاد شد. آن را در جای امنی نگه دارید، دوباره نمایش داده نمی‌شود',
+    message_en: 'API key created. Store it safely, it will not be shown again',
+    key,
+    data: apiKey
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/api-keys:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: List API keys
+ *     description: List API keys, optionally filtered by owner or status
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: ownerUserId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: organisation
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: active
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *       401:
+ *         description: Unauthorized
+ *       422:
+ *         description: Invalid filter
+ */
+router.get('/api-keys', auth.authorizePermission('apikey:manage'), apiKeyValidation.list, asyncHandler(async (req, res) => {
+  const { ownerUserId, organisation, active } = req.query;
+  const filter = {};
+  
+  if (ownerUserId) filter['owner.user'] = ownerUserId;
+  if (organisation) filter['owner.organisation'] = organisation;
+  
+  if (active === 'true') {
+    filter.revokedAt = null;
+    filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  } else if (active === 'false') {
+    filter.$or = [{ revokedAt: { $ne: null } }, { expiresAt: { $lte: new Date() } }];
+  }
+  
+  const apiKeys = await ApiKey.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('owner.user', 'username email');
+  
+  res.json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys.map(apiKey => ({ ...apiKey.toJSON(), active: apiKey.isActive() }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/api-keys/{id}/rotate:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Rotate an API key
+ *     description: Replace the key value while keeping its owner, scopes and quota. The old value stops working immediately.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New key value
+ *       400:
+ *         description: API key is revoked
+ *       404:
+ *         description: API key not found
+ */
+router.post('/api-keys/:id/rotate', auth.authorizePermission('apikey:manage'), apiKeyValidation.byId, asyncHandler(async (req, res) => {
+  const apiKey = await findApiKeyOrFail(req.params.id);
+  
+  if (apiKey.revokedAt) {
+    throw new BadRequestError(
+      'کلید API باطل شده و قابل تعویض نیست',
+      'API key is revoked and cannot be rotated'
+    );
+  }
+  
+  const key = apiKey.generateKey();
+  await apiKey.save();
+  
+  await AuditEvent.record(req, 'admin.apikey.rotate', { targetType: 'ApiKey', targetId: apiKey._id });
+  logger.info('API key rotated', { adminId: req.user.id, apiKeyId: apiKey._id });
+  
+  res.json({
+    success: true,
+    message: 'کلید API تعویض شد. مقدار قبلی دیگر کار نمی‌کند',
+    message_en: 'API key rotated. The previous value no longer works',
+    key,
+    data: apiKey
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/api-keys/{id}:
+ *   delete:
+ *     tags:
+ *       - Admin
+ *     summary: Revoke an API key
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/api-keys/:id', auth.authorizePermission('apikey:manage'), apiKeyValidation.byId, asyncHandler(async (req, res) => {
+  const apiKey = await findApiKeyOrFail(req.params.id);
+  
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = Date.now();
+    await apiKey.save();
+  }
+  
+  await AuditEvent.record(req, 'admin.apikey.revoke', { targetType: 'ApiKey', targetId: apiKey._id });
+  logger.info('API key revoked', { adminId: req.user.id, apiKeyId: apiKey._id });
+  
+  res.json({
+    success: true,
+    message: 'کلید API باطل شد',
+    message_en: 'API key revoked'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/permissions:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get the role-permission matrix
+ *     description: List all roles, all permissions and the permissions of each role
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role-permission matrix
+ *       403:
+ *         description: Missing permission:manage permission
+ */
+router.get('/permissions', auth.authorizePermission('permission:manage'), asyncHandler(async (req, res) => {
+  const matrix = await auth.getRolePermissions();
+  
+  res.json({
+    success: true,
+    roles: ROLES,
+    permissions: PERMISSIONS,
+    matrix
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/permissions/{role}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Change the permissions of a role
+ *     description: Replace the permissions of a role without a redeploy. The admin role always has every permission.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: role
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, employer, university_rep]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Updated role-permission matrix
+ *       403:
+ *         description: Missing permission:manage permission
+ *       422:
+ *         description: Invalid role or permission
+ */
+router.put('/permissions/:role', auth.authorizePermission('permission:manage'), permissionValidation.updateRole, asyncHandler(async (req, res) => {
+  const matrix = await auth.setRolePermissions(req.params.role, req.body.permissions, req.user.id);
+  
+  await AuditEvent.record(req, 'admin.permission.update', { targetType: 'Setting', targetId: 'rolePermissions', details: { role: req.params.role, permissions: matrix[req.params.role] } });
+  logger.info('Role permissions updated', { adminId: req.user.id, role: req.params.role, permissions: matrix[req.params.role] });
+  
+  res.json({
+    success: true,
+    message: 'مجوزهای نقش به‌روز شد',
+    message_en: 'Role permissions updated',
+    matrix
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/application-stages:
+ *   get:
+ *     tags:
+ *       - Admin
+ *     summary: Get the application stages
+ *     description: The stages applications go through, per item type
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stages by item type
+ *       403:
+ *         description: Missing application:configure permission
+ */
+router.get('/application-stages', auth.authorizePermission('application:configure'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    stages: await applicationService.getStages()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/admin/application-stages/{type}:
+ *   put:
+ *     tags:
+ *       - Admin
+ *     summary: Change the stages of an item type
+ *     description: Replace the stages of university or job applications without a redeploy. Applications in a removed stage keep it until they are moved.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [university, job]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stages
+ *             properties:
+ *               stages:
+ *                 type: array
+ *                 description: Stages in their usual order. The first one is where new applications start.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - key
+ *                     - label
+ *                     - label_en
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: documents-sent
+ *                     label:
+ *                       type: string
+ *                     label_en:
+ *                       type: string
+ *                     expectedDays:
+ *                       type: integer
+ *                       description: Days after which an application in this stage counts as stalled
+ *                     repeatable:
+ *                       type: boolean
+ *                     final:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated stages
+ *       403:
+ *         description: Missing application:configure permission
+ *       422:
+ *         description: Invalid stages
+ */
+router.put('/application-stages/:type', auth.authorizePermission('application:configure'), applicationValidation.updateStages, asyncHandler(async (req, res) => {
+  const stages = await applicationService.setStages(req.params.type, req.body.stages, req.user.id);
+  
+  await AuditEvent.record(req, 'admin.application.stages.update', { targetType: 'Setting', targetId: 'applicationStages', details: { type: req.params.type, stages: stages[req.params.type].map(stage => stage.key) } });
+  logger.info('Application stages updated', { adminId: req.user.id, type: req.params.type });
+  
+  res.json({
+    success: true,
+    message: 'مراحل درخواست به‌روز شد',
+    message_en: 'Application stages updated',
+    stages
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,641 @@
+const express = require('express');
+const User = require('../models/User');
+const University = require('../models/University');
+const Job = require('../models/Job');
+const Document = require('../models/Document');
+const applicationService = require('../services/applicationService');
+const { authenticateToken, requireVerifiedEmail } = require('../utils/auth');
+const { applicationValidation } = require('../utils/validator');
+const { asyncHandler } = require('../utils/errorHandler');
+const { BadRequestError, NotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// Item types as used in the API, and the models they refer to
+const ITEM_MODELS = {
+  university: University,
+  job: Job
+};
+
+// Applications are only available to signed-in users with a verified email
+router.use(authenticateToken, requireVerifiedEmail);
+
+/**
+ * Shape an application for API responses
+ * @param {Object} application - Application subdocument, with the item populated
+ * @returns {Object} - Application
+ */
+const toApplication = (application) => ({
+  id: application._id,
+  type: applicationService.typeOf(application),
+  // The item may have been removed since the user applied
+  item: application.item && application.item._id ? application.item : null,
+  status: applicationService.currentStageOf(application),
+  notes: application.notes || '',
+  // Populated documents are summarised, otherwise only their IDs are known
+  documents: (application.documents || [])
+    .filter(Boolean)
+    .map(document => (document.toSummary ? document.toSummary() : document)),
+  appliedAt: application.appliedAt,
+  updatedAt: application.updatedAt || application.appliedAt
+});
+
+/**
+ * Count applications per stage and per type
+ * @param {Object[]} applications - Application subdocuments
+ * @returns {Promise<Object>} - { total, byStatus, byType }
+ */
+const summarize = async (applications) => {
+  const stages = await applicationService.getStages();
+  const byStatus = {};
+  const byType = Object.fromEntries(Object.keys(ITEM_MODELS).map(type => [type, 0]));
+  
+  Object.values(stages).flat().forEach(stage => {
+    byStatus[stage.key] = 0;
+  });
+  
+  for (const application of applications) {
+    const stage = applicationService.currentStageOf(application);
+    byStatus[stage] = (byStatus[stage] || 0) + 1;
+    byType[applicationService.typeOf(application)] += 1;
+  }
+  
+  return { total: applications.length, byStatus, byType };
+};
+
+/**
+ * Load the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Boolean} populate - Whether to populate the application items and documents
+ * @returns {Promise<Object>} - User document
+ */
+const findUser = async (req, populate = false) => {
+  const query = User.findById(req.user.id);
+  const user = await (populate ? query.populate(['applications.item', 'applications.documents']) : query);
+  
+  if (!user) {
+    throw new NotFoundError('کاربر یافت نشد', 'User not found');
+  }
+  
+  return user;
+};
+
+/**
+ * Find one of the user's applications
+ * @param {Object} user - User document
+ * @param {String} id - Application ID
+ * @returns {Object} - Application subdocument
+ */
+const findApplication = (user, id) => {
+  const application = user.applications.id(id);
+  
+  if (!application) {
+    throw new NotFoundError(
+      'درخواست مورد نظر یافت نشد',
+      'Application not found'
+    );
+  }
+  
+  return application;
+};
+
+/**
+ * @swagger
+ * /api/v1/applications:
+ *   get:
+ *     tags:
+ *       - Applications
+ *     summary: List applications
+ *     description: The programs and jobs the user applied to, newest first, with the University or Job item and counts per status
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Stage, or several separated by commas (see /api/v1/applications/stages)
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [university, job]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Applications, pagination and summary of all applications
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
+ */
+router.get('/', applicationValidation.list, asyncHandler(async (req, res) => {
+  const { status, type } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  
+  const user = await findUser(req, true);
+  const statuses = status ? status.split(',').map(value => value.trim()) : null;
+  
+  const applications = user.applications
+    .filter(application => !statuses || statuses.includes(applicationService.currentStageOf(application)))
+    .filter(application => !type || applicationService.typeOf(application) === type)
+    .sort((a, b) => b.appliedAt - a.appliedAt);
+  
+  res.json({
+    success: true,
+    applications: applications.slice((page - 1) * limit, page * limit).map(toApplication),
+    pagination: {
+      page,
+      limit,
+      total: applications.length,
+      totalPages: Math.ceil(applications.length / limit)
+    },
+    summary: await summarize(user.applications)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/stages:
+ *   get:
+ *     tags:
+ *       - Applications
+ *     summary: List application stages
+ *     description: The stages an application can go through, per item type, in their usual order
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stages by item type (key, label, label_en, expectedDays, repeatable, final)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/stages', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    stages: await applicationService.getStages()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/summary:
+ *   get:
+ *     tags:
+ *       - Applications
+ *     summary: Application counts
+ *     description: Number of applications per stage and per type
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Summary
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/summary', asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+  
+  res.json({
+    success: true,
+    summary: await summarize(user.applications)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/{id}:
+ *   get:
+ *     tags:
+ *       - Applications
+ *     summary: Get an application
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application with its item
+ *       404:
+ *         description: Application not found
+ */
+router.get('/:id', applicationValidation.get, asyncHandler(async (req, res) => {
+  const user = await findUser(req, true);
+  
+  res.json({
+    success: true,
+    application: toApplication(findApplication(user, req.params.id))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications:
+ *   post:
+ *     tags:
+ *       - Applications
+ *     summary: Track an application
+ *     description: Record that the user applied to a university program or a job
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - type
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: ID of the university program or job
+ *               type:
+ *                 type: string
+ *                 enum: [university, job]
+ *               status:
+ *                 type: string
+ *                 description: Stage the application starts in (default the first stage of the item type)
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Application created
+ *       400:
+ *         description: Already tracking an application for this item
+ *       404:
+ *         description: Item not found
+ */
+router.post('/', applicationValidation.create, asyncHandler(async (req, res) => {
+  const { id, type, status, notes } = req.body;
+  
+  const item = await ITEM_MODELS[type].findById(id);
+  
+  if (!item) {
+    throw new NotFoundError(
+      'مورد مورد نظر یافت نشد',
+      'Item not found'
+    );
+  }
+  
+  const user = await findUser(req);
+  
+  if (user.applications.some(application => application.item && application.item.toString() === id)) {
+    throw new BadRequestError(
+      'درخواست این مورد قبلاً ثبت شده است',
+      'You are already tracking an application for this item'
+    );
+  }
+  
+  user.applications.push({
+    item: item._id,
+    itemType: ITEM_MODELS[type].modelName,
+    notes
+  });
+  
+  const application = user.applications[user.applications.length - 1];
+  applicationService.startHistory(application, await applicationService.getStagesFor(type), status);
+  
+  await user.save();
+  
+  application.item = item;
+  
+  res.status(201).json({
+    success: true,
+    message: 'درخواست با موفقیت ثبت شد',
+    message_en: 'Application added successfully',
+    application: toApplication(application)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/{id}:
+ *   put:
+ *     tags:
+ *       - Applications
+ *     summary: Update an application
+ *     description: Change the notes of an application, or move it to another stage (recorded like a transition without a note)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: New stage
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Application updated
+ *       400:
+ *         description: Invalid stage or already in that stage
+ *       404:
+ *         description: Application not found
+ */
+router.put('/:id', applicationValidation.update, asyncHandler(async (req, res) => {
+  const { status, notes } = req.body;
+  
+  const user = await findUser(req);
+  const application = findApplication(user, req.params.id);
+  
+  if (status !== undefined && status !== applicationService.currentStageOf(application)) {
+    const stages = await applicationService.getStagesFor(applicationService.typeOf(application));
+    applicationService.recordTransition(application, stages, { stage: status });
+  }
+  
+  if (notes !== undefined) application.notes = notes;
+  application.updatedAt = Date.now();
+  
+  await user.save();
+  await user.populate(['applications.item', 'applications.documents']);
+  
+  res.json({
+    success: true,
+    message: 'درخواست با موفقیت به‌روز شد',
+    message_en: 'Application updated successfully',
+    application: toApplication(findApplication(user, req.params.id))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/{id}/transitions:
+ *   post:
+ *     tags:
+ *       - Applications
+ *     summary: Move an application to another stage
+ *     description: Record a stage change with an optional note. A repeatable stage, such as an interview, can be entered again for another round.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stage
+ *             properties:
+ *               stage:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When it happened, for changes recorded afterwards (default now)
+ *     responses:
+ *       201:
+ *         description: Transition recorded
+ *       400:
+ *         description: Invalid stage, already in that stage, or time before the previous transition
+ *       404:
+ *         description: Application not found
+ */
+router.post('/:id/transitions', applicationValidation.transition, asyncHandler(async (req, res) => {
+  const { stage, note, at } = req.body;
+  
+  const user = await findUser(req);
+  const application = findApplication(user, req.params.id);
+  const stages = await applicationService.getStagesFor(applicationService.typeOf(application));
+  
+  const transition = applicationService.recordTransition(application, stages, { stage, note, at });
+  
+  await user.save();
+  await user.populate(['applications.item', 'applications.documents']);
+  
+  res.status(201).json({
+    success: true,
+    message: 'مرحله درخواست به‌روز شد',
+    message_en: 'Application stage updated',
+    transition,
+    application: toApplication(findApplication(user, req.params.id))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/{id}/documents:
+ *   post:
+ *     tags:
+ *       - Applications
+ *     summary: Attach a document to an application
+ *     description: Attach one of the user's uploaded documents. The same document can be attached to several applications.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentId
+ *             properties:
+ *               documentId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Document attached
+ *       400:
+ *         description: Document already attached
+ *       404:
+ *         description: Application or document not found
+ */
+router.post('/:id/documents', applicationValidation.attachDocument, asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+  const application = findApplication(user, req.params.id);
+  const document = await Document.findOne({ _id: req.body.documentId, user: user._id });
+  
+  if (!document) {
+    throw new NotFoundError(
+      'سند یافت نشد',
+      'Document not found'
+    );
+  }
+  
+  if (application.documents.some(documentId => documentId.equals(document._id))) {
+    throw new BadRequestError(
+      'این سند قبلاً به درخواست پیوست شده است',
+      'This document is already attached to the application'
+    );
+  }
+  
+  application.documents.push(document._id);
+  application.updatedAt = Date.now();
+  
+  await user.save();
+  await user.populate(['applications.item', 'applications.documents']);
+  
+  res.json({
+    success: true,
+    message: 'سند به درخواست پیوست شد',
+    message_en: 'Document attached to the application',
+    application: toApplication(findApplication(user, req.params.id))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/{id}/documents/{documentId}:
+ *   delete:
+ *     tags:
+ *       - Applications
+ *     summary: Detach a document from an application
+ *     description: The document itself is kept, delete it through /api/v1/documents/{id}
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document detached
+ *       404:
+ *         description: Application not found or document not attached
+ */
+router.delete('/:id/documents/:documentId', applicationValidation.detachDocument, asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+  const application = findApplication(user, req.params.id);
+  const index = application.documents.findIndex(documentId => documentId.toString() === req.params.documentId);
+  
+  if (index === -1) {
+    throw new NotFoundError(
+      'این سند به درخواست پیوست نشده است',
+      'This document is not attached to the application'
+    );
+  }
+  
+  application.documents.splice(index, 1);
+  application.updatedAt = Date.now();
+  
+  await user.save();
+  await user.populate(['applications.item', 'applications.documents']);
+  
+  res.json({
+    success: true,
+    message: 'سند از درخواست جدا شد',
+    message_en: 'Document detached from the application',
+    application: toApplication(findApplication(user, req.params.id))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/{id}/timeline:
+ *   get:
+ *     tags:
+ *       - Applications
+ *     summary: Application timeline
+ *     description: Every stage the application went through with how long it took, the time spent per configured stage, and whether the current stage takes longer than expected
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Timeline (currentStage, final, totalDays, stalled, events, byStage)
+ *       404:
+ *         description: Application not found
+ */
+router.get('/:id/timeline', applicationValidation.get, asyncHandler(async (req, res) => {
+  const user = await findUser(req, true);
+  const application = findApplication(user, req.params.id);
+  const stages = await applicationService.getStagesFor(applicationService.typeOf(application));
+  
+  res.json({
+    success: true,
+    application: toApplication(application),
+    timeline: applicationService.buildTimeline(application, stages)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/applications/{id}:
+ *   delete:
+ *     tags:
+ *       - Applications
+ *     summary: Delete an application
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application deleted
+ *       404:
+ *         description: Application not found
+ */
+router.delete('/:id', applicationValidation.get, asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+  
+  findApplication(user, req.params.id).deleteOne();
+  await user.save();
+  
+  res.json({
+    success: true,
+    message: 'درخواست با موفقیت حذف شد',
+    message_en: 'Application deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -1,13 +1,213 @@
+const crypto = require('crypto');
 const express = require('express');
 const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
 const auth = require('../utils/auth');
-const { authValidation } = require('../utils/validator');
+const { authValidation, auditValidation } = require('../utils/validator');
+const totp = require('../utils/totp');
+const loginGuard = require('../utils/loginGuard');
+const { assertPasswordAllowed } = require('../utils/passwordPolicy');
+const authCookies = require('../utils/authCookies');
+const otp = require('../utils/otp');
+const { maskPhone } = require('../utils/phone');
 const { asyncHandler } = require('../utils/errorHandler');
-const { BadRequestError, NotFoundError, UnauthorizedError } = require('../utils/errorHandler');
+const { BadRequestError, ForbiddenError, NotFoundError, UnauthorizedError } = require('../utils/errorHandler');
 const { logger } = require('../utils/logger');
+const mailService = require('../services/mailService');
+const accountService = require('../services/accountService');
+const smsService = require('../services/smsService');
+const oidcService = require('../services/oidcService');
 
 const router = express.Router();
 
+/**
+ * Send a verification link to the user's email address. Mail failures are
+ * logged and do not fail the request, the user can ask for a new link.
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await auth.generateEmailVerificationToken(user);
+    await mailService.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error('Failed to send verification email', { userId: user._id, error: error.message });
+  }
+};
+
+/**
+ * Reject users whose account was disabled by an admin or is waiting for deletion
+ * @param {Object} user - User document
+ */
+const assertAccountEnabled = (user) => {
+  if (user.disabled) {
+    throw new ForbiddenError(
+      'حساب کاربری شما غیرفعال شده است. با پشتیبانی تماس بگیرید',
+      'Your account has been disabled. Please contact support'
+    );
+  }
+  
+  if (user.isPendingDeletion()) {
+    throw new ForbiddenError(
+      'حساب کاربری شما در انتظار حذف است. برای بازگردانی آن از /api/v1/auth/account/restore استفاده کنید. اگر رمز عبور ندارید، ابتدا با /api/v1/auth/forgot-password یک رمز تعیین کنید',
+      'Your account is scheduled for deletion. Use /api/v1/auth/account/restore to restore it. If you have no password, set one first with /api/v1/auth/forgot-password'
+    );
+  }
+};
+
+/**
+ * Finish a successful login: record it, open a session and return the tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user document
+ * @param {Object} options - Options
+ * @param {Boolean} options.mfa - Whether a second factor was verified
+ */
+const completeLogin = async (req, res, user, { mfa = false } = {}) => {
+  assertAccountEnabled(user);
+  
+  const meta = auth.getSessionMeta(req);
+  
+  // Update last login and login history
+  user.recordLogin({ ...meta, mfa });
+  await user.save();
+  
+  logger.info('User logged in', { userId: user._id, username: user.username, mfa });
+  
+  // Open a session for this device and generate tokens
+  const { accessToken, refreshToken, sessionId } = await auth.issueTokens(user, { ...meta, mfa });
+  
+  await AuditEvent.record(req, 'login.success', { user: user._id, details: { mfa, sessionId } });
+  
+  // Tell users whose role requires 2FA that they still have to enable it
+  const twoFactorRoles = await auth.getTwoFactorRequiredRoles();
+  
+  // Return user and tokens
+  res.json({
+    success: true,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      firstName: user.firstName || '',
+      lastName: user.lastName || '',
+      role: user.role,
+      twoFactorEnabled: user.twoFactor.enabled,
+    },
+    twoFactorSetupRequired: twoFactorRoles.includes(user.role) && !user.twoFactor.enabled,
+    ...authCookies.deliverTokens(req, res, { accessToken, refreshToken })
+  });
+};
+
+/**
+ * Continue a login after the password or SMS code was accepted: ask for the
+ * second factor if the user has 2FA, otherwise finish the login
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document
+ */
+const continueLogin = async (req, res, user) => {
+  if (user.disabled || user.isPendingDeletion()) {
+    await AuditEvent.record(req, 'login.failure', {
+      user: user._id,
+      details: { reason: user.disabled ? 'account_disabled' : 'pending_deletion' }
+    });
+  }
+  
+  assertAccountEnabled(user);
+  
+  // With two-factor authentication, no tokens are issued until the code is verified
+  if (user.twoFactor.enabled) {
+    logger.info('User passed first factor, awaiting second factor', { userId: user._id });
+    
+    return res.json({
+      success: true,
+      mfaRequired: true,
+      mfaToken: auth.generateMfaPendingToken(user),
+      message: 'کد ورود دو مرحله‌ای را وارد کنید',
+      message_en: 'Enter your two-factor authentication code'
+    });
+  }
+  
+  await completeLogin(req, res, user);
+};
+
+/**
+ * Create a one-time code and send it by SMS
+ * @param {String} purpose - What the code is for ('login' or 'verify')
+ * @param {String} phone - Normalised phone number
+ */
+const sendPhoneCode = async (purpose, phone) => {
+  const code = await otp.createCode(purpose, phone);
+  await smsService.sendOtp(phone, code, otp.CODE_TTL);
+};
+
+/**
+ * Find the user of an identity at a login provider. An unknown identity is
+ * linked to the account with the same verified email, or gets a new account.
+ * @param {Object} req - Express request object
+ * @param {Object} identity - Verified claims from oidcService.completeAuthorization
+ * @returns {Promise<Object>} - User document
+ */
+const findOrCreateOidcUser = async (req, identity) => {
+  const { provider, subject, email, emailVerified } = identity;
+  
+  const linkedUser = await User.findOne({ identities: { $elemMatch: { provider, subject } } });
+  
+  if (linkedUser) {
+    return linkedUser;
+  }
+  
+  // Matching by email is only safe when the provider vouches for the address
+  if (!email || !emailVerified) {
+    throw new BadRequestError(
+      'ارائه‌دهنده ورود ایمیل تایید شده‌ای ارسال نکرد',
+      'The login provider did not share a verified email address'
+    );
+  }
+  
+  const existingUser = await User.findOne({ email });
+  
+  if (existingUser) {
+    // Whoever registered an unverified address may not own it, so the owner
+    // has to log in first and link the provider from their profile
+    if (!existingUser.emailVerified) {
+      throw new BadRequestError(
+        'حسابی با این ایمیل وجود دارد. ابتدا وارد شوید و از پروفایل، این روش ورود را متصل کنید',
+        'An account with this email already exists. Log in and link this provider from your profile'
+      );
+    }
+    
+    existingUser.identities.push({ provider, subject, email });
+    await existingUser.save();
+    
+    logger.info('Login provider linked by email', { userId: existingUser._id, provider });
+    await AuditEvent.record(req, 'identity.link', { user: existingUser._id, details: { provider, via: 'email' } });
+    
+    return existingUser;
+  }
+  
+  const user = new User({
+    username: await User.generateUsername(identity.preferredUsername || email.split('@')[0]),
+    email,
+    emailVerified: true,
+    emailVerifiedAt: Date.now(),
+    // Random password, the user can set a real one with the password reset flow
+    password: crypto.randomBytes(32).toString('hex'),
+    hasPassword: false,
+    firstName: identity.givenName,
+    lastName: identity.familyName,
+    identities: [{ provider, subject, email }]
+  });
+  
+  await user.save();
+  
+  logger.info('New user registered through login provider', { username: user.username, provider });
+  await AuditEvent.record(req, 'account.create', { user: user._id, details: { provider } });
+  
+  return user;
+};
+
 /**
  * @swagger
  * /api/v1/auth/register:
@@ -15,7 +215,7 @@ const router = express.Router();
  *     tags:
  *       - Authentication
  *     summary: Register a new user
- *     description: Creates a new user account
+ *     description: Creates a new user account and emails a verification link
  *     requestBody:
  *       required: true
  *       content:
@@ -37,13 +237,17 @@ const router = express.Router();
  *                 format: email
  *               password:
  *                 type: string
- *                 minLength: 6
+ *                 minLength: 8
+ *                 description: Must meet the password policy (length, character classes, no username or email, not a common password)
  *               confirmPassword:
  *                 type: string
  *               firstName:
  *                 type: string
  *               lastName:
  *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -79,10 +283,12 @@ router.post('/register', authValidation.register, asyncHandler(async (req, res)
   await user.save();
   
   logger.info('New user registered', { username, email });
+  await AuditEvent.record(req, 'account.create', { user: user._id });
   
-  // Generate tokens
-  const accessToken = auth.generateAccessToken(user);
-  const refreshToken = await auth.generateRefreshToken(user);
+  await sendVerificationEmail(user);
+  
+  // Open a session for this device and generate tokens
+  const { accessToken, refreshToken } = await auth.issueTokens(user, auth.getSessionMeta(req));
   
   // Return user and tokens
   res.status(201).json({
@@ -91,12 +297,12 @@ router.post('/register', authValidation.register, asyncHandler(async (req, res)
       id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       firstName: user.firstName || '',
       lastName: user.lastName || '',
       role: user.role,
     },
-    accessToken,
-    refreshToken
+    ...authCookies.deliverTokens(req, res, { accessToken, refreshToken })
   });
 }));
 
@@ -107,7 +313,20 @@ router.post('/register', authValidation.register, asyncHandler(async (req, res)
  *     tags:
  *       - Authentication
  *     summary: Login to user account
- *     description: Authenticate a user and return access and refresh tokens
+ *     description: |
+ *       Authenticate a user and return access and refresh tokens.
+ *       If two-factor authentication is enabled, returns `mfaRequired` and a short-lived `mfaToken`
+ *       instead, which must be exchanged at /api/v1/auth/2fa/verify.
+ *       With the `X-Auth-Mode: cookie` header the tokens are set as HttpOnly cookies instead and
+ *       the response contains a `csrfToken`, to be sent in the `X-CSRF-Token` header of
+ *       state-changing requests.
+ *     parameters:
+ *       - name: X-Auth-Mode
+ *         in: header
+ *         schema:
+ *           type: string
+ *           enum: [cookie]
+ *         description: Set to `cookie` for browser clients
  *     requestBody:
  *       required: true
  *       content:
@@ -123,11 +342,18 @@ router.post('/register', authValidation.register, asyncHandler(async (req, res)
  *                 description: Username or email
  *               password:
  *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
  *     responses:
  *       200:
  *         description: Login successful
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account disabled
+ *       429:
+ *         description: Too many failed attempts, try again later or the account is temporarily locked
  */
 router.post('/login', authValidation.login, asyncHandler(async (req, res) => {
   const { username, password } = req.body;
@@ -140,57 +366,48 @@ router.post('/login', authValidation.login, asyncHandler(async (req, res) => {
     ]
   });
   
-  if (!user) {
-    throw new UnauthorizedError(
-      'نام کاربری یا رمز عبور نادرست است',
-      'Invalid username or password'
-    );
-  }
+  // Refuse attempts for locked accounts and IPs before checking the password
+  const attempt = { ip: req.ip, account: loginGuard.accountKey(user, username) };
+  await loginGuard.assertLoginAllowed(attempt);
   
   // Check password
-  const isPasswordValid = await user.comparePassword(password);
+  const isPasswordValid = user ? await user.comparePassword(password) : false;
   
   if (!isPasswordValid) {
+    const { accountLocked, lockedUntil } = await loginGuard.recordLoginFailure(attempt);
+    
+    await AuditEvent.record(req, 'login.failure', {
+      user: user ? user._id : undefined,
+      details: { identifier: username, reason: 'invalid_credentials', accountLocked }
+    });
+    
+    if (accountLocked && user) {
+      mailService.sendAccountLockedEmail(user, { ip: req.ip, lockedUntil })
+        .catch(error => logger.error('Failed to send account locked email', { userId: user._id, error: error.message }));
+    }
+    
     throw new UnauthorizedError(
       'نام کاربری یا رمز عبور نادرست است',
       'Invalid username or password'
     );
   }
   
-  // Update last login
-  user.lastLogin = Date.now();
-  await user.save();
-  
-  logger.info('User logged in', { userId: user._id, username: user.username });
+  await loginGuard.recordLoginSuccess(attempt.account);
   
-  // Generate tokens
-  const accessToken = auth.generateAccessToken(user);
-  const refreshToken = await auth.generateRefreshToken(user);
-  
-  // Return user and tokens
-  res.json({
-    success: true,
-    user: {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      firstName: user.firstName || '',
-      lastName: user.lastName || '',
-      role: user.role,
-    },
-    accessToken,
-    refreshToken
-  });
+  await continueLogin(req, res, user);
 }));
 
 /**
  * @swagger
- * /api/v1/auth/refresh-token:
+ * /api/v1/auth/otp/request:
  *   post:
  *     tags:
  *       - Authentication
- *     summary: Refresh access token
- *     description: Use refresh token to get a new access token
+ *     summary: Request a login code by SMS
+ *     description: |
+ *       Send a one-time login code to a verified mobile number. The response is the same
+ *       whether or not the number belongs to an account. Codes expire after a few minutes,
+ *       and a new code can be requested only after a short cooldown.
  *     requestBody:
  *       required: true
  *       content:
@@ -198,60 +415,66 @@ router.post('/login', authValidation.login, asyncHandler(async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - phone
  *             properties:
- *               refreshToken:
+ *               phone:
  *                 type: string
+ *                 description: Iranian mobile number, e.g. 09121234567, +989121234567 or ۰۹۱۲۱۲۳۴۵۶۷
  *     responses:
  *       200:
- *         description: New access token generated
- *       401:
- *         description: Invalid refresh token
+ *         description: Code sent if the number belongs to an account
+ *       400:
+ *         description: Invalid mobile number
+ *       429:
+ *         description: Too many codes requested, try again later
  */
-router.post('/refresh-token', asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
-  
-  if (!refreshToken) {
-    throw new BadRequestError(
-      'توکن بازیابی الزامی است',
-      'Refresh token is required'
-    );
-  }
+router.post('/otp/request', authValidation.otpRequest, asyncHandler(async (req, res) => {
+  const { phone } = req.body;
   
-  // Verify refresh token
-  const decoded = await auth.verifyRefreshToken(refreshToken);
+  // Counted before the lookup, so unknown numbers are limited the same way
+  await otp.assertRequestAllowed({ phone, ip: req.ip });
   
-  // Find user
-  const user = await User.findById(decoded.id);
+  const user = await User.findOne({ phone, phoneVerified: true });
   
-  if (!user) {
-    throw new NotFoundError(
-      'کاربر یافت نشد',
-      'User not found'
-    );
+  if (user && !user.disabled) {
+    try {
+      await sendPhoneCode('login', phone);
+      
+      logger.info('Login code sent', { userId: user._id });
+      await AuditEvent.record(req, 'otp.request', { user: user._id, details: { phone: maskPhone(phone) } });
+    } catch (error) {
+      // Do not reveal through the response that the account exists
+      logger.error('Failed to send login code', { userId: user._id, error: error.message });
+    }
   }
   
-  // Generate new access token
-  const accessToken = auth.generateAccessToken(user);
-  
-  logger.debug('Access token refreshed', { userId: user._id });
-  
   res.json({
     success: true,
-    accessToken
+    message: 'در صورت ثبت این شماره، کد ورود برای آن پیامک شد',
+    message_en: 'If this number belongs to an account, a login code has been sent to it',
+    expiresIn: otp.CODE_TTL,
+    retryAfter: otp.RESEND_COOLDOWN
   });
 }));
 
 /**
  * @swagger
- * /api/v1/auth/logout:
+ * /api/v1/auth/otp/verify:
  *   post:
  *     tags:
  *       - Authentication
- *     summary: Logout user
- *     description: Invalidate refresh token
- *     security:
- *       - bearerAuth: []
+ *     summary: Login with a code sent by SMS
+ *     description: |
+ *       Exchange a code from /api/v1/auth/otp/request for access and refresh tokens, like /api/v1/auth/login.
+ *       If two-factor authentication is enabled, returns `mfaRequired` and an `mfaToken` instead.
+ *       A code can be tried a few times before it has to be requested again.
+ *     parameters:
+ *       - name: X-Auth-Mode
+ *         in: header
+ *         schema:
+ *           type: string
+ *           enum: [cookie]
+ *         description: Set to `cookie` for browser clients
  *     requestBody:
  *       required: true
  *       content:
@@ -259,171 +482,154 @@ router.post('/refresh-token', asyncHandler(async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - phone
+ *               - code
  *             properties:
- *               refreshToken:
+ *               phone:
  *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the SMS
+ *               deviceName:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Login successful
  *       401:
- *         description: Unauthorized
+ *         description: Invalid or expired code
+ *       403:
+ *         description: Account disabled
+ *       429:
+ *         description: Too many failed attempts, the account is temporarily locked
  */
-router.post('/logout', auth.authenticateToken, asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
+router.post('/otp/verify', authValidation.otpVerify, asyncHandler(async (req, res) => {
+  const { phone, code } = req.body;
   
-  if (!refreshToken) {
-    throw new BadRequestError(
-      'توکن بازیابی الزامی است',
-      'Refresh token is required'
+  const user = await User.findOne({ phone, phoneVerified: true });
+  
+  // Wrong codes count towards the same lockout as wrong passwords
+  const attempt = { ip: req.ip, account: loginGuard.accountKey(user, phone) };
+  await loginGuard.assertLoginAllowed(attempt);
+  
+  const isCodeValid = await otp.verifyCode('login', phone, code);
+  
+  if (!isCodeValid || !user) {
+    const { accountLocked, lockedUntil } = await loginGuard.recordLoginFailure(attempt);
+    
+    await AuditEvent.record(req, 'login.failure', {
+      user: user ? user._id : undefined,
+      details: { identifier: maskPhone(phone), reason: 'invalid_otp', accountLocked }
+    });
+    
+    if (accountLocked && user) {
+      mailService.sendAccountLockedEmail(user, { ip: req.ip, lockedUntil })
+        .catch(error => logger.error('Failed to send account locked email', { userId: user._id, error: error.message }));
+    }
+    
+    throw new UnauthorizedError(
+      'کد وارد شده نادرست یا منقضی شده است',
+      'Invalid or expired code'
     );
   }
   
-  // Invalidate refresh token
-  await auth.invalidateRefreshToken(req.user.id);
+  await loginGuard.recordLoginSuccess(attempt.account);
   
-  logger.info('User logged out', { userId: req.user.id });
-  
-  res.json({
-    success: true,
-    message: 'خروج با موفقیت انجام شد',
-    message_en: 'Logout successful'
-  });
+  await continueLogin(req, res, user);
 }));
 
 /**
  * @swagger
- * /api/v1/auth/profile:
+ * /api/v1/auth/oidc/providers:
  *   get:
  *     tags:
  *       - Authentication
- *     summary: Get user profile
- *     description: Get current user profile information
- *     security:
- *       - bearerAuth: []
+ *     summary: List login providers
+ *     description: OpenID Connect providers (e.g. Google) users can log in with
  *     responses:
  *       200:
- *         description: User profile
- *       401:
- *         description: Unauthorized
+ *         description: Configured providers
  */
-router.get('/profile', auth.authenticateToken, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user.id);
-  
-  if (!user) {
-    throw new NotFoundError(
-      'کاربر یافت نشد',
-      'User not found'
-    );
-  }
-  
+router.get('/oidc/providers', asyncHandler(async (req, res) => {
   res.json({
     success: true,
-    user: {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      firstName: user.firstName || '',
-      lastName: user.lastName || '',
-      role: user.role,
-      createdAt: user.createdAt,
-      lastLogin: user.lastLogin
-    }
+    providers: oidcService.listProviders()
   });
 }));
 
 /**
  * @swagger
- * /api/v1/auth/profile:
- *   put:
+ * /api/v1/auth/oidc/{provider}/authorize:
+ *   post:
  *     tags:
  *       - Authentication
- *     summary: Update user profile
- *     description: Update current user profile information
- *     security:
- *       - bearerAuth: []
+ *     summary: Start a login with a provider
+ *     description: |
+ *       Returns the provider URL to send the user to (authorization code flow with PKCE).
+ *       The provider sends the user back to `redirectUri` with `code` and `state`, which
+ *       the client then posts to /api/v1/auth/oidc/{provider}/callback within 10 minutes.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - redirectUri
  *             properties:
- *               firstName:
- *                 type: string
- *               lastName:
- *                 type: string
- *               email:
+ *               redirectUri:
  *                 type: string
- *                 format: email
+ *                 description: Must be listed in OIDC_REDIRECT_URIS
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Authorization URL and state
  *       400:
- *         description: Bad request
- *       401:
- *         description: Unauthorized
+ *         description: Redirect URI not allowed
+ *       404:
+ *         description: Provider not configured
  */
-router.put('/profile', auth.authenticateToken, authValidation.updateProfile, asyncHandler(async (req, res) => {
-  const { firstName, lastName, email } = req.body;
-  
-  // Find user
-  const user = await User.findById(req.user.id);
-  
-  if (!user) {
-    throw new NotFoundError(
-      'کاربر یافت نشد',
-      'User not found'
-    );
-  }
-  
-  // Check if email is already taken by another user
-  if (email && email !== user.email) {
-    const existingUser = await User.findOne({ email });
-    
-    if (existingUser) {
-      throw new BadRequestError(
-        'این ایمیل قبلاً ثبت شده است',
-        'Email already in use'
-      );
-    }
-    
-    user.email = email;
-  }
-  
-  // Update fields if provided
-  if (firstName) user.firstName = firstName;
-  if (lastName) user.lastName = lastName;
-  
-  await user.save();
-  
-  logger.info('User profile updated', { userId: user._id });
+router.post('/oidc/:provider/authorize', authValidation.oidcAuthorize, asyncHandler(async (req, res) => {
+  const { authorizationUrl, state } = await oidcService.createAuthorization(req.params.provider, {
+    redirectUri: req.body.redirectUri
+  });
   
   res.json({
     success: true,
-    message: 'پروفایل با موفقیت به‌روز شد',
-    message_en: 'Profile updated successfully',
-    user: {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      firstName: user.firstName || '',
-      lastName: user.lastName || '',
-      role: user.role,
-    }
+    authorizationUrl,
+    state
   });
 }));
 
 /**
  * @swagger
- * /api/v1/auth/change-password:
+ * /api/v1/auth/oidc/{provider}/callback:
  *   post:
  *     tags:
  *       - Authentication
- *     summary: Change user password
- *     description: Update current user password
- *     security:
- *       - bearerAuth: []
+ *     summary: Complete a login with a provider
+ *     description: |
+ *       Exchange the `code` and `state` the provider returned for access and refresh tokens, like /api/v1/auth/login.
+ *       An identity seen for the first time is linked to the account with the same verified email,
+ *       or a new account is created with a generated username.
+ *       If two-factor authentication is enabled, returns `mfaRequired` and an `mfaToken` instead.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: X-Auth-Mode
+ *         in: header
+ *         schema:
+ *           type: string
+ *           enum: [cookie]
+ *         description: Set to `cookie` for browser clients
  *     requestBody:
  *       required: true
  *       content:
@@ -431,51 +637,1554 @@ router.put('/profile', auth.authenticateToken, authValidation.updateProfile, asy
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
- *               - newPassword
- *               - confirmPassword
+ *               - code
+ *               - state
  *             properties:
- *               currentPassword:
+ *               code:
  *                 type: string
- *               newPassword:
+ *               state:
  *                 type: string
- *                 minLength: 6
- *               confirmPassword:
+ *               deviceName:
  *                 type: string
+ *                 description: Name of the device, shown in the session list
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: No verified email from the provider, or the email belongs to an unverified account
+ *       401:
+ *         description: Invalid or expired sign-in
+ *       403:
+ *         description: Account disabled
+ */
+router.post('/oidc/:provider/callback', authValidation.oidcCallback, asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+  
+  const identity = await oidcService.completeAuthorization(req.params.provider, { code, state });
+  const user = await findOrCreateOidcUser(req, identity);
+  
+  await continueLogin(req, res, user);
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Verify email address
+ *     description: Confirm the user's email address with the token from the verification link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       401:
+ *         description: Invalid or expired verification token
+ */
+router.post('/verify-email', authValidation.verifyEmail, asyncHandler(async (req, res) => {
+  const decoded = await auth.verifyEmailVerificationToken(req.body.token);
+  
+  const user = await User.findById(decoded.id);
+  
+  // The link is only valid for the address it was sent to
+  if (!user || user.email !== decoded.email) {
+    throw new UnauthorizedError(
+      'پیوند تایید ایمیل نامعتبر یا منقضی شده است',
+      'Email verification link is invalid or expired'
+    );
+  }
+  
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    await user.save();
+    
+    logger.info('User email verified', { userId: user._id });
+    await AuditEvent.record(req, 'email.verify', { user: user._id, details: { email: user.email } });
+  }
+  
+  res.json({
+    success: true,
+    message: 'ایمیل شما با موفقیت تایید شد',
+    message_en: 'Your email has been verified successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Resend verification email
+ *     description: Send a new verification link. The response is the same whether or not the email is registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is not verified
+ */
+router.post('/resend-verification', authValidation.resendVerification, asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email });
+  
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user);
+  }
+  
+  res.json({
+    success: true,
+    message: 'در صورت وجود حساب تایید نشده، پیوند تایید به ایمیل شما ارسال شد',
+    message_en: 'If an unverified account exists, a verification link has been sent to your email'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh-token:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Refresh access token
+ *     description: |
+ *       Use refresh token to get a new access token and a new refresh token.
+ *       The presented refresh token is invalidated; presenting it again revokes the whole session.
+ *       In cookie mode the refresh token is read from its cookie and the `X-CSRF-Token` header is required.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Required unless the refresh token cookie is set
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens generated
+ *       403:
+ *         description: Missing or invalid CSRF token (cookie mode)
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh-token', asyncHandler(async (req, res) => {
+  let { refreshToken } = req.body;
+  
+  // In cookie mode the refresh token comes from its HttpOnly cookie
+  if (!refreshToken && req.cookies && req.cookies[authCookies.REFRESH_COOKIE]) {
+    refreshToken = req.cookies[authCookies.REFRESH_COOKIE];
+    req.authViaCookie = true;
+    authCookies.verifyCsrf(req);
+  }
+  
+  if (!refreshToken) {
+    throw new BadRequestError(
+      'توکن بازیابی الزامی است',
+      'Refresh token is required'
+    );
+  }
+  
+  // Verify refresh token
+  const decoded = await auth.verifyRefreshToken(refreshToken, req);
+  
+  // Find user
+  const user = await User.findById(decoded.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  assertAccountEnabled(user);
+  
+  // Rotate the refresh token and generate new access token for the same session
+  const newRefreshToken = await auth.rotateRefreshToken(user, decoded);
+  const accessToken = auth.generateAccessToken(user, decoded.sid, { mfa: !!decoded.mfa, authTime: decoded.auth_time });
+  
+  logger.debug('Access token refreshed', { userId: user._id, sessionId: decoded.sid });
+  await AuditEvent.record(req, 'token.refresh', { user: user._id, details: { sessionId: decoded.sid } });
+  
+  res.json({
+    success: true,
+    ...authCookies.deliverTokens(req, res, { accessToken, refreshToken: newRefreshToken })
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Logout user
+ *     description: End the current session and invalidate its refresh token. Other devices stay logged in.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', auth.authenticateToken, asyncHandler(async (req, res) => {
+  if (!req.user.sid) {
+    throw new BadRequestError(
+      'نشست فعلی مشخص نیست. لطفا مجددا وارد شوید',
+      'Current session is unknown. Please login again'
+    );
+  }
+  
+  // End only the current session and its access token
+  await auth.revokeSession(req.user.id, req.user.sid);
+  await auth.revokeAccessToken(req.user);
+  
+  logger.info('User logged out', { userId: req.user.id, sessionId: req.user.sid });
+  await AuditEvent.record(req, 'logout', { details: { sessionId: req.user.sid } });
+  
+  if (authCookies.isCookieMode(req)) {
+    authCookies.clearAuthCookies(res);
+  }
+  
+  res.json({
+    success: true,
+    message: 'خروج با موفقیت انجام شد',
+    message_en: 'Logout successful'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: List active sessions
+ *     description: Get the devices the current user is logged in on
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of sessions
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const sessions = await auth.listSessions(req.user.id);
+  
+  res.json({
+    success: true,
+    count: sessions.length,
+    sessions: sessions.map(session => ({
+      id: session.id,
+      deviceName: session.deviceName,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session.id === req.user.sid
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     tags:
+ *       - Authentication
+ *     summary: Revoke a session
+ *     description: Log out one of the current user's devices
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await auth.revokeSession(req.user.id, req.params.id);
+  
+  if (!revoked) {
+    throw new NotFoundError(
+      'نشست مورد نظر یافت نشد',
+      'Session not found'
+    );
+  }
+  
+  logger.info('User session revoked', { userId: req.user.id, sessionId: req.params.id });
+  await AuditEvent.record(req, 'session.revoke', { details: { sessionId: req.params.id } });
+  
+  res.json({
+    success: true,
+    message: 'نشست با موفقیت لغو شد',
+    message_en: 'Session revoked successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/activity:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: Get account activity
+ *     description: Security history of the current user (logins, logouts, password and email changes, reuse of stolen refresh tokens, admin actions on the account), newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Event type, a trailing * matches a prefix (e.g. login.*)
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: List of account events
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/activity', auth.authenticateToken, auditValidation.list, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  
+  const filter = { ...AuditEvent.buildFilter(req.query), user: req.user.id };
+  
+  const events = await AuditEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+  
+  const total = await AuditEvent.countDocuments(filter);
+  
+  res.json({
+    success: true,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    data: events.map(event => ({
+      id: event._id,
+      type: event.type,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      details: event.details,
+      // Whether someone else (an admin) performed the action
+      byAdmin: !!event.actor && event.actor.toString() !== req.user.id.toString(),
+      createdAt: event.createdAt
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/profile:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: Get user profile
+ *     description: Get current user profile information
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/profile', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  res.json({
+    success: true,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      phone: user.phone || null,
+      phoneVerified: user.phoneVerified,
+      hasPassword: user.hasPassword,
+      firstName: user.firstName || '',
+      lastName: user.lastName || '',
+      role: user.role,
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/profile:
+ *   put:
+ *     tags:
+ *       - Authentication
+ *     summary: Update user profile
+ *     description: Update current user profile information
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *                 description: Iranian mobile number, an empty string removes it. A new number has to be verified with /api/v1/auth/phone/verify before it can be used to log in.
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/profile', auth.authenticateToken, authValidation.updateProfile, asyncHandler(async (req, res) => {
+  const { firstName, lastName, email, phone } = req.body;
+  
+  // Find user
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  const previousEmail = user.email;
+  
+  // Check if email is already taken by another user
+  if (email && email !== user.email) {
+    const existingUser = await User.findOne({ email });
+    
+    if (existingUser) {
+      throw new BadRequestError(
+        'این ایمیل قبلاً ثبت شده است',
+        'Email already in use'
+      );
+    }
+    
+    user.email = email;
+    user.emailVerified = false;
+    user.emailVerifiedAt = undefined;
+  }
+  
+  const previousPhone = user.phone;
+  
+  // Only a verified number is reserved for its account
+  if (phone !== undefined && phone !== (user.phone || '')) {
+    if (phone && await User.exists({ _id: { $ne: user._id }, phone, phoneVerified: true })) {
+      throw new BadRequestError(
+        'این شماره موبایل قبلاً ثبت شده است',
+        'Phone number already in use'
+      );
+    }
+    
+    user.phone = phone || undefined;
+    user.phoneVerified = false;
+    user.phoneVerifiedAt = undefined;
+  }
+  
+  // Update fields if provided
+  if (firstName) user.firstName = firstName;
+  if (lastName) user.lastName = lastName;
+  
+  const emailChanged = user.isModified('email');
+  const phoneChanged = user.isModified('phone');
+  
+  await user.save();
+  
+  // A new address has to be verified again
+  if (emailChanged) {
+    await AuditEvent.record(req, 'email.change', { details: { from: previousEmail, to: user.email } });
+    await sendVerificationEmail(user);
+  }
+  
+  if (phoneChanged) {
+    await AuditEvent.record(req, 'phone.change', { details: { from: maskPhone(previousPhone), to: maskPhone(user.phone) } });
+  }
+  
+  // A new number has to be verified before it can be used to log in
+  if (phoneChanged && user.phone) {
+    try {
+      await otp.assertRequestAllowed({ phone: user.phone, ip: req.ip });
+      await sendPhoneCode('verify', user.phone);
+    } catch (error) {
+      // The user can ask for a new code at /phone/send-code
+      logger.error('Failed to send phone verification code', { userId: user._id, error: error.message });
+    }
+  }
+  
+  logger.info('User profile updated', { userId: user._id });
+  
+  res.json({
+    success: true,
+    message: 'پروفایل با موفقیت به‌روز شد',
+    message_en: 'Profile updated successfully',
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      phone: user.phone || null,
+      phoneVerified: user.phoneVerified,
+      firstName: user.firstName || '',
+      lastName: user.lastName || '',
+      role: user.role,
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/phone/send-code:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Send a phone verification code
+ *     description: Send a new code to the unverified mobile number of the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       400:
+ *         description: No unverified phone number on the account
+ *       429:
+ *         description: Too many codes requested, try again later
+ */
+router.post('/phone/send-code', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user || !user.phone || user.phoneVerified) {
+    throw new BadRequestError(
+      'شماره موبایل تایید نشده‌ای برای این حساب ثبت نشده است',
+      'There is no unverified phone number on this account'
+    );
+  }
+  
+  await otp.assertRequestAllowed({ phone: user.phone, ip: req.ip });
+  await sendPhoneCode('verify', user.phone);
+  
+  res.json({
+    success: true,
+    message: `کد تایید به ${maskPhone(user.phone)} پیامک شد`,
+    message_en: `A verification code has been sent to ${maskPhone(user.phone)}`,
+    expiresIn: otp.CODE_TTL,
+    retryAfter: otp.RESEND_COOLDOWN
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/phone/verify:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Verify the phone number
+ *     description: Confirm the mobile number of the current user with the code sent to it. Afterwards the number can be used to log in with /api/v1/auth/otp/request.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the SMS
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *       400:
+ *         description: Invalid or expired code, or the number is already verified on another account
+ */
+router.post('/phone/verify', auth.authenticateToken, authValidation.phoneVerify, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user || !user.phone) {
+    throw new BadRequestError(
+      'شماره موبایلی برای این حساب ثبت نشده است',
+      'There is no phone number on this account'
+    );
+  }
+  
+  if (!user.phoneVerified) {
+    const isCodeValid = await otp.verifyCode('verify', user.phone, req.body.code);
+    
+    if (!isCodeValid) {
+      throw new BadRequestError(
+        'کد وارد شده نادرست یا منقضی شده است',
+        'Invalid or expired code'
+      );
+    }
+    
+    if (await User.exists({ _id: { $ne: user._id }, phone: user.phone, phoneVerified: true })) {
+      throw new BadRequestError(
+        'این شماره موبایل قبلاً ثبت شده است',
+        'Phone number already in use'
+      );
+    }
+    
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = Date.now();
+    await user.save();
+    
+    logger.info('User phone verified', { userId: user._id });
+    await AuditEvent.record(req, 'phone.verify', { details: { phone: maskPhone(user.phone) } });
+  }
+  
+  res.json({
+    success: true,
+    message: 'شماره موبایل شما با موفقیت تایید شد',
+    message_en: 'Your phone number has been verified successfully',
+    phone: user.phone
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/identities:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: List linked login providers
+ *     description: Provider accounts linked to the current user, and the providers that can be linked
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked identities and available providers
+ */
+router.get('/identities', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  res.json({
+    success: true,
+    hasPassword: user.hasPassword,
+    identities: user.identities.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+    providers: oidcService.listProviders()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/identities/{provider}/authorize:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Start linking a provider
+ *     description: Like /api/v1/auth/oidc/{provider}/authorize, but the result is posted to /api/v1/auth/identities/{provider} to link the provider account to the current user
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - redirectUri
+ *             properties:
+ *               redirectUri:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL and state
+ */
+router.post('/identities/:provider/authorize', auth.authenticateToken, authValidation.oidcAuthorize, asyncHandler(async (req, res) => {
+  const { authorizationUrl, state } = await oidcService.createAuthorization(req.params.provider, {
+    redirectUri: req.body.redirectUri,
+    purpose: 'link',
+    userId: req.user.id
+  });
+  
+  res.json({
+    success: true,
+    authorizationUrl,
+    state
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/identities/{provider}:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Link a provider
+ *     description: Complete linking with the `code` and `state` the provider returned
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Provider linked
+ *       400:
+ *         description: Provider already linked, or the provider account belongs to another user
+ *       401:
+ *         description: Invalid or expired sign-in
+ *   delete:
+ *     tags:
+ *       - Authentication
+ *     summary: Unlink a provider
+ *     description: Remove a linked provider. Refused if it is the only way left to log in; set a password first with /api/v1/auth/forgot-password.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider unlinked
+ *       400:
+ *         description: Last remaining login method
+ *       404:
+ *         description: Provider not linked
+ */
+router.post('/identities/:provider', auth.authenticateToken, authValidation.oidcCallback, asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+  
+  const identity = await oidcService.completeAuthorization(req.params.provider, {
+    code,
+    state,
+    purpose: 'link',
+    userId: req.user.id
+  });
+  
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  if (user.identities.some(linked => linked.provider === identity.provider)) {
+    throw new BadRequestError(
+      'این ارائه‌دهنده قبلاً به حساب شما متصل شده است',
+      'This provider is already linked to your account'
+    );
+  }
+  
+  const owner = await User.exists({
+    identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+  });
+  
+  if (owner) {
+    throw new BadRequestError(
+      'این حساب ارائه‌دهنده به کاربر دیگری متصل است',
+      'This provider account is linked to another user'
+    );
+  }
+  
+  user.identities.push({ provider: identity.provider, subject: identity.subject, email: identity.email });
+  await user.save();
+  
+  logger.info('Login provider linked', { userId: user._id, provider: identity.provider });
+  await AuditEvent.record(req, 'identity.link', { details: { provider: identity.provider } });
+  
+  res.json({
+    success: true,
+    message: 'ارائه‌دهنده ورود با موفقیت متصل شد',
+    message_en: 'Login provider linked successfully'
+  });
+}));
+
+router.delete('/identities/:provider', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  
+  const user = await User.findById(req.user.id);
+  
+  if (!user || !user.identities.some(identity => identity.provider === provider)) {
+    throw new NotFoundError(
+      'این ارائه‌دهنده به حساب شما متصل نیست',
+      'This provider is not linked to your account'
+    );
+  }
+  
+  if (!user.hasOtherLoginMethod(provider)) {
+    throw new BadRequestError(
+      'این تنها روش ورود شماست. ابتدا از طریق بازیابی رمز عبور یک رمز عبور تعیین کنید',
+      'This is your only way to log in. Set a password with the password reset flow first'
+    );
+  }
+  
+  user.identities = user.identities.filter(identity => identity.provider !== provider);
+  await user.save();
+  
+  logger.info('Login provider unlinked', { userId: user._id, provider });
+  await AuditEvent.record(req, 'identity.unlink', { details: { provider } });
+  
+  res.json({
+    success: true,
+    message: 'ارائه‌دهنده ورود جدا شد',
+    message_en: 'Login provider unlinked'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/change-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Change user password
+ *     description: Update current user password. Access tokens issued before the change stop working; a new one for the current session is returned.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Must meet the password policy (length, character classes, no username or email, not a common password)
+ *               confirmPassword:
+ *                 type: string
+ *               signOutOthers:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Log out every other device of this user
  *     responses:
  *       200:
  *         description: Password changed successfully
  *       400:
- *         description: Bad request
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/change-password', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword, confirmPassword, signOutOthers } = req.body;
+  
+  // Validate input
+  if (!currentPassword || !newPassword || !confirmPassword) {
+    throw new BadRequestError(
+      'تمام فیلدها الزامی هستند',
+      'All fields are required'
+    );
+  }
+  
+  if (newPassword !== confirmPassword) {
+    throw new BadRequestError(
+      'تایید رمز عبور با رمز عبور جدید مطابقت ندارد',
+      'New password and confirmation do not match'
+    );
+  }
+  
+  // Find user
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  // Check current password
+  const isPasswordValid = await user.comparePassword(currentPassword);
+  
+  if (!isPasswordValid) {
+    throw new UnauthorizedError(
+      'رمز عبور فعلی نادرست است',
+      'Current password is incorrect'
+    );
+  }
+  
+  assertPasswordAllowed(newPassword, user, 'newPassword');
+  
+  // Update password
+  user.password = newPassword;
+  await user.save();
+  
+  // Optionally sign out everywhere except the current session
+  let revokedSessions = 0;
+  
+  if (signOutOthers === true || signOutOthers === 'true') {
+    revokedSessions = await auth.revokeAllSessions(user._id, { except: req.user.sid });
+  }
+  
+  // Access tokens issued with the old password stop working at once,
+  // the current device gets a fresh one
+  await auth.invalidateAccessTokens(user._id);
+  const accessToken = auth.generateAccessToken(user, req.user.sid, { mfa: !!req.user.mfa, authTime: req.user.auth_time });
+  
+  logger.info('User password changed', { userId: user._id, revokedSessions });
+  await AuditEvent.record(req, 'password.change', { details: { revokedSessions } });
+  
+  res.json({
+    success: true,
+    message: 'رمز عبور با موفقیت تغییر کرد',
+    message_en: 'Password changed successfully',
+    revokedSessions,
+    ...authCookies.deliverAccessToken(req, res, accessToken)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/export:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: Export account data
+ *     description: Download a JSON archive of the profile, favorites and applications with item snapshots, login history and active sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account data archive
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/export', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  const archive = await accountService.buildExport(user);
+  
+  logger.info('User exported account data', { userId: user._id });
+  await AuditEvent.record(req, 'account.export');
+  
+  const date = archive.exportedAt.toISOString().slice(0, 10);
+  res.set('Content-Disposition', `attachment; filename="rahayandeh-${user.username}-${date}.json"`);
+  res.json(archive);
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/account:
+ *   delete:
+ *     tags:
+ *       - Authentication
+ *     summary: Delete account
+ *     description: |
+ *       Log out everywhere and schedule the account for deletion. The account can be restored during the grace period (ACCOUNT_DELETION_GRACE_DAYS, default 30 days).
+ *       Users with a password confirm with it. Users who only log in through a login provider or SMS have no password, and must have logged in within the last 5 minutes instead.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required for users with a password
+ *     responses:
+ *       200:
+ *         description: Account scheduled for deletion
+ *       401:
+ *         description: Invalid password, or the last login of a user without a password is too old
+ */
+router.delete('/account', auth.authenticateToken, authValidation.deleteAccount, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  if (user.hasPassword) {
+    if (!req.body.password) {
+      throw new BadRequestError(
+        'رمز عبور الزامی است',
+        'Password is required'
+      );
+    }
+    
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    
+    if (!isPasswordValid) {
+      throw new UnauthorizedError(
+        'رمز عبور نادرست است',
+        'Password is incorrect'
+      );
+    }
+  } else if (!auth.isRecentLogin(req.user)) {
+    // The random password of these accounts is unknown to the user, a fresh login confirms instead
+    throw new UnauthorizedError(
+      'برای حذف حساب، ابتدا دوباره وارد شوید و ظرف 5 دقیقه اقدام کنید',
+      'To delete your account, please login again and retry within 5 minutes'
+    );
+  }
+  
+  const scheduledFor = await accountService.scheduleDeletion(user);
+  await AuditEvent.record(req, 'account.delete.request', { details: { scheduledFor } });
+  
+  if (authCookies.isCookieMode(req)) {
+    authCookies.clearAuthCookies(res);
+  }
+  
+  res.json({
+    success: true,
+    message: `حساب کاربری شما در تاریخ ${scheduledFor.toISOString().slice(0, 10)} حذف خواهد شد. تا آن زمان می‌توانید آن را بازگردانی کنید`,
+    message_en: `Your account will be deleted on ${scheduledFor.toISOString().slice(0, 10)}. You can restore it until then`,
+    scheduledFor
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/account/restore:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Restore a deleted account
+ *     description: Cancel a scheduled deletion during the grace period. Login normally afterwards. Restoring needs the password; users who only login with a login provider or SMS must set one first with /api/v1/auth/forgot-password and /api/v1/auth/reset-password, which work during the grace period.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: Username or email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account restored
+ *       400:
+ *         description: Account is not scheduled for deletion
+ *       401:
+ *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/account/restore', authValidation.login, asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+  
+  const user = await User.findOne({
+    $or: [
+      { username },
+      { email: username }
+    ]
+  });
+  
+  // Same brute-force protection as login, the password is checked here too
+  const attempt = { ip: req.ip, account: loginGuard.accountKey(user, username) };
+  await loginGuard.assertLoginAllowed(attempt);
+  
+  const isPasswordValid = user ? await user.comparePassword(password) : false;
+  
+  if (!isPasswordValid) {
+    await loginGuard.recordLoginFailure(attempt);
+    
+    throw new UnauthorizedError(
+      'نام کاربری یا رمز عبور نادرست است',
+      'Invalid username or password'
+    );
+  }
+  
+  await loginGuard.recordLoginSuccess(attempt.account);
+  
+  if (!user.isPendingDeletion()) {
+    throw new BadRequestError(
+      'این حساب در انتظار حذف نیست',
+      'This account is not scheduled for deletion'
+    );
+  }
+  
+  await accountService.cancelDeletion(user);
+  await AuditEvent.record(req, 'account.restore', { user: user._id });
+  
+  res.json({
+    success: true,
+    message: 'حساب کاربری شما بازگردانی شد. اکنون می‌توانید وارد شوید',
+    message_en: 'Your account has been restored. You can now login'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Request a password reset
+ *     description: Email a single-use password reset link. The response is the same whether or not the email is registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ */
+router.post('/forgot-password', authValidation.forgotPassword, asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email });
+  
+  if (user) {
+    try {
+      const token = await auth.generatePasswordResetToken(user);
+      await mailService.sendPasswordResetEmail(user, token);
+      
+      logger.info('Password reset requested', { userId: user._id });
+      await AuditEvent.record(req, 'password.reset.request', { user: user._id });
+    } catch (error) {
+      // Do not reveal through the response that the account exists
+      logger.error('Failed to send password reset email', { userId: user._id, error: error.message });
+    }
+  }
+  
+  res.json({
+    success: true,
+    message: 'در صورت وجود حساب، پیوند بازیابی رمز عبور به ایمیل شما ارسال شد',
+    message_en: 'If an account exists, a password reset link has been sent to your email'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Reset password
+ *     description: Set a new password with the token from the reset link. All sessions of the user are logged out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Must meet the password policy (length, character classes, no username or email, not a common password)
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', authValidation.resetPassword, asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+  
+  const userId = await auth.verifyPasswordResetToken(token);
+  const user = await User.findById(userId);
+  
+  if (!user) {
+    throw new BadRequestError(
+      'پیوند بازیابی رمز عبور نامعتبر یا منقضی شده است',
+      'Password reset link is invalid or expired'
+    );
+  }
+  
+  // Check the policy before using up the token, so the user can try another password
+  assertPasswordAllowed(newPassword, user, 'newPassword');
+  await auth.consumePasswordResetToken(token);
+  
+  user.password = newPassword;
+  user.hasPassword = true;
+  await user.save();
+  
+  // Log out every device, whoever knew the old password loses access
+  const revokedSessions = await auth.revokeAllSessions(user._id);
+  await auth.invalidateAccessTokens(user._id);
+  
+  logger.info('User password reset', { userId: user._id, revokedSessions });
+  await AuditEvent.record(req, 'password.reset', { user: user._id, details: { revokedSessions } });
+  
+  res.json({
+    success: true,
+    message: 'رمز عبور با موفقیت بازنشانی شد. لطفا با رمز عبور جدید وارد شوید',
+    message_en: 'Password reset successfully. Please login with your new password'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/verify:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Complete a two-factor login
+ *     description: Exchange the mfaToken from /login and a TOTP or recovery code for access and refresh tokens
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, instead of code
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired login session
+ *       429:
+ *         description: Too many invalid codes, the account is temporarily locked
+ */
+router.post('/2fa/verify', authValidation.twoFactorVerify, asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+  
+  const decoded = await auth.verifyMfaPendingToken(mfaToken);
+  const user = await User.findById(decoded.id);
+  
+  if (!user || !user.twoFactor.enabled) {
+    throw new UnauthorizedError(
+      'نشست ورود منقضی شده است. لطفا دوباره وارد شوید',
+      'Login session expired. Please login again'
+    );
+  }
+  
+  // Wrong codes are counted against the account, not the mfaToken, since a
+  // new mfaToken is only a correct password away
+  const attempt = { ip: req.ip, account: loginGuard.accountKey(user) };
+  await loginGuard.assertLoginAllowed(attempt);
+  
+  if (!user.verifyTwoFactorCode(code, recoveryCode)) {
+    const { accountLocked, lockedUntil } = await loginGuard.recordTwoFactorFailure(attempt);
+    
+    logger.warn('Invalid two-factor code', { userId: user._id, accountLocked });
+    await AuditEvent.record(req, 'login.failure', { user: user._id, details: { reason: 'invalid_two_factor_code', accountLocked } });
+    
+    if (accountLocked) {
+      mailService.sendAccountLockedEmail(user, { ip: req.ip, lockedUntil })
+        .catch(error => logger.error('Failed to send account locked email', { userId: user._id, error: error.message }));
+    }
+    
+    throw new UnauthorizedError(
+      'کد ورود دو مرحله‌ای نادرست است',
+      'Invalid two-factor authentication code'
+    );
+  }
+  
+  await loginGuard.recordTwoFactorSuccess(attempt.account);
+  await auth.consumeMfaPendingToken(decoded);
+  
+  if (recoveryCode) {
+    logger.info('Recovery code used for login', { userId: user._id, remaining: user.twoFactor.recoveryCodes.length });
+  }
+  
+  await completeLogin(req, res, user, { mfa: true });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enroll:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Start two-factor enrollment
+ *     description: Generate a TOTP secret and otpauth URI to scan with an authenticator app. 2FA is enabled only after /2fa/confirm.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: TOTP secret and otpauth URI
+ *       400:
+ *         description: Two-factor authentication is already enabled
  *       401:
  *         description: Unauthorized
  */
-router.post('/change-password', auth.authenticateToken, asyncHandler(async (req, res) => {
-  const { currentPassword, newPassword, confirmPassword } = req.body;
+router.post('/2fa/enroll', auth.authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
   
-  // Validate input
-  if (!currentPassword || !newPassword || !confirmPassword) {
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  if (user.twoFactor.enabled) {
     throw new BadRequestError(
-      'تمام فیلدها الزامی هستند',
-      'All fields are required'
+      'ورود دو مرحله‌ای قبلاً فعال شده است',
+      'Two-factor authentication is already enabled'
     );
   }
   
-  if (newPassword !== confirmPassword) {
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+  
+  res.json({
+    success: true,
+    secret,
+    otpauthUrl: totp.keyUri(secret, user.email),
+    message: 'کد را با برنامه احراز هویت اسکن کنید و سپس با یک کد آن را تایید کنید',
+    message_en: 'Scan the code with your authenticator app, then confirm it with a code'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/confirm:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Confirm two-factor enrollment
+ *     description: Enable two-factor authentication with a code from the authenticator app. Returns one-time recovery codes, shown only once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or no pending enrollment
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/confirm', auth.authenticateToken, authValidation.twoFactorCode, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError(
+      'کاربر یافت نشد',
+      'User not found'
+    );
+  }
+  
+  if (!user.twoFactor.pendingSecret) {
     throw new BadRequestError(
-      'تایید رمز عبور با رمز عبور جدید مطابقت ندارد',
-      'New password and confirmation do not match'
+      'ابتدا فرایند فعال‌سازی ورود دو مرحله‌ای را آغاز کنید',
+      'Start two-factor enrollment first'
     );
   }
   
-  if (newPassword.length < 6) {
+  const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+  
+  if (step === null) {
     throw new BadRequestError(
-      'رمز عبور جدید باید حداقل 6 کاراکتر باشد',
-      'New password must be at least 6 characters'
+      'کد ورود دو مرحله‌ای نادرست است',
+      'Invalid two-factor authentication code'
     );
   }
   
-  // Find user
+  const recoveryCodes = totp.generateRecoveryCodes();
+  
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = Date.now();
+  await user.save();
+  
+  logger.info('Two-factor authentication enabled', { userId: user._id });
+  await AuditEvent.record(req, 'twofactor.enable');
+  
+  res.json({
+    success: true,
+    message: 'ورود دو مرحله‌ای فعال شد. کدهای بازیابی را در جای امنی نگه دارید',
+    message_en: 'Two-factor authentication enabled. Keep the recovery codes somewhere safe',
+    recoveryCodes
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Disable two-factor authentication
+ *     description: Requires a TOTP or recovery code, and the current password. Users without a password (login provider or SMS only) must have logged in within the last 5 minutes instead.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required for users with a password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code, or the last login of a user without a password is too old
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ */
+router.post('/2fa/disable', auth.authenticateToken, authValidation.twoFactorDisable, asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  
   const user = await User.findById(req.user.id);
   
   if (!user) {
@@ -485,30 +2194,122 @@ router.post('/change-password', auth.authenticateToken, asyncHandler(async (req,
     );
   }
   
-  // Check current password
-  const isPasswordValid = await user.comparePassword(currentPassword);
+  if (!user.twoFactor.enabled) {
+    throw new BadRequestError(
+      'ورود دو مرحله‌ای فعال نیست',
+      'Two-factor authentication is not enabled'
+    );
+  }
   
-  if (!isPasswordValid) {
+  const twoFactorRoles = await auth.getTwoFactorRequiredRoles();
+  
+  if (twoFactorRoles.includes(user.role)) {
+    throw new ForbiddenError(
+      'ورود دو مرحله‌ای برای نقش شما الزامی است و قابل غیرفعال‌سازی نیست',
+      'Two-factor authentication is required for your role and cannot be disabled'
+    );
+  }
+  
+  // Users without a password (login provider or SMS only) confirm with a recent login instead
+  if (!user.hasPassword && !auth.isRecentLogin(req.user)) {
     throw new UnauthorizedError(
-      'رمز عبور فعلی نادرست است',
-      'Current password is incorrect'
+      'برای غیرفعال‌سازی ورود دو مرحله‌ای، ابتدا دوباره وارد شوید و ظرف 5 دقیقه اقدام کنید',
+      'To disable two-factor authentication, please login again and retry within 5 minutes'
     );
   }
   
-  // Update password
-  user.password = newPassword;
+  if (user.hasPassword && !password) {
+    throw new BadRequestError(
+      'رمز عبور الزامی است',
+      'Password is required'
+    );
+  }
+  
+  const isPasswordValid = !user.hasPassword || await user.comparePassword(password);
+  
+  if (!isPasswordValid || !user.verifyTwoFactorCode(code, recoveryCode)) {
+    throw new UnauthorizedError(
+      'رمز عبور یا کد ورود دو مرحله‌ای نادرست است',
+      'Invalid password or two-factor authentication code'
+    );
+  }
+  
+  user.twoFactor = { enabled: false };
   await user.save();
   
-  // Invalidate all refresh tokens for this user
-  await auth.invalidateRefreshToken(user._id);
+  logger.info('Two-factor authentication disabled', { userId: user._id });
+  await AuditEvent.record(req, 'twofactor.disable');
+  
+  res.json({
+    success: true,
+    message: 'ورود دو مرحله‌ای غیرفعال شد',
+    message_en: 'Two-factor authentication disabled'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/policy:
+ *   get:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Get two-factor policy
+ *     description: Get the roles that must use two-factor authentication (requires user:manage)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles requiring two-factor authentication
+ *       401:
+ *         description: Unauthorized
+ *   put:
+ *     tags:
+ *       - Two-Factor Authentication
+ *     summary: Update two-factor policy
+ *     description: Set the roles that must use two-factor authentication (requires user:manage)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [user, moderator, employer, university_rep, admin]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa/policy', auth.authenticateToken, auth.authorizePermission('user:manage'), asyncHandler(async (req, res) => {
+  const roles = await auth.getTwoFactorRequiredRoles();
+  
+  res.json({
+    success: true,
+    roles
+  });
+}));
+
+router.put('/2fa/policy', auth.authenticateToken, auth.authorizePermission('user:manage'), authValidation.twoFactorPolicy, asyncHandler(async (req, res) => {
+  const roles = await auth.setTwoFactorRequiredRoles([...new Set(req.body.roles)], req.user.id);
   
-  logger.info('User password changed', { userId: user._id });
+  await AuditEvent.record(req, 'admin.twofactor.policy.update', { targetType: 'Setting', targetId: 'twoFactorRequiredRoles', details: { roles } });
+  logger.info('Two-factor policy updated', { userId: req.user.id, roles });
   
   res.json({
     success: true,
-    message: 'رمز عبور با موفقیت تغییر کرد',
-    message_en: 'Password changed successfully'
+    message: 'سیاست ورود دو مرحله‌ای به‌روز شد',
+    message_en: 'Two-factor policy updated',
+    roles
   });
 }));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,179 @@
+const express = require('express');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const applicationService = require('../services/applicationService');
+const { buildFeed } = require('../services/calendarService');
+const { authenticateToken, requireVerifiedEmail } = require('../utils/auth');
+const { asyncHandler } = require('../utils/errorHandler');
+const { NotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Subscription URLs of a feed token
+ * @param {Object} req - Express request object
+ * @param {String} token - Calendar feed token
+ * @returns {Object} - { url, webcalUrl }
+ */
+const feedUrls = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${base}/api/v1/calendar/${token}.ics`;
+  
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * @swagger
+ * /api/v1/calendar:
+ *   get:
+ *     tags:
+ *       - Calendar
+ *     summary: Calendar feed status
+ *     description: Whether the user has a calendar subscription URL. The URL itself is only shown when it is created.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateToken, requireVerifiedEmail, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('calendarFeed');
+  
+  if (!user) {
+    throw new NotFoundError('کاربر یافت نشد', 'User not found');
+  }
+  
+  const enabled = !!(user.calendarFeed && user.calendarFeed.tokenHash);
+  
+  res.json({
+    success: true,
+    feed: {
+      enabled,
+      createdAt: enabled ? user.calendarFeed.createdAt : null
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/calendar/feed:
+ *   post:
+ *     tags:
+ *       - Calendar
+ *     summary: Create a calendar subscription URL
+ *     description: Create a secret .ics URL with the deadlines of favorited and applied programs and jobs, and application milestones. Any previous URL stops working.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Subscription URL, shown only once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 webcalUrl:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/feed', authenticateToken, requireVerifiedEmail, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError('کاربر یافت نشد', 'User not found');
+  }
+  
+  const rotated = !!(user.calendarFeed && user.calendarFeed.tokenHash);
+  const token = user.generateCalendarToken();
+  await user.save();
+  
+  await AuditEvent.record(req, 'calendar.feed.create', { details: { rotated } });
+  
+  res.status(201).json({
+    success: true,
+    message: 'نشانی تقویم ساخته شد. آن را در جای امنی نگه دارید، این نشانی دوباره نمایش داده نمی‌شود',
+    message_en: 'Calendar URL created. Keep it somewhere safe, it will not be shown again',
+    ...feedUrls(req, token),
+    createdAt: user.calendarFeed.createdAt
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/calendar/feed:
+ *   delete:
+ *     tags:
+ *       - Calendar
+ *     summary: Revoke the calendar subscription URL
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription URL revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/feed', authenticateToken, requireVerifiedEmail, asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeed: '' } });
+  await AuditEvent.record(req, 'calendar.feed.revoke');
+  
+  res.json({
+    success: true,
+    message: 'نشانی تقویم باطل شد',
+    message_en: 'Calendar URL revoked'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/calendar/{token}.ics:
+ *   get:
+ *     tags:
+ *       - Calendar
+ *     summary: Calendar feed
+ *     description: iCalendar feed for calendar apps. The secret token in the URL is the only authentication. Times are in Asia/Tehran.
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked token
+ */
+router.get('/:token.ics', asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    'calendarFeed.tokenHash': User.hashCalendarToken(req.params.token),
+    disabled: { $ne: true },
+    'deletion.scheduledFor': { $exists: false }
+  })
+    .select('favorites applications')
+    .populate(['favorites.universities', 'favorites.jobs', 'applications.item']);
+  
+  if (!user) {
+    throw new NotFoundError('تقویم یافت نشد', 'Calendar not found');
+  }
+  
+  const feed = buildFeed(user, await applicationService.getStages());
+  
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="rahayandeh.ics"',
+    'Cache-Control': 'private, max-age=900'
+  });
+  res.send(feed);
+}));
+
+module.exports = router;
@@ -0,0 +1,763 @@
+const express = require('express');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const SharedList = require('../models/SharedList');
+const AuditEvent = require('../models/AuditEvent');
+const favoriteService = require('../services/favoriteService');
+const { authenticateToken, requireVerifiedEmail } = require('../utils/auth');
+const { favoriteValidation } = require('../utils/validator');
+const { asyncHandler } = require('../utils/errorHandler');
+const { BadRequestError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// Collections are only available to signed-in users with a verified email
+router.use(authenticateToken, requireVerifiedEmail);
+
+/**
+ * Entries of a collection with their items, in the requested order. Entries
+ * whose item was removed since it was saved are left out.
+ * @param {Object} collection - FavoriteCollection document with entries.item populated
+ * @param {String} sort - 'position' (default), 'priority' or 'addedAt'
+ * @returns {Object[]} - Entries for API responses
+ */
+const sortedEntries = (collection, sort = 'position') => {
+  const entries = collection.entries
+    .map((entry, position) => ({ ...favoriteService.toEntry(entry), position }))
+    .filter(entry => entry.item);
+  
+  if (sort === 'priority') {
+    const rank = (entry) => FavoriteCollection.ENTRY_PRIORITIES.indexOf(entry.priority);
+    entries.sort((a, b) => rank(a) - rank(b) || a.position - b.position);
+  } else if (sort === 'addedAt') {
+    entries.sort((a, b) => b.addedAt - a.addedAt);
+  }
+  
+  return entries;
+};
+
+/**
+ * Public URL of a shared list
+ * @param {Object} req - Express request object
+ * @param {String} slug - Shared list slug
+ * @returns {String} - URL of the read-only list
+ */
+const shareUrl = (req, slug) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/api/v1/shared/${slug}`;
+};
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections:
+ *   get:
+ *     tags:
+ *       - Favorites
+ *     summary: List favorite collections
+ *     description: The user's collections, the default collection first. The default collection holds the favorites of the original favorites endpoints.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Collections with their entry counts
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  await favoriteService.getDefaultCollection(req.user.id);
+  
+  const collections = await FavoriteCollection.find({ user: req.user.id })
+    .sort({ isDefault: -1, createdAt: 1 });
+  
+  res.json({
+    success: true,
+    collections: collections.map(collection => collection.toSummary())
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections:
+ *   post:
+ *     tags:
+ *       - Favorites
+ *     summary: Create a favorite collection
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Tehran master's options
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Collection created
+ *       400:
+ *         description: Name already used, or too many collections
+ */
+router.post('/', favoriteValidation.createCollection, asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+  
+  // Created first, so the favorites from before collections end up in it
+  await favoriteService.getDefaultCollection(req.user.id);
+  await favoriteService.checkCollectionName(req.user.id, name);
+  
+  const collection = await FavoriteCollection.create({ user: req.user.id, name, description });
+  
+  res.status(201).json({
+    success: true,
+    message: 'مجموعه ساخته شد',
+    message_en: 'Collection created',
+    collection: collection.toSummary()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}:
+ *   get:
+ *     tags:
+ *       - Favorites
+ *     summary: Get a favorite collection
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [position, priority, addedAt]
+ *           default: position
+ *         description: Manual order, highest priority first, or most recently added first
+ *     responses:
+ *       200:
+ *         description: Collection with its entries
+ *       404:
+ *         description: Collection not found
+ */
+router.get('/:id', favoriteValidation.collection, asyncHandler(async (req, res) => {
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  await collection.populate('entries.item');
+  
+  res.json({
+    success: true,
+    collection: {
+      ...collection.toSummary(),
+      entries: sortedEntries(collection, req.query.sort)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}:
+ *   put:
+ *     tags:
+ *       - Favorites
+ *     summary: Rename a favorite collection or change its description
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Collection updated
+ *       400:
+ *         description: Name already used
+ *       404:
+ *         description: Collection not found
+ */
+router.put('/:id', favoriteValidation.updateCollection, asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  
+  if (name !== undefined) {
+    await favoriteService.checkCollectionName(req.user.id, name, collection._id);
+    collection.name = name;
+  }
+  
+  if (description !== undefined) collection.description = description;
+  
+  await collection.save();
+  
+  res.json({
+    success: true,
+    message: 'مجموعه به‌روز شد',
+    message_en: 'Collection updated',
+    collection: collection.toSummary()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}:
+ *   delete:
+ *     tags:
+ *       - Favorites
+ *     summary: Delete a favorite collection
+ *     description: Delete a collection and its entries. The default collection cannot be deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection deleted
+ *       400:
+ *         description: The default collection cannot be deleted
+ *       404:
+ *         description: Collection not found
+ */
+router.delete('/:id', favoriteValidation.collection, asyncHandler(async (req, res) => {
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  
+  if (collection.isDefault) {
+    throw new BadRequestError(
+      'مجموعه پیش‌فرض قابل حذف نیست',
+      'The default collection cannot be deleted'
+    );
+  }
+  
+  await collection.deleteOne();
+  await SharedList.deleteMany({ collectionId: collection._id });
+  await favoriteService.syncFavorites(req.user.id);
+  
+  res.json({
+    success: true,
+    message: 'مجموعه حذف شد',
+    message_en: 'Collection deleted'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/entries:
+ *   post:
+ *     tags:
+ *       - Favorites
+ *     summary: Add a university program or job to a collection
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *               - type
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [university, job]
+ *               note:
+ *                 type: string
+ *                 description: Private note
+ *               priority:
+ *                 type: string
+ *                 enum: [high, medium, low]
+ *                 default: medium
+ *               position:
+ *                 type: integer
+ *                 description: Zero-based position in the collection (default the end)
+ *     responses:
+ *       201:
+ *         description: Added to the collection
+ *       400:
+ *         description: Already in the collection, or the collection is full
+ *       404:
+ *         description: Collection or item not found
+ */
+router.post('/:id/entries', favoriteValidation.addEntry, asyncHandler(async (req, res) => {
+  const { itemId, type, note, priority, position } = req.body;
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  const item = await favoriteService.findItem(type, itemId);
+  
+  const entry = favoriteService.addEntry(collection, type, item, { note, priority }, position);
+  await collection.save();
+  await favoriteService.syncFavorites(req.user.id);
+  
+  res.status(201).json({
+    success: true,
+    message: 'به مجموعه اضافه شد',
+    message_en: 'Added to the collection',
+    entry: { ...favoriteService.toEntry(entry), item }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/entries/{entryId}:
+ *   put:
+ *     tags:
+ *       - Favorites
+ *     summary: Change the note, priority or position of an entry
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: entryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [high, medium, low]
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       404:
+ *         description: Collection or entry not found
+ */
+router.put('/:id/entries/:entryId', favoriteValidation.updateEntry, asyncHandler(async (req, res) => {
+  const { note, priority, position } = req.body;
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  let entry = favoriteService.findEntry(collection, req.params.entryId);
+  
+  if (note !== undefined) entry.note = note || undefined;
+  if (priority !== undefined) entry.priority = priority;
+  if (position !== undefined) entry = favoriteService.moveEntry(collection, entry, position);
+  
+  await collection.save();
+  
+  res.json({
+    success: true,
+    message: 'مورد به‌روز شد',
+    message_en: 'Entry updated',
+    entry: favoriteService.toEntry(entry)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/entries/{entryId}:
+ *   delete:
+ *     tags:
+ *       - Favorites
+ *     summary: Remove an entry from a collection
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: entryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from the collection
+ *       404:
+ *         description: Collection or entry not found
+ */
+router.delete('/:id/entries/:entryId', favoriteValidation.entry, asyncHandler(async (req, res) => {
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  const entry = favoriteService.findEntry(collection, req.params.entryId);
+  
+  collection.entries.pull(entry._id);
+  await collection.save();
+  await favoriteService.syncFavorites(req.user.id);
+  
+  res.json({
+    success: true,
+    message: 'از مجموعه حذف شد',
+    message_en: 'Removed from the collection'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/order:
+ *   put:
+ *     tags:
+ *       - Favorites
+ *     summary: Reorder a collection
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - entries
+ *             properties:
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every entry ID of the collection, in the new order
+ *     responses:
+ *       200:
+ *         description: Collection reordered
+ *       400:
+ *         description: The list does not match the entries of the collection
+ *       404:
+ *         description: Collection not found
+ */
+router.put('/:id/order', favoriteValidation.reorder, asyncHandler(async (req, res) => {
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  
+  favoriteService.reorderEntries(collection, req.body.entries);
+  await collection.save();
+  
+  res.json({
+    success: true,
+    message: 'ترتیب مجموعه به‌روز شد',
+    message_en: 'Collection reordered',
+    entries: collection.entries.map(favoriteService.toEntry)
+  });
+}));
+
+/**
+ * Handler that moves or copies an entry to another collection
+ * @param {Boolean} copy - Keep the entry in its current collection
+ * @returns {Function} - Express handler
+ */
+const transfer = (copy) => asyncHandler(async (req, res) => {
+  const { collectionId, position } = req.body;
+  const source = await favoriteService.findCollection(req.user.id, req.params.id);
+  const entry = favoriteService.findEntry(source, req.params.entryId);
+  const target = await favoriteService.findCollection(req.user.id, collectionId);
+  
+  const added = await favoriteService.transferEntry(source, target, entry, { copy, position });
+  
+  res.json({
+    success: true,
+    message: copy ? 'به مجموعه دیگر کپی شد' : 'به مجموعه دیگر منتقل شد',
+    message_en: copy ? 'Copied to the other collection' : 'Moved to the other collection',
+    entry: favoriteService.toEntry(added),
+    collection: target.toSummary()
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/entries/{entryId}/move:
+ *   post:
+ *     tags:
+ *       - Favorites
+ *     summary: Move an entry to another collection
+ *     description: The note and priority move with the entry
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: entryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - collectionId
+ *             properties:
+ *               collectionId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Entry moved
+ *       400:
+ *         description: Already in the target collection
+ *       404:
+ *         description: Collection or entry not found
+ */
+router.post('/:id/entries/:entryId/move', favoriteValidation.transfer, transfer(false));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/entries/{entryId}/copy:
+ *   post:
+ *     tags:
+ *       - Favorites
+ *     summary: Copy an entry to another collection
+ *     description: The copy starts with the same note and priority
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: entryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - collectionId
+ *             properties:
+ *               collectionId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Entry copied
+ *       400:
+ *         description: Already in the target collection
+ *       404:
+ *         description: Collection or entry not found
+ */
+router.post('/:id/entries/:entryId/copy', favoriteValidation.transfer, transfer(true));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/share:
+ *   get:
+ *     tags:
+ *       - Favorites
+ *     summary: Get the public link of a collection
+ *     description: The link with its expiry and how often it was opened. Expired links are shown until they are revoked or replaced.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link details
+ *       404:
+ *         description: Collection not found, or not shared
+ */
+router.get('/:id/share', favoriteValidation.collection, asyncHandler(async (req, res) => {
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  const share = await favoriteService.findShare(collection);
+  
+  res.json({
+    success: true,
+    share: share.toSummary(shareUrl(req, share.slug))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/share:
+ *   post:
+ *     tags:
+ *       - Favorites
+ *     summary: Share a collection with a public link
+ *     description: Anyone with the link can see the collection without signing in, but not the notes. A link created before for the collection stops working.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Days the link stays valid (default no expiry)
+ *     responses:
+ *       201:
+ *         description: Link created
+ *       404:
+ *         description: Collection not found
+ */
+router.post('/:id/share', favoriteValidation.share, asyncHandler(async (req, res) => {
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  const share = await favoriteService.shareCollection(collection, req.body.expiresInDays);
+  
+  await AuditEvent.record(req, 'favorite.share.create', {
+    details: { collectionId: collection._id, expiresAt: share.expiresAt }
+  });
+  
+  res.status(201).json({
+    success: true,
+    message: 'پیوند عمومی مجموعه ساخته شد',
+    message_en: 'Public link created',
+    share: share.toSummary(shareUrl(req, share.slug))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/share:
+ *   put:
+ *     tags:
+ *       - Favorites
+ *     summary: Change the expiry of a public link
+ *     description: The expiry counts from now. An expired link can be opened again by extending it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - expiresInDays
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Days the link stays valid, or null for no expiry
+ *     responses:
+ *       200:
+ *         description: Expiry updated
+ *       404:
+ *         description: Collection not found, or not shared
+ */
+router.put('/:id/share', favoriteValidation.updateShare, asyncHandler(async (req, res) => {
+  const { expiresInDays } = req.body;
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  const share = await favoriteService.findShare(collection);
+  
+  share.expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined;
+  await share.save();
+  
+  res.json({
+    success: true,
+    message: 'مدت اعتبار پیوند به‌روز شد',
+    message_en: 'Link expiry updated',
+    share: share.toSummary(shareUrl(req, share.slug))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/favorite/collections/{id}/share:
+ *   delete:
+ *     tags:
+ *       - Favorites
+ *     summary: Revoke the public link of a collection
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link revoked
+ *       404:
+ *         description: Collection not found, or not shared
+ */
+router.delete('/:id/share', favoriteValidation.collection, asyncHandler(async (req, res) => {
+  const collection = await favoriteService.findCollection(req.user.id, req.params.id);
+  const share = await favoriteService.findShare(collection);
+  
+  share.revokedAt = new Date();
+  await share.save();
+  
+  await AuditEvent.record(req, 'favorite.share.revoke', {
+    details: { collectionId: collection._id, viewCount: share.viewCount }
+  });
+  
+  res.json({
+    success: true,
+    message: 'پیوند عمومی باطل شد',
+    message_en: 'Public link revoked'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const express = require('express');
+const User = require('../models/User');
+const Document = require('../models/Document');
+const storageService = require('../services/storageService');
+const { authenticateToken, requireVerifiedEmail } = require('../utils/auth');
+const { uploadFile, detectFormat, MAX_FILE_SIZE, USER_QUOTA } = require('../utils/upload');
+const { documentValidation } = require('../utils/validator');
+const { asyncHandler } = require('../utils/errorHandler');
+const { BadRequestError, NotFoundError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Documents are only available to signed-in users with a verified email
+router.use(authenticateToken, requireVerifiedEmail);
+
+/**
+ * Storage usage of a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - { used, quota, maxFileSize } in bytes
+ */
+const usageOf = async (userId) => ({
+  used: await Document.usageOf(userId),
+  quota: USER_QUOTA,
+  maxFileSize: MAX_FILE_SIZE
+});
+
+/**
+ * Find one of the signed-in user's documents
+ * @param {Object} req - Express request object
+ * @param {Boolean} withStorageKey - Whether to load the storage key
+ * @returns {Promise<Object>} - Document
+ */
+const findDocument = async (req, withStorageKey = false) => {
+  const query = Document.findOne({ _id: req.params.id, user: req.user.id });
+  const document = await (withStorageKey ? query.select('+storageKey') : query);
+  
+  if (!document) {
+    throw new NotFoundError(
+      'سند یافت نشد',
+      'Document not found'
+    );
+  }
+  
+  return document;
+};
+
+/**
+ * IDs of the applications each document is attached to
+ * @param {String} userId - User ID
+ * @returns {Promise<Map>} - Application IDs by document ID
+ */
+const applicationsByDocument = async (userId) => {
+  const user = await User.findById(userId).select('applications._id applications.documents');
+  const result = new Map();
+  
+  for (const application of user ? user.applications : []) {
+    for (const documentId of application.documents || []) {
+      const key = documentId.toString();
+      result.set(key, [...(result.get(key) || []), application._id]);
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * @swagger
+ * /api/v1/documents:
+ *   get:
+ *     tags:
+ *       - Documents
+ *     summary: List documents
+ *     description: The user's uploaded documents, newest first, with the applications they are attached to and the storage usage
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [cv, transcript, language-certificate, recommendation-letter, other]
+ *     responses:
+ *       200:
+ *         description: Documents and usage in bytes
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
+ */
+router.get('/', documentValidation.list, asyncHandler(async (req, res) => {
+  const filter = { user: req.user.id };
+  
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+  
+  const documents = await Document.find(filter).sort({ createdAt: -1 });
+  const applications = await applicationsByDocument(req.user.id);
+  
+  res.json({
+    success: true,
+    documents: documents.map(document => ({
+      ...document.toSummary(),
+      applications: applications.get(document._id.toString()) || []
+    })),
+    usage: await usageOf(req.user.id)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/documents:
+ *   post:
+ *     tags:
+ *       - Documents
+ *     summary: Upload a document
+ *     description: Upload a CV, transcript, language certificate, recommendation letter or other document as PDF, JPEG, PNG or DOCX. The file counts towards the user's storage quota.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - type
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               type:
+ *                 type: string
+ *                 enum: [cv, transcript, language-certificate, recommendation-letter, other]
+ *               name:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: Name shown in lists (default the file name)
+ *     responses:
+ *       201:
+ *         description: Document uploaded
+ *       400:
+ *         description: Missing, too large, unsupported or duplicate file, or quota exceeded
+ */
+router.post('/', uploadFile, documentValidation.upload, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError(
+      'فایل الزامی است',
+      'A file is required in the file field'
+    );
+  }
+  
+  const { buffer, originalname: fileName, size } = req.file;
+  const format = detectFormat(fileName, buffer);
+  
+  if (!format) {
+    throw new BadRequestError(
+      'نوع فایل پشتیبانی نمی‌شود. فایل‌های PDF، JPEG، PNG و DOCX مجاز هستند',
+      'Unsupported file type. PDF, JPEG, PNG and DOCX files are allowed'
+    );
+  }
+  
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await Document.findOne({ user: req.user.id, sha256 });
+  
+  if (existing) {
+    throw new BadRequestError(
+      `این فایل قبلاً با نام «${existing.name}» بارگذاری شده است`,
+      `This file was already uploaded as "${existing.name}"`
+    );
+  }
+  
+  const used = await Document.usageOf(req.user.id);
+  
+  if (used + size > USER_QUOTA) {
+    throw new BadRequestError(
+      'فضای ذخیره‌سازی شما کافی نیست. لطفا ابتدا اسناد قدیمی را حذف کنید',
+      'Not enough storage space left. Please delete old documents first'
+    );
+  }
+  
+  const storageKey = `${req.user.id}/${crypto.randomBytes(16).toString('hex')}`;
+  await storageService.save(storageKey, buffer, format.mimeType);
+  
+  let document;
+  
+  try {
+    document = await Document.create({
+      user: req.user.id,
+      type: req.body.type,
+      name: req.body.name || fileName,
+      fileName,
+      mimeType: format.mimeType,
+      size,
+      sha256,
+      storageKey
+    });
+  } catch (error) {
+    await storageService.remove(storageKey);
+    throw error;
+  }
+  
+  logger.info('Document uploaded', { userId: req.user.id, documentId: document._id, size });
+  
+  res.status(201).json({
+    success: true,
+    message: 'سند با موفقیت بارگذاری شد',
+    message_en: 'Document uploaded successfully',
+    document: { ...document.toSummary(), applications: [] },
+    usage: await usageOf(req.user.id)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/documents/{id}:
+ *   get:
+ *     tags:
+ *       - Documents
+ *     summary: Get a document
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document details and the applications it is attached to
+ *       404:
+ *         description: Document not found
+ */
+router.get('/:id', documentValidation.byId, asyncHandler(async (req, res) => {
+  const document = await findDocument(req);
+  const applications = await applicationsByDocument(req.user.id);
+  
+  res.json({
+    success: true,
+    document: {
+      ...document.toSummary(),
+      applications: applications.get(document._id.toString()) || []
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/documents/{id}/download:
+ *   get:
+ *     tags:
+ *       - Documents
+ *     summary: Download a document
+ *     description: The file as an attachment, only for its owner
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Document not found
+ */
+router.get('/:id/download', documentValidation.byId, asyncHandler(async (req, res) => {
+  const document = await findDocument(req, true);
+  const stream = await storageService.createReadStream(document.storageKey);
+  
+  // attachment() guesses the type from the file name, so the stored type is set after it
+  res.attachment(document.fileName);
+  res.set({
+    'Content-Type': document.mimeType,
+    'Content-Length': String(document.size),
+    'Cache-Control': 'private, no-store'
+  });
+  
+  stream.on('error', (error) => {
+    logger.error('Error streaming document', { documentId: document._id, error: error.message });
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}));
+
+/**
+ * @swagger
+ * /api/v1/documents/{id}:
+ *   put:
+ *     tags:
+ *       - Documents
+ *     summary: Rename a document or change its type
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 200
+ *               type:
+ *                 type: string
+ *                 enum: [cv, transcript, language-certificate, recommendation-letter, other]
+ *     responses:
+ *       200:
+ *         description: Document updated
+ *       404:
+ *         description: Document not found
+ */
+router.put('/:id', documentValidation.update, asyncHandler(async (req, res) => {
+  const document = await findDocument(req);
+  
+  if (req.body.name !== undefined) document.name = req.body.name;
+  if (req.body.type !== undefined) document.type = req.body.type;
+  
+  await document.save();
+  
+  res.json({
+    success: true,
+    message: 'سند با موفقیت به‌روز شد',
+    message_en: 'Document updated successfully',
+    document: document.toSummary()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/documents/{id}:
+ *   delete:
+ *     tags:
+ *       - Documents
+ *     summary: Delete a document
+ *     description: Delete the file and remove it from every application it is attached to
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *       404:
+ *         description: Document not found
+ */
+router.delete('/:id', documentValidation.byId, asyncHandler(async (req, res) => {
+  const document = await findDocument(req, true);
+  
+  await User.updateOne(
+    { _id: req.user.id },
+    { $pull: { 'applications.$[].documents': document._id } }
+  );
+  await document.deleteOne();
+  await storageService.remove(document.storageKey);
+  
+  res.json({
+    success: true,
+    message: 'سند با موفقیت حذف شد',
+    message_en: 'Document deleted successfully',
+    usage: await usageOf(req.user.id)
+  });
+}));
+
+module.exports = router;
@@ -1,14 +1,15 @@
 const express = require('express');
-const User = require('../models/User');
-const University = require('../models/University');
-const Job = require('../models/Job');
-const { authMiddleware } = require('../utils/auth');
+const favoriteService = require('../services/favoriteService');
+const { authenticateToken, requireVerifiedEmail } = require('../utils/auth');
 const { favoriteValidation } = require('../utils/validator');
 const { asyncHandler } = require('../utils/errorHandler');
 const { BadRequestError, NotFoundError } = require('../utils/errorHandler');
 
 const router = express.Router();
 
+// Favorites are only available to signed-in users with a verified email
+router.use(authenticateToken, requireVerifiedEmail);
+
 /**
  * @swagger
  * /api/v1/favorites:
@@ -16,7 +17,7 @@ const router = express.Router();
  *     tags:
  *       - Favorites
  *     summary: Get user favorites
- *     description: Get a list of user's favorite universities and jobs
+ *     description: Get the universities and jobs in the user's default favorite collection
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -24,21 +25,23 @@ const router = express.Router();
  *         description: User favorites
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
  */
-router.get('/', authMiddleware, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id)
-    .populate('favorites.universities')
-    .populate('favorites.jobs');
+router.get('/', asyncHandler(async (req, res) => {
+  const collection = await favoriteService.getDefaultCollection(req.user.id);
+  await collection.populate('entries.item');
   
-  if (!user) {
-    throw new NotFoundError('کاربر یافت نشد', 'User not found');
-  }
+  // The item may have been removed since it was saved
+  const itemsOf = (type) => collection.entries
+    .filter(entry => favoriteService.typeOf(entry) === type && entry.item)
+    .map(entry => entry.item);
   
   res.json({
     success: true,
     favorites: {
-      universities: user.favorites.universities || [],
-      jobs: user.favorites.jobs || []
+      universities: itemsOf('university'),
+      jobs: itemsOf('job')
     }
   });
 }));
@@ -50,7 +53,7 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
  *     tags:
  *       - Favorites
  *     summary: Add an item to favorites
- *     description: Add a university or job to user's favorites
+ *     description: Add a university or job to the user's default favorite collection
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -75,55 +78,31 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
  *         description: Bad request
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
  *       404:
  *         description: Item not found
  */
-router.post('/add', authMiddleware, favoriteValidation.add, asyncHandler(async (req, res) => {
+router.post('/add', favoriteValidation.add, asyncHandler(async (req, res) => {
   const { id, type } = req.body;
-  let item;
-  
-  // Find item based on type
-  if (type === 'university') {
-    item = await University.findById(id);
-  } else if (type === 'job') {
-    item = await Job.findById(id);
-  }
-  
-  if (!item) {
-    throw new NotFoundError(
-      'مورد مورد نظر یافت نشد',
-      'Item not found'
-    );
-  }
-  
-  // Find user
-  const user = await User.findById(req.user._id);
-  
-  if (!user) {
-    throw new NotFoundError('کاربر یافت نشد', 'User not found');
-  }
+  const item = await favoriteService.findItem(type, id);
+  const collection = await favoriteService.getDefaultCollection(req.user.id);
   
   // Check if already in favorites
-  if (type === 'university') {
-    if (user.favorites.universities.includes(id)) {
-      throw new BadRequestError(
-        'این دانشگاه قبلاً به علاقه‌مندی‌ها اضافه شده است',
-        'This university is already in favorites'
-      );
-    }
-    user.favorites.universities.push(id);
-  } else if (type === 'job') {
-    if (user.favorites.jobs.includes(id)) {
-      throw new BadRequestError(
-        'این شغل قبلاً به علاقه‌مندی‌ها اضافه شده است',
-        'This job is already in favorites'
-      );
-    }
-    user.favorites.jobs.push(id);
+  if (collection.findEntry(id)) {
+    throw new BadRequestError(
+      type === 'university'
+        ? 'این دانشگاه قبلاً به علاقه‌مندی‌ها اضافه شده است'
+        : 'این شغل قبلاً به علاقه‌مندی‌ها اضافه شده است',
+      type === 'university'
+        ? 'This university is already in favorites'
+        : 'This job is already in favorites'
+    );
   }
   
-  // Save user
-  await user.save();
+  favoriteService.addEntry(collection, type, item);
+  await collection.save();
+  await favoriteService.syncFavorites(req.user.id);
   
   res.json({
     success: true,
@@ -139,7 +118,7 @@ router.post('/add', authMiddleware, favoriteValidation.add, asyncHandler(async (
  *     tags:
  *       - Favorites
  *     summary: Remove from favorites
- *     description: Remove a university or job from user's favorites
+ *     description: Remove a university or job from the user's default favorite collection
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -161,47 +140,26 @@ router.post('/add', authMiddleware, favoriteValidation.add, asyncHandler(async (
  *         description: Bad request
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
  *       404:
  *         description: Item not found in favorites
  */
-router.delete('/:type/:id', authMiddleware, favoriteValidation.remove, asyncHandler(async (req, res) => {
+router.delete('/:type/:id', favoriteValidation.remove, asyncHandler(async (req, res) => {
   const { id, type } = req.params;
+  const collection = await favoriteService.getDefaultCollection(req.user.id);
+  const entry = collection.findEntry(id);
   
-  // Find user
-  const user = await User.findById(req.user._id);
-  
-  if (!user) {
-    throw new NotFoundError('کاربر یافت نشد', 'User not found');
-  }
-  
-  // Remove from favorites
-  let removed = false;
-  
-  if (type === 'university') {
-    if (user.favorites.universities.includes(id)) {
-      user.favorites.universities = user.favorites.universities.filter(
-        item => item.toString() !== id
-      );
-      removed = true;
-    }
-  } else if (type === 'job') {
-    if (user.favorites.jobs.includes(id)) {
-      user.favorites.jobs = user.favorites.jobs.filter(
-        item => item.toString() !== id
-      );
-      removed = true;
-    }
-  }
-  
-  if (!removed) {
+  if (!entry || favoriteService.typeOf(entry) !== type) {
     throw new NotFoundError(
       'این مورد در علاقه‌مندی‌های شما یافت نشد',
       'Item not found in your favorites'
     );
   }
   
-  // Save user
-  await user.save();
+  collection.entries.pull(entry._id);
+  await collection.save();
+  await favoriteService.syncFavorites(req.user.id);
   
   res.json({
     success: true,
@@ -0,0 +1,256 @@
+const express = require('express');
+const User = require('../models/User');
+const University = require('../models/University');
+const Job = require('../models/Job');
+const ReminderLog = require('../models/ReminderLog');
+const applicationService = require('../services/applicationService');
+const { followedItems, findWithDeadline } = require('../services/reminderService');
+const { authenticateToken, requireVerifiedEmail } = require('../utils/auth');
+const { reminderValidation } = require('../utils/validator');
+const { daysUntil } = require('../utils/jalali');
+const { asyncHandler } = require('../utils/errorHandler');
+const { BadRequestError, NotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// Reminders are only available to signed-in users with a verified email
+router.use(authenticateToken, requireVerifiedEmail);
+
+/**
+ * Load the signed-in user
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - User document
+ */
+const findUser = async (req) => {
+  const user = await User.findById(req.user.id);
+  
+  if (!user) {
+    throw new NotFoundError('کاربر یافت نشد', 'User not found');
+  }
+  
+  return user;
+};
+
+/**
+ * Shape the reminder settings for API responses
+ * @param {Object} user - User document
+ * @returns {Object} - { channel, leadDays, mutedItems }
+ */
+const toSettings = (user) => ({
+  channel: user.reminders.channel,
+  leadDays: [...user.reminders.leadDays].sort((a, b) => b - a),
+  mutedItems: user.reminders.mutedItems
+});
+
+/**
+ * @swagger
+ * /api/v1/reminders:
+ *   get:
+ *     tags:
+ *       - Reminders
+ *     summary: Reminder settings and upcoming deadlines
+ *     description: The reminder settings, and the open deadlines of favorited and applied programs and jobs, closest first
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings and upcoming deadlines with itemType (University or Job), daysLeft, muted and why the item is followed
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+  const followed = followedItems(user, await applicationService.getStages());
+  const muted = new Set(user.reminders.mutedItems.map(id => id.toString()));
+  
+  const upcoming = await findWithDeadline({ $gte: new Date() }, { _id: { $in: [...followed.keys()] } });
+  
+  res.json({
+    success: true,
+    settings: toSettings(user),
+    upcoming: upcoming.map(({ itemType, item }) => ({
+      item,
+      itemType,
+      daysLeft: daysUntil(item.deadlineAt),
+      muted: muted.has(item._id.toString()),
+      followedAs: followed.get(item._id.toString())
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/reminders/settings:
+ *   put:
+ *     tags:
+ *       - Reminders
+ *     summary: Change reminder settings
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, none]
+ *                 description: SMS needs a verified phone number, none turns reminders off
+ *               leadDays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 30
+ *                 example: [14, 7, 1]
+ *                 description: Days before a deadline to send a reminder, 0 for the day itself
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: SMS chosen without a verified phone number
+ */
+router.put('/settings', reminderValidation.updateSettings, asyncHandler(async (req, res) => {
+  const { channel, leadDays } = req.body;
+  const user = await findUser(req);
+  
+  if (channel === 'sms' && !(user.phone && user.phoneVerified)) {
+    throw new BadRequestError(
+      'برای یادآوری پیامکی ابتدا شماره موبایل خود را تایید کنید',
+      'Verify your phone number before choosing SMS reminders'
+    );
+  }
+  
+  if (channel !== undefined) user.reminders.channel = channel;
+  if (leadDays !== undefined) user.reminders.leadDays = [...new Set(leadDays)];
+  
+  await user.save();
+  
+  res.json({
+    success: true,
+    message: 'تنظیمات یادآوری به‌روز شد',
+    message_en: 'Reminder settings updated',
+    settings: toSettings(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/reminders/muted/{itemId}:
+ *   put:
+ *     tags:
+ *       - Reminders
+ *     summary: Mute a program or job
+ *     description: Stop reminders for one program or job, while keeping it in favorites and applications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item muted
+ *       404:
+ *         description: Program or job not found
+ */
+router.put('/muted/:itemId', reminderValidation.item, asyncHandler(async (req, res) => {
+  const [program, job] = await Promise.all([
+    University.exists({ _id: req.params.itemId }),
+    Job.exists({ _id: req.params.itemId })
+  ]);
+  const item = program || job;
+  
+  if (!item) {
+    throw new NotFoundError(
+      'برنامه دانشگاهی یا شغل مورد نظر یافت نشد',
+      'University program or job not found'
+    );
+  }
+  
+  const user = await findUser(req);
+  
+  if (!user.reminders.mutedItems.some(id => id.equals(item._id))) {
+    user.reminders.mutedItems.push(item._id);
+    await user.save();
+  }
+  
+  res.json({
+    success: true,
+    message: 'یادآوری این مورد خاموش شد',
+    message_en: 'Reminders muted for this item',
+    settings: toSettings(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/reminders/muted/{itemId}:
+ *   delete:
+ *     tags:
+ *       - Reminders
+ *     summary: Unmute a program or job
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item unmuted
+ */
+router.delete('/muted/:itemId', reminderValidation.item, asyncHandler(async (req, res) => {
+  const user = await findUser(req);
+  
+  user.reminders.mutedItems = user.reminders.mutedItems.filter(id => id.toString() !== req.params.itemId);
+  await user.save();
+  
+  res.json({
+    success: true,
+    message: 'یادآوری این مورد روشن شد',
+    message_en: 'Reminders unmuted for this item',
+    settings: toSettings(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/v1/reminders/history:
+ *   get:
+ *     tags:
+ *       - Reminders
+ *     summary: Sent reminders
+ *     description: The last 50 reminders sent to the user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sent reminders with the program or job, lead time and channel
+ */
+router.get('/history', asyncHandler(async (req, res) => {
+  const reminders = await ReminderLog.find({ user: req.user.id })
+    .sort({ sentAt: -1 })
+    .limit(50)
+    .populate('item');
+  
+  res.json({
+    success: true,
+    reminders: reminders.map(reminder => ({
+      item: reminder.item,
+      itemType: reminder.itemType,
+      leadDays: reminder.leadDays,
+      deadlineAt: reminder.deadlineAt,
+      channel: reminder.channel,
+      sentAt: reminder.sentAt
+    }))
+  });
+}));
+
+module.exports = router;
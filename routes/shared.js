@@ -0,0 +1,72 @@
+const express = require('express');
+const User = require('../models/User');
+const SharedList = require('../models/SharedList');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const favoriteService = require('../services/favoriteService');
+const { asyncHandler } = require('../utils/errorHandler');
+const { NotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/shared/{slug}:
+ *   get:
+ *     tags:
+ *       - Favorites
+ *     summary: Shared favorite list
+ *     description: Read-only view of a collection shared with a public link. No sign-in is needed, the slug is the only key. Private notes and the owner are not shown. University programs and jobs that were removed or deactivated since are shown as they were last seen, with available set to false.
+ *     parameters:
+ *       - name: slug
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection name, description and entries
+ *       404:
+ *         description: Unknown, expired or revoked link
+ */
+router.get('/:slug', asyncHandler(async (req, res) => {
+  const notFound = new NotFoundError('فهرست یافت نشد یا منقضی شده است', 'Shared list not found or expired');
+  
+  const share = await SharedList.findOne({ slug: req.params.slug, ...SharedList.activeFilter() });
+  
+  if (!share) {
+    throw notFound;
+  }
+  
+  // Lists of disabled accounts, or accounts waiting to be deleted, are hidden
+  const [owner, collection] = await Promise.all([
+    User.exists({ _id: share.user, disabled: { $ne: true }, 'deletion.scheduledFor': { $exists: false } }),
+    FavoriteCollection.findById(share.collectionId).populate('entries.item')
+  ]);
+  
+  if (!owner || !collection) {
+    throw notFound;
+  }
+  
+  const update = { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } };
+  
+  if (favoriteService.refreshSnapshots(share, collection)) {
+    update.$set.snapshots = share.snapshots.map(snapshot => (snapshot.toObject ? snapshot.toObject() : snapshot));
+  }
+  
+  await SharedList.updateOne({ _id: share._id }, update);
+  
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    list: {
+      name: collection.name,
+      description: collection.description,
+      sharedAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      updatedAt: collection.updatedAt,
+      entries: favoriteService.toSharedEntries(share, collection)
+    }
+  });
+}));
+
+module.exports = router;
@@ -7,6 +7,9 @@ const { universityValidation } = require('../utils/validator');
 const { asyncHandler } = require('../utils/errorHandler');
 const { NotFoundError } = require('../utils/errorHandler');
 const { cacheMiddleware } = require('../utils/cache');
+const { parseDate, startOfDay, endOfDay, daysUntil } = require('../utils/jalali');
+
+const DAY = 24 * 60 * 60 * 1000;
 
 /**
  * @swagger
@@ -47,7 +50,17 @@ const { cacheMiddleware } = require('../utils/cache');
  *           description: University location
  *         deadline:
  *           type: string
- *           description: Application deadline
+ *           description: Application deadline as received from the source
+ *         deadlineAt:
+ *           type: string
+ *           format: date-time
+ *           description: End of the deadline day in Iran, missing if the deadline is not a date
+ *         deadlineJalali:
+ *           type: string
+ *           example: 1402/05/15
+ *         deadlineGregorian:
+ *           type: string
+ *           example: 2023-08-06
  *         requirements:
  *           type: array
  *           items:
@@ -115,7 +128,7 @@ router.get('/', cacheMiddleware(1800), asyncHandler(async (req, res) => {
  *     tags:
  *       - University
  *     summary: Search university programs
- *     description: Search university programs by query, field, and location
+ *     description: Search university programs by query, field, location and deadline. Dates can be Jalali (1402/05/15) or Gregorian (2023-08-06), also with Persian digits.
  *     parameters:
  *       - name: query
  *         in: query
@@ -132,6 +145,28 @@ router.get('/', cacheMiddleware(1800), asyncHandler(async (req, res) => {
  *         schema:
  *           type: string
  *         description: University location
+ *       - name: deadlineFrom
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Deadline on or after this day
+ *       - name: deadlineTo
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Deadline on or before this day
+ *       - name: openOnly
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only programs whose deadline has not passed
+ *       - name: sort
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [name, deadline]
+ *         description: Sort by name (default) or by closest deadline, which leaves out programs without a date deadline. A search query sorts by relevance.
  *       - name: page
  *         in: query
  *         schema:
@@ -152,7 +187,8 @@ router.get('/', cacheMiddleware(1800), asyncHandler(async (req, res) => {
  *         description: Bad request
  */
 router.get('/search', universityValidation.search, cacheMiddleware(1800), asyncHandler(async (req, res) => {
-  const { query, field, location } = req.query;
+  const { query, field, location, deadlineFrom, deadlineTo, sort } = req.query;
+  const openOnly = req.query.openOnly === 'true';
   const page = parseInt(req.query.page) || 1;
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
   const skip = (page - 1) * limit;
@@ -175,9 +211,28 @@ router.get('/search', universityValidation.search, cacheMiddleware(1800), asyncH
     filter.location = { $regex: new RegExp(location.trim(), 'i') };
   }
   
+  // Add deadline filters if provided, programs without a readable deadline never match
+  if (deadlineFrom || deadlineTo || openOnly || sort === 'deadline') {
+    const from = [];
+    
+    if (deadlineFrom) from.push(startOfDay(parseDate(deadlineFrom)));
+    if (openOnly) from.push(new Date());
+    
+    filter.deadlineAt = { $exists: true };
+    if (from.length > 0) filter.deadlineAt.$gte = new Date(Math.max(...from));
+    if (deadlineTo) filter.deadlineAt.$lte = endOfDay(parseDate(deadlineTo));
+  }
+  
+  // Sort by relevance for text searches, otherwise by name or closest deadline
+  let order = sort === 'deadline' ? { deadlineAt: 1, name: 1 } : { name: 1 };
+  
+  if (query) {
+    order = { score: { $meta: 'textScore' } };
+  }
+  
   // Execute search
   const programs = await University.find(filter)
-    .sort(query ? { score: { $meta: 'textScore' } } : { name: 1 })
+    .sort(order)
     .skip(skip)
     .limit(limit);
   
@@ -188,6 +243,9 @@ router.get('/search', universityValidation.search, cacheMiddleware(1800), asyncH
     query: query || '',
     field: field || '',
     location: location || '',
+    deadlineFrom: deadlineFrom || '',
+    deadlineTo: deadlineTo || '',
+    openOnly,
     page,
     limit,
     total,
@@ -196,6 +254,91 @@ router.get('/search', universityValidation.search, cacheMiddleware(1800), asyncH
   });
 }));
 
+/**
+ * @swagger
+ * /api/v1/university/closing-soon:
+ *   get:
+ *     tags:
+ *       - University
+ *     summary: Programs closing soon
+ *     description: Open programs whose deadline is within the next days, closest first, with the days left
+ *     parameters:
+ *       - name: days
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *         description: Number of days ahead
+ *       - name: field
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Field of study
+ *       - name: location
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: University location
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Programs with daysLeft, 0 for programs closing today
+ */
+router.get('/closing-soon', universityValidation.closingSoon, cacheMiddleware(900), asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const { field, location } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const now = new Date();
+  
+  const filter = {
+    deadlineAt: {
+      $gte: now,
+      $lte: endOfDay(parseDate(new Date(now.getTime() + days * DAY)))
+    }
+  };
+  
+  if (field && field.trim()) {
+    filter.field = { $regex: new RegExp(field.trim(), 'i') };
+  }
+  
+  if (location && location.trim()) {
+    filter.location = { $regex: new RegExp(location.trim(), 'i') };
+  }
+  
+  const programs = await University.find(filter)
+    .sort({ deadlineAt: 1, name: 1 })
+    .skip(skip)
+    .limit(limit);
+  
+  const total = await University.countDocuments(filter);
+  
+  res.json({
+    success: true,
+    days,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    data: programs.map(program => ({
+      ...program.toJSON(),
+      daysLeft: daysUntil(program.deadlineAt, now)
+    }))
+  });
+}));
+
 /**
  * @swagger
  * /api/v1/university/{id}:
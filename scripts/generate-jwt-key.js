@@ -0,0 +1,48 @@
+/**
+ * Generate a JWT signing key in JWT_KEYS_DIR (default: ./keys)
+ *
+ * Usage: npm run jwt:keygen -- [RS256|ES256] [kid]
+ *
+ * To rotate keys, generate a new key and restart the server. New tokens are
+ * signed with the new key (or JWT_SIGNING_KID), the old key keeps verifying
+ * tokens it signed. Once those have expired (JWT_REFRESH_EXPIRES_IN), replace
+ * the old private key file with its public key or delete it.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const algorithm = (process.argv[2] || 'RS256').toUpperCase();
+const kid = process.argv[3] || `${new Date().toISOString().slice(0, 10)}-${algorithm.toLowerCase()}`;
+const dir = process.env.JWT_KEYS_DIR || path.join(process.cwd(), 'keys');
+
+const keyOptions = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'prime256v1' }]
+};
+
+if (!keyOptions[algorithm]) {
+  console.error(`Unsupported algorithm: ${algorithm} (use RS256 or ES256)`);
+  process.exit(1);
+}
+
+if (!/^[\w.-]+$/.test(kid)) {
+  console.error(`Invalid key ID: ${kid} (use letters, digits, ".", "-" and "_")`);
+  process.exit(1);
+}
+
+const file = path.join(dir, `${kid}.pem`);
+
+if (fs.existsSync(file)) {
+  console.error(`Key already exists: ${file}`);
+  process.exit(1);
+}
+
+const [type, options] = keyOptions[algorithm];
+const { privateKey } = crypto.generateKeyPairSync(type, options);
+
+fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`Created ${algorithm} key "${kid}" in ${file}`);
@@ -0,0 +1,107 @@
+/**
+ * Minimal OpenID Connect provider for testing the provider login locally
+ *
+ * Usage: npm run oidc:mock
+ *
+ * Then configure the API with:
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:4010
+ *   OIDC_MOCK_CLIENT_ID=rah-e-ayandeh
+ *   OIDC_REDIRECT_URIS=http://localhost:8080/auth/callback
+ *
+ * Every authorization request is approved at once for MOCK_OIDC_EMAIL
+ * (default: test.user@example.com), or for the login_hint parameter if given.
+ * Set MOCK_OIDC_EMAIL_VERIFIED=false to test an unverified email.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const kid = 'mock-key';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Codes waiting to be exchanged, by code
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, login_hint: loginHint } = req.query;
+  
+  if (!clientId || !redirectUri || !codeChallenge || req.query.code_challenge_method !== 'S256') {
+    return res.status(400).send('client_id, redirect_uri and an S256 code_challenge are required');
+  }
+  
+  const email = (loginHint || process.env.MOCK_OIDC_EMAIL || 'test.user@example.com').toLowerCase();
+  const code = crypto.randomBytes(16).toString('hex');
+  
+  codes.set(code, { clientId, redirectUri, nonce, codeChallenge, email, expiresAt: Date.now() + 60 * 1000 });
+  
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  if (state) target.searchParams.set('state', state);
+  
+  console.log(`Authorized ${email}, redirecting to ${target}`);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const pending = codes.get(code);
+  
+  codes.delete(code);
+  
+  const challenge = codeVerifier && crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  
+  if (grantType !== 'authorization_code'
+    || !pending
+    || pending.expiresAt < Date.now()
+    || pending.clientId !== clientId
+    || pending.redirectUri !== redirectUri
+    || pending.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  
+  const [localPart] = pending.email.split('@');
+  const idToken = jwt.sign({
+    sub: crypto.createHash('sha256').update(pending.email).digest('hex').slice(0, 24),
+    email: pending.email,
+    email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false',
+    preferred_username: localPart,
+    given_name: 'Test',
+    family_name: 'User',
+    nonce: pending.nonce
+  }, privateKey, { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' });
+  
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider running at ${issuer}`);
+});
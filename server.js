@@ -1,19 +1,33 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const rateLimit = require('express-rate-limit');
 const connectDB = require('./config/db');
 const { syncAllData, scheduleSync } = require('./services/syncService');
+const { scheduleAccountPurge } = require('./services/accountService');
+const { scheduleDeadlineReminders } = require('./services/reminderService');
+const University = require('./models/University');
 const { errorHandlerMiddleware } = require('./utils/errorHandler');
 const { initRedis } = require('./utils/cache');
+const { requireApiKey, optionalApiKey } = require('./utils/apiKey');
+const { authenticateToken, authorizePermission } = require('./utils/auth');
+const { getJwks } = require('./utils/jwtKeys');
 const { logger, httpLogger } = require('./utils/logger');
 const universityRouter = require('./routes/university');
 const jobRouter = require('./routes/job');
 const authRouter = require('./routes/auth');
 const favoriteRouter = require('./routes/favorite');
+const collectionRouter = require('./routes/collection');
+const applicationRouter = require('./routes/application');
+const documentRouter = require('./routes/document');
+const reminderRouter = require('./routes/reminder');
+const calendarRouter = require('./routes/calendar');
+const sharedRouter = require('./routes/shared');
+const adminRouter = require('./routes/admin');
 
 // Initialize express app
 const app = express();
@@ -23,6 +37,19 @@ const PORT = process.env.PORT || 3000;
 connectDB().then(() => {
   logger.info('MongoDB connected, initializing data sync...');
   
+  // Delete accounts whose deletion grace period is over (daily at 4 AM)
+  scheduleAccountPurge('0 4 * * *');
+  
+  // Remind users of upcoming deadlines (daily at 9 AM Tehran time)
+  scheduleDeadlineReminders(process.env.REMINDER_CRON || '0 9 * * *');
+  
+  // Parse the deadlines of programs stored before deadlineAt existed
+  University.backfillDeadlines().then(count => {
+    if (count > 0) logger.info(`Parsed deadlines of ${count} university programs`);
+  }).catch(error => {
+    logger.error('Failed to parse university deadlines', { error: error.message });
+  });
+  
   // Do initial data sync
   syncAllData().then(result => {
     logger.info('Initial data sync completed:', 
@@ -46,6 +73,10 @@ const apiLimiter = rateLimit({
   max: process.env.RATE_LIMIT_MAX || 100, // Default: 100 requests per window
   standardHeaders: true,
   legacyHeaders: false,
+  // Login has its own per-account and per-IP protection (utils/loginGuard.js),
+  // and requests with a verified API key use the quota of that key. Only
+  // req.apiKey counts, the header alone proves nothing.
+  skip: (req) => req.path === '/v1/auth/login' || !!req.apiKey,
   message: {
     status: 'error',
     error: 'تعداد درخواست‌ها بیش از حد مجاز است',
@@ -90,6 +121,11 @@ const swaggerOptions = {
           type: 'apiKey',
           in: 'header',
           name: 'x-api-key'
+        },
+        cookieAuth: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'access_token'
         }
       }
     }
@@ -103,13 +139,22 @@ const swaggerDocs = swaggerJsDoc(swaggerOptions);
 app.use(helmet({
   contentSecurityPolicy: false // Disabled for Swagger UI
 }));
-app.use(cors());
+// Browser clients using auth cookies must be listed in CORS_ORIGINS, only
+// those origins may send credentials
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(corsOrigins.length ? { origin: corsOrigins, credentials: true } : {}));
+app.use(cookieParser());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // HTTP request logging
 app.use(httpLogger);
 
+// API keys are verified before the rate limiter, so that it can tell which
+// requests use the quota of a key
+app.use('/api/v1/university', optionalApiKey('read:universities'));
+app.use('/api/v1/job', optionalApiKey('read:jobs'));
+
 // Apply rate limiter to API routes
 app.use('/api/', apiLimiter);
 
@@ -117,7 +162,14 @@ app.use('/api/', apiLimiter);
 app.use('/api/v1/university', universityRouter);
 app.use('/api/v1/job', jobRouter);
 app.use('/api/v1/auth', authRouter);
+app.use('/api/v1/favorite/collections', collectionRouter);
 app.use('/api/v1/favorite', favoriteRouter);
+app.use('/api/v1/applications', applicationRouter);
+app.use('/api/v1/documents', documentRouter);
+app.use('/api/v1/reminders', reminderRouter);
+app.use('/api/v1/calendar', calendarRouter);
+app.use('/api/v1/shared', sharedRouter);
+app.use('/api/v1/admin', adminRouter);
 
 // Swagger docs
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
@@ -132,31 +184,32 @@ app.get('/', (req, res) => {
   });
 });
 
-// Sync data route (protected in production)
-app.post('/api/sync', async (req, res, next) => {
+// Public keys for services that verify our access tokens (RS256/ES256, matched by kid)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+// Sync data route (requires an API key with the admin:sync scope, or a user
+// with the sync:run permission, in production)
+const syncApiKey = process.env.NODE_ENV === 'production'
+  ? requireApiKey('admin:sync')
+  : optionalApiKey('admin:sync');
+
+const authorizeSync = (req, res, next) => {
+  if (req.headers.authorization && !req.headers['x-api-key']) {
+    return authenticateToken(req, res, (error) => (
+      error ? next(error) : authorizePermission('sync:run')(req, res, next)
+    ));
+  }
+  
+  return syncApiKey(req, res, next);
+};
+
+app.post('/api/sync', authorizeSync, async (req, res, next) => {
   console.log('Manual sync requested');
   
   try {
-    if (process.env.NODE_ENV === 'production' && !req.headers['x-api-key']) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'کلید API الزامی است',
-        error_en: 'API key required',
-        message: 'برای همگام‌سازی در محیط تولید، کلید API مورد نیاز است',
-        message_en: 'API key required for sync in production' 
-      });
-    }
-    
-    if (process.env.NODE_ENV === 'production' && req.headers['x-api-key'] !== process.env.API_KEY) {
-      return res.status(403).json({ 
-        success: false, 
-        error: 'کلید API نامعتبر است',
-        error_en: 'Invalid API key',
-        message: 'کلید API ارائه شده معتبر نیست',
-        message_en: 'The provided API key is invalid' 
-      });
-    }
-    
     const result = await syncAllData();
     res.json(result);
   } catch (error) {
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const Document = require('../models/Document');
+const ReminderLog = require('../models/ReminderLog');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const SharedList = require('../models/SharedList');
+const storageService = require('./storageService');
+const auth = require('../utils/auth');
+const { logger } = require('../utils/logger');
+
+// Days a deleted account can still be restored (default: 30)
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// What happens after the grace period: 'delete' removes the user document,
+// 'anonymise' keeps it with every personal field cleared
+const DELETION_MODE = process.env.ACCOUNT_DELETION_MODE === 'anonymise' ? 'anonymise' : 'delete';
+
+/**
+ * Build the data export of a user: profile, favorite collections and
+ * applications with snapshots of the saved items, uploaded documents, login
+ * history and active sessions
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Export archive
+ */
+const buildExport = async (user) => {
+  await user.populate([
+    { path: 'favorites.universities' },
+    { path: 'favorites.jobs' },
+    { path: 'applications.item' }
+  ]);
+  
+  const sessions = await auth.listSessions(user._id);
+  const documents = await Document.find({ user: user._id }).sort({ createdAt: -1 });
+  const collections = await FavoriteCollection.find({ user: user._id })
+    .sort({ isDefault: -1, createdAt: 1 })
+    .populate('entries.item');
+  const shares = await SharedList.find({ user: user._id }).sort({ createdAt: -1 });
+  
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      emailVerifiedAt: user.emailVerifiedAt,
+      phone: user.phone,
+      phoneVerified: user.phoneVerified,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      lastLogin: user.lastLogin
+    },
+    favorites: {
+      universities: user.favorites.universities.map(item => item.toJSON()),
+      jobs: user.favorites.jobs.map(item => item.toJSON())
+    },
+    // Notes and priorities are only kept in the collections
+    collections: collections.map(collection => ({
+      name: collection.name,
+      description: collection.description,
+      isDefault: collection.isDefault,
+      entries: collection.entries.map(entry => ({
+        itemType: entry.itemType,
+        item: entry.item && entry.item.toJSON ? entry.item.toJSON() : null,
+        note: entry.note,
+        priority: entry.priority,
+        addedAt: entry.addedAt
+      }))
+    })),
+    // Public links, without the slugs that would open them
+    sharedLists: shares.map(share => ({
+      collection: share.collectionId,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      revokedAt: share.revokedAt,
+      viewCount: share.viewCount,
+      lastViewedAt: share.lastViewedAt
+    })),
+    applications: user.applications.map(application => ({
+      itemType: application.itemType,
+      // The item may have been removed since the user applied
+      item: application.item && application.item.toJSON ? application.item.toJSON() : null,
+      status: application.status,
+      notes: application.notes,
+      appliedAt: application.appliedAt,
+      updatedAt: application.updatedAt,
+      history: application.history,
+      documents: application.documents
+    })),
+    reminders: user.reminders,
+    calendarFeed: user.calendarFeed && user.calendarFeed.tokenHash ? { createdAt: user.calendarFeed.createdAt } : null,
+    // Only the details, the files can be downloaded from /api/v1/documents
+    documents: documents.map(document => document.toSummary()),
+    identities: user.identities.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+    loginHistory: user.loginHistory,
+    sessions: sessions.map(session => ({
+      deviceName: session.deviceName,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt
+    }))
+  };
+};
+
+/**
+ * Schedule a user account for deletion and log the user out everywhere
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} - When the account will be deleted
+ */
+const scheduleDeletion = async (user) => {
+  const scheduledFor = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+  
+  user.deletion = { requestedAt: Date.now(), scheduledFor };
+  await user.save();
+  
+  await auth.revokeAllSessions(user._id);
+  await auth.invalidateAccessTokens(user._id);
+  
+  logger.info('Account scheduled for deletion', { userId: user._id, scheduledFor });
+  
+  return scheduledFor;
+};
+
+/**
+ * Cancel a scheduled deletion during the grace period
+ * @param {Object} user - User document
+ */
+const cancelDeletion = async (user) => {
+  user.deletion = undefined;
+  await user.save();
+  
+  logger.info('Account deletion cancelled', { userId: user._id });
+};
+
+/**
+ * Delete or anonymise every account whose grace period is over
+ * @returns {Promise<Number>} - Number of accounts processed
+ */
+const purgeDeletedAccounts = async () => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } }).select('_id');
+  
+  for (const { _id } of users) {
+    if (DELETION_MODE === 'anonymise') {
+      const suffix = _id.toString().slice(-12);
+      
+      // Validators are skipped on purpose, the placeholders are not real addresses
+      await User.updateOne({ _id }, {
+        $set: {
+          username: `deleted_${suffix}`,
+          email: `deleted_${suffix}@deleted.invalid`,
+          password: crypto.randomBytes(32).toString('hex'),
+          emailVerified: false,
+          phoneVerified: false,
+          disabled: true,
+          disabledAt: Date.now(),
+          disabledReason: 'account deleted',
+          twoFactor: { enabled: false },
+          favorites: { universities: [], jobs: [] },
+          applications: [],
+          reminders: { channel: 'none', leadDays: [], mutedItems: [] },
+          identities: [],
+          loginHistory: []
+        },
+        $unset: { firstName: '', lastName: '', lastLogin: '', deletion: '', emailVerifiedAt: '', phone: '', phoneVerifiedAt: '', calendarFeed: '' }
+      });
+      
+      await auth.setUserDisabled(_id, true);
+    } else {
+      await User.deleteOne({ _id });
+      await auth.revokeAllSessions(_id);
+    }
+    
+    // The security history holds IPs and user agents of the account
+    await AuditEvent.deleteMany({ user: _id });
+    
+    const documents = await Document.find({ user: _id }).select('+storageKey');
+    
+    for (const document of documents) {
+      await storageService.remove(document.storageKey);
+    }
+    
+    await Document.deleteMany({ user: _id });
+    await ReminderLog.deleteMany({ user: _id });
+    await FavoriteCollection.deleteMany({ user: _id });
+    await SharedList.deleteMany({ user: _id });
+    
+    logger.info('Deleted account purged', { userId: _id, mode: DELETION_MODE });
+  }
+  
+  return users.length;
+};
+
+/**
+ * Schedule the periodic purge of deleted accounts
+ * @param {String} cronExpression - Cron expression for scheduling (default: daily at 4 AM)
+ * @returns {cron.ScheduledTask} - Scheduled task
+ */
+const scheduleAccountPurge = (cronExpression = '0 4 * * *') => {
+  logger.info(`Scheduling account purge with cron expression: ${cronExpression}`);
+  
+  return cron.schedule(cronExpression, async () => {
+    try {
+      const count = await purgeDeletedAccounts();
+      logger.info('Scheduled account purge completed', { count });
+    } catch (error) {
+      logger.error('Error in scheduled account purge', { error: error.message });
+    }
+  });
+};
+
+module.exports = {
+  GRACE_DAYS,
+  buildExport,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeDeletedAccounts,
+  scheduleAccountPurge
+};
@@ -0,0 +1,262 @@
+const Setting = require('../models/Setting');
+const { DEFAULT_APPLICATION_STAGES, LEGACY_STATUSES } = require('../config/applicationStages');
+const { BadRequestError } = require('../utils/errorHandler');
+
+// Item types an application can be for
+const ITEM_TYPES = Object.keys(DEFAULT_APPLICATION_STAGES);
+
+// Setting that holds the stages changed by admins, per item type
+const STAGES_KEY = 'applicationStages';
+
+// Stages are read on every application request, so they are cached briefly
+const STAGES_CACHE_TTL = 60 * 1000;
+let stagesCache = { stages: null, loadedAt: 0 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the stages of every item type, with admin changes applied
+ * @returns {Promise<Object>} - Stage lists by item type
+ */
+const getStages = async () => {
+  if (stagesCache.stages && Date.now() - stagesCache.loadedAt < STAGES_CACHE_TTL) {
+    return stagesCache.stages;
+  }
+  
+  const overrides = await Setting.getValue(STAGES_KEY, {});
+  const stages = {};
+  
+  ITEM_TYPES.forEach(type => {
+    stages[type] = overrides[type] || DEFAULT_APPLICATION_STAGES[type];
+  });
+  
+  stagesCache = { stages, loadedAt: Date.now() };
+  return stages;
+};
+
+/**
+ * Get the stages of one item type
+ * @param {String} type - Item type (university or job)
+ * @returns {Promise<Object[]>} - Stages in order
+ */
+const getStagesFor = async (type) => (await getStages())[type];
+
+/**
+ * Replace the stages of an item type
+ * @param {String} type - Item type (university or job)
+ * @param {Object[]} stages - New stages, see config/applicationStages.js
+ * @param {String} userId - ID of the admin making the change
+ * @returns {Promise<Object>} - Stage lists by item type
+ */
+const setStages = async (type, stages, userId) => {
+  const overrides = await Setting.getValue(STAGES_KEY, {});
+  
+  overrides[type] = stages.map(({ key, label, label_en: labelEn, expectedDays, repeatable, final }) => ({
+    key,
+    label,
+    label_en: labelEn,
+    expectedDays: expectedDays || undefined,
+    repeatable: !!repeatable,
+    final: !!final
+  }));
+  
+  await Setting.setValue(STAGES_KEY, overrides, userId);
+  stagesCache = { stages: null, loadedAt: 0 };
+  
+  return getStages();
+};
+
+/**
+ * Item type of an application as used in the API
+ * @param {Object} application - Application subdocument
+ * @returns {String} - university or job
+ */
+const typeOf = (application) => application.itemType.toLowerCase();
+
+/**
+ * Current stage of an application, with statuses from before stages were
+ * configurable mapped to their stage
+ * @param {Object} application - Application subdocument
+ * @returns {String} - Stage key
+ */
+const currentStageOf = (application) => {
+  const legacy = LEGACY_STATUSES[typeOf(application)] || {};
+  return legacy[application.status] || application.status;
+};
+
+/**
+ * Stage history of an application. Applications tracked before the history
+ * existed get one from their apply date and last update.
+ * @param {Object} application - Application subdocument
+ * @returns {Object[]} - [{ stage, at, note }], oldest first
+ */
+const historyOf = (application) => {
+  if (application.history && application.history.length > 0) {
+    return application.history;
+  }
+  
+  const history = [{ stage: 'applied', at: application.appliedAt, note: application.notes }];
+  const stage = currentStageOf(application);
+  
+  if (stage !== 'applied') {
+    history.push({ stage, at: application.updatedAt || application.appliedAt });
+  }
+  
+  return history;
+};
+
+/**
+ * Find a stage by key, or throw if the item type has no such stage
+ * @param {Object[]} stages - Stages of the item type
+ * @param {String} key - Stage key
+ * @returns {Object} - Stage
+ */
+const findStage = (stages, key) => {
+  const stage = stages.find(candidate => candidate.key === key);
+  
+  if (!stage) {
+    throw new BadRequestError(
+      `مرحله نامعتبر است. مراحل مجاز: ${stages.map(candidate => candidate.key).join('، ')}`,
+      `Invalid stage. Allowed stages: ${stages.map(candidate => candidate.key).join(', ')}`
+    );
+  }
+  
+  return stage;
+};
+
+/**
+ * Start the history of a new application (caller saves the user)
+ * @param {Object} application - New application subdocument
+ * @param {Object[]} stages - Stages of the item type
+ * @param {String} stageKey - Stage the application starts in (default: the first stage)
+ */
+const startHistory = (application, stages, stageKey) => {
+  const stage = stageKey ? findStage(stages, stageKey) : stages[0];
+  
+  application.status = stage.key;
+  application.history = [{ stage: stage.key, at: application.appliedAt, note: application.notes }];
+};
+
+/**
+ * Move an application to another stage and record the transition (caller saves the user)
+ * @param {Object} application - Application subdocument
+ * @param {Object[]} stages - Stages of the item type
+ * @param {Object} transition - Transition
+ * @param {String} transition.stage - New stage key
+ * @param {String} transition.note - Optional note, e.g. the interview date
+ * @param {Date} transition.at - When it happened (default: now), not before the last transition
+ * @returns {Object} - Recorded history event
+ */
+const recordTransition = (application, stages, { stage: stageKey, note, at }) => {
+  const stage = findStage(stages, stageKey);
+  const history = historyOf(application);
+  const last = history[history.length - 1];
+  const when = at ? new Date(at) : new Date();
+  
+  if (last.stage === stage.key && !stage.repeatable) {
+    throw new BadRequestError(
+      'درخواست هم‌اکنون در این مرحله است',
+      'The application is already in this stage'
+    );
+  }
+  
+  if (when < new Date(last.at) || when > new Date()) {
+    throw new BadRequestError(
+      'زمان تغییر مرحله باید بین آخرین تغییر و اکنون باشد',
+      'The transition time must be between the previous transition and now'
+    );
+  }
+  
+  // Keep the generated history of older applications before adding to it
+  if (!application.history || application.history.length === 0) {
+    application.history = history;
+  }
+  
+  application.history.push({ stage: stage.key, at: when, note });
+  application.status = stage.key;
+  application.updatedAt = Date.now();
+  
+  return application.history[application.history.length - 1];
+};
+
+/**
+ * Round a duration to days with one decimal
+ * @param {Number} ms - Duration in milliseconds
+ * @returns {Number} - Days
+ */
+const toDays = (ms) => Math.round((ms / DAY) * 10) / 10;
+
+/**
+ * Build the timeline of an application: how long each stage took, and
+ * whether it is stuck in its current stage for longer than expected
+ * @param {Object} application - Application subdocument
+ * @param {Object[]} stages - Stages of the item type
+ * @returns {Object} - Timeline
+ */
+const buildTimeline = (application, stages) => {
+  const now = Date.now();
+  const history = historyOf(application);
+  const stageOf = (key) => stages.find(stage => stage.key === key) || { key, label: key, label_en: key };
+  
+  const events = history.map((event, index) => {
+    const stage = stageOf(event.stage);
+    const next = history[index + 1];
+    const enteredAt = new Date(event.at);
+    const leftAt = next ? new Date(next.at) : null;
+    const days = toDays((leftAt ? leftAt.getTime() : now) - enteredAt.getTime());
+    
+    return {
+      stage: stage.key,
+      label: stage.label,
+      label_en: stage.label_en,
+      note: event.note || '',
+      enteredAt,
+      leftAt,
+      days,
+      current: !next,
+      overdue: !stage.final && !!stage.expectedDays && days > stage.expectedDays
+    };
+  });
+  
+  const current = events[events.length - 1];
+  const currentStage = stageOf(current.stage);
+  
+  // Time spent per configured stage, adding up repeated rounds
+  const byStage = stages.map(stage => {
+    const visits = events.filter(event => event.stage === stage.key);
+    
+    return {
+      stage: stage.key,
+      label: stage.label,
+      label_en: stage.label_en,
+      reached: visits.length > 0,
+      rounds: visits.length,
+      days: visits.length > 0 ? toDays(visits.reduce((sum, event) => sum + event.days * DAY, 0)) : null,
+      expectedDays: stage.expectedDays || null
+    };
+  });
+  
+  return {
+    currentStage: current.stage,
+    final: !!currentStage.final,
+    totalDays: toDays((currentStage.final ? new Date(current.enteredAt).getTime() : now) - new Date(events[0].enteredAt).getTime()),
+    stalled: current.overdue
+      ? { stage: current.stage, days: current.days, expectedDays: currentStage.expectedDays }
+      : null,
+    events,
+    byStage
+  };
+};
+
+module.exports = {
+  ITEM_TYPES,
+  getStages,
+  getStagesFor,
+  setStages,
+  typeOf,
+  currentStageOf,
+  historyOf,
+  startHistory,
+  recordTransition,
+  buildTimeline
+};
@@ -0,0 +1,280 @@
+const applicationService = require('./applicationService');
+const { TIME_ZONE, tehranParts, formatDate } = require('../utils/jalali');
+
+const DOMAIN = 'rahayandeh.ir';
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Escape text for an iCalendar property value (RFC 5545, 3.3.11)
+ * @param {String} text - Raw text
+ * @returns {String} - Escaped text
+ */
+const escapeText = (text = '') => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into lines of at most 75 octets, without splitting a
+ * multi-byte character
+ * @param {String} line - Content line
+ * @returns {String} - Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  
+  for (const char of line) {
+    const length = Buffer.byteLength(char);
+    
+    // Continuation lines start with a space, which counts toward the limit
+    if (size + length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    
+    current += char;
+    size += length;
+  }
+  
+  return [...parts, current].join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Write a UTC instant as an iCalendar date-time
+ * @param {Date} date - Instant
+ * @returns {String} - e.g. '20230806T083000Z'
+ */
+const utcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Write an instant as a date-time in Tehran time
+ * @param {Date} date - Instant
+ * @returns {String} - e.g. '20230806T120000'
+ */
+const tehranDateTime = (date) => {
+  const { year, month, day, hour, minute, second } = tehranParts(date);
+  return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+};
+
+/**
+ * Offset of Tehran time from UTC at an instant
+ * @param {Number} time - Instant in milliseconds
+ * @returns {Number} - Offset in milliseconds
+ */
+const tehranOffset = (time) => {
+  const parts = tehranParts(new Date(time));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Write a UTC offset the way iCalendar does
+ * @param {Number} offset - Offset in milliseconds
+ * @returns {String} - e.g. '+0330'
+ */
+const formatOffset = (offset) => {
+  const minutes = Math.abs(offset) / MINUTE;
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+/**
+ * Lines of one observance of the time zone
+ * @param {Number} time - Instant the observance starts
+ * @param {Number} from - Offset before it
+ * @param {Number} to - Offset from then on
+ * @returns {String[]} - Content lines
+ */
+const observance = (time, from, to) => {
+  const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+  
+  return [
+    `BEGIN:${kind}`,
+    // The local time the change happens at, in the offset before it
+    `DTSTART:${utcDateTime(new Date(time + from)).replace('Z', '')}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `TZNAME:${formatOffset(to)}`,
+    `END:${kind}`
+  ];
+};
+
+/**
+ * VTIMEZONE of Tehran for the years the events are in. The changes are read
+ * from the time zone data of the runtime, so daylight saving time is right
+ * for the years Iran had it.
+ * @param {Number} fromYear - First year
+ * @param {Number} toYear - Last year
+ * @returns {String[]} - Content lines
+ */
+const buildTimeZone = (fromYear, toYear) => {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${TIME_ZONE}`];
+  const end = Date.UTC(toYear + 1, 0, 1);
+  let time = Date.UTC(fromYear, 0, 1);
+  let offset = tehranOffset(time);
+  
+  lines.push(...observance(time, offset, offset));
+  
+  for (; time < end; time += DAY) {
+    const next = tehranOffset(time + DAY);
+    
+    if (next === offset) {
+      continue;
+    }
+    
+    // Narrow the change down to the minute
+    let before = time;
+    let after = time + DAY;
+    
+    while (after - before > MINUTE) {
+      const middle = before + Math.floor((after - before) / 2 / MINUTE) * MINUTE;
+      
+      if (tehranOffset(middle) === offset) {
+        before = middle;
+      } else {
+        after = middle;
+      }
+    }
+    
+    lines.push(...observance(after, offset, next));
+    offset = next;
+  }
+  
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Event on the deadline day of a program or job
+ * @param {String} type - 'university' or 'job'
+ * @param {Object} item - University or Job document with a deadlineAt
+ * @param {Date} now - Time the feed is built
+ * @returns {String[]} - Content lines
+ */
+const deadlineEvent = (type, item, now) => {
+  const { jalali, gregorian } = formatDate(item.deadlineAt);
+  const day = gregorian.replace(/-/g, '');
+  const next = formatDate(new Date(item.deadlineAt.getTime() + DAY)).gregorian.replace(/-/g, '');
+  
+  const summary = type === 'university'
+    ? `مهلت ثبت‌نام: ${item.name} - ${item.university}`
+    : `مهلت ارسال رزومه: ${item.title} - ${item.company}`;
+  const description = [
+    `مهلت تا پایان ${jalali} به وقت تهران`,
+    type === 'university'
+      ? `Application deadline of ${item.name}, ${item.university}: end of ${gregorian} Tehran time`
+      : `Application deadline of ${item.title}, ${item.company}: end of ${gregorian} Tehran time`
+  ].join('\n');
+  
+  return [
+    'BEGIN:VEVENT',
+    // Stable per item, so a changed deadline moves the event instead of adding one
+    `UID:${type}-${item._id}-deadline@${DOMAIN}`,
+    `DTSTAMP:${utcDateTime(now)}`,
+    `LAST-MODIFIED:${utcDateTime(item.updatedAt || now)}`,
+    // A whole day in Iran, whatever time zone the calendar shows
+    `DTSTART;VALUE=DATE:${day}`,
+    `DTEND;VALUE=DATE:${next}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(type === 'university' ? [`LOCATION:${escapeText(item.location)}`] : []),
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * Events for the stages an application went through
+ * @param {Object} application - Application subdocument with a populated item
+ * @param {Object[]} stages - Stages of the item type
+ * @param {Date} now - Time the feed is built
+ * @returns {String[]} - Content lines
+ */
+const milestoneEvents = (application, stages, now) => {
+  const item = application.item;
+  const name = item.name || item.title;
+  const organization = item.university || item.company;
+  
+  return applicationService.historyOf(application).flatMap((event, index) => {
+    const stage = stages.find(({ key }) => key === event.stage) || { label: event.stage, label_en: event.stage };
+    const at = new Date(event.at);
+    const description = [
+      `${stage.label}: ${name} - ${organization}`,
+      `${stage.label_en}: ${name}, ${organization}`,
+      ...(event.note ? ['', event.note] : [])
+    ].join('\n');
+    
+    return [
+      'BEGIN:VEVENT',
+      `UID:application-${application._id}-${index}@${DOMAIN}`,
+      `DTSTAMP:${utcDateTime(now)}`,
+      `DTSTART;TZID=${TIME_ZONE}:${tehranDateTime(at)}`,
+      `DTEND;TZID=${TIME_ZONE}:${tehranDateTime(new Date(at.getTime() + 30 * MINUTE))}`,
+      `SUMMARY:${escapeText(`${stage.label}: ${name}`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ];
+  });
+};
+
+/**
+ * Build the calendar feed of a user: deadlines of favorited and applied
+ * programs and jobs, and the milestones of their applications
+ * @param {Object} user - User with favorites and applications.item populated
+ * @param {Object} stages - Application stages by item type
+ * @param {Date} now - Time the feed is built
+ * @returns {String} - iCalendar text
+ */
+const buildFeed = (user, stages, now = new Date()) => {
+  const deadlines = { university: new Map(), job: new Map() };
+  const add = (type, item) => {
+    if (item && item.deadlineAt) deadlines[type].set(item._id.toString(), item);
+  };
+  
+  user.favorites.universities.forEach(item => add('university', item));
+  user.favorites.jobs.forEach(item => add('job', item));
+  user.applications.forEach(application => add(applicationService.typeOf(application), application.item));
+  
+  const events = [
+    ...[...deadlines.university.values()].flatMap(item => deadlineEvent('university', item, now)),
+    ...[...deadlines.job.values()].flatMap(item => deadlineEvent('job', item, now)),
+    ...user.applications
+      // The item may have been removed since the user applied
+      .filter(application => application.item)
+      .flatMap(application => milestoneEvents(application, stages[applicationService.typeOf(application)], now))
+  ];
+  
+  // The time zone has to cover every timed event
+  const years = user.applications
+    .filter(application => application.item)
+    .flatMap(application => applicationService.historyOf(application))
+    .map(event => new Date(event.at).getUTCFullYear());
+  const fromYear = Math.min(now.getUTCFullYear(), ...years);
+  const toYear = Math.max(now.getUTCFullYear(), ...years);
+  
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Rah-e Ayandeh//Deadlines//FA',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText('راه آینده - مهلت‌ها')}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    // Deadlines change when the data is synced, so ask clients to refresh
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+    ...buildTimeZone(fromYear, toYear),
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildFeed
+};
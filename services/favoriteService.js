@@ -0,0 +1,432 @@
+const User = require('../models/User');
+const University = require('../models/University');
+const Job = require('../models/Job');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const SharedList = require('../models/SharedList');
+const { BadRequestError, NotFoundError } = require('../utils/errorHandler');
+
+// Limits per user, to keep collection documents small
+const MAX_COLLECTIONS = 50;
+const MAX_ENTRIES = 500;
+
+// Item types used in requests, and the model each one stands for
+const ITEM_TYPES = {
+  university: { model: University, name: 'University' },
+  job: { model: Job, name: 'Job' }
+};
+
+const DEFAULT_COLLECTION_NAME = 'علاقه‌مندی‌ها';
+
+/**
+ * Request type of an entry
+ * @param {Object} entry - Collection entry
+ * @returns {String} - 'university' or 'job'
+ */
+const typeOf = (entry) => entry.itemType.toLowerCase();
+
+/**
+ * Find a university program or job
+ * @param {String} type - 'university' or 'job'
+ * @param {String} id - Item ID
+ * @returns {Promise<Object>} - University or Job document
+ */
+const findItem = async (type, id) => {
+  const item = await ITEM_TYPES[type].model.findById(id);
+  
+  if (!item) {
+    throw new NotFoundError(
+      'مورد مورد نظر یافت نشد',
+      'Item not found'
+    );
+  }
+  
+  return item;
+};
+
+/**
+ * Get the default collection of a user. It is created on first use from
+ * the favorites saved before collections existed.
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - FavoriteCollection document
+ */
+const getDefaultCollection = async (userId) => {
+  const existing = await FavoriteCollection.findOne({ user: userId, isDefault: true });
+  
+  if (existing) {
+    return existing;
+  }
+  
+  const user = await User.findById(userId).select('favorites');
+  
+  if (!user) {
+    throw new NotFoundError('کاربر یافت نشد', 'User not found');
+  }
+  
+  try {
+    return await FavoriteCollection.create({
+      user: userId,
+      name: DEFAULT_COLLECTION_NAME,
+      isDefault: true,
+      entries: [
+        ...user.favorites.universities.map(item => ({ item, itemType: 'University' })),
+        ...user.favorites.jobs.map(item => ({ item, itemType: 'Job' }))
+      ]
+    });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) {
+      return FavoriteCollection.findOne({ user: userId, isDefault: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find a collection of a user
+ * @param {String} userId - User ID
+ * @param {String} id - Collection ID
+ * @returns {Promise<Object>} - FavoriteCollection document
+ */
+const findCollection = async (userId, id) => {
+  const collection = await FavoriteCollection.findOne({ _id: id, user: userId });
+  
+  if (!collection) {
+    throw new NotFoundError('مجموعه یافت نشد', 'Collection not found');
+  }
+  
+  return collection;
+};
+
+/**
+ * Find an entry of a collection
+ * @param {Object} collection - FavoriteCollection document
+ * @param {String} entryId - Entry ID
+ * @returns {Object} - Entry subdocument
+ */
+const findEntry = (collection, entryId) => {
+  const entry = collection.entries.id(entryId);
+  
+  if (!entry) {
+    throw new NotFoundError(
+      'این مورد در مجموعه یافت نشد',
+      'Entry not found in the collection'
+    );
+  }
+  
+  return entry;
+};
+
+/**
+ * Make sure a user can create another collection, and that the name is free
+ * @param {String} userId - User ID
+ * @param {String} name - Collection name
+ * @param {String} exceptId - Collection being renamed
+ */
+const checkCollectionName = async (userId, name, exceptId) => {
+  const collections = await FavoriteCollection.find({ user: userId }).select('name');
+  
+  if (!exceptId && collections.length >= MAX_COLLECTIONS) {
+    throw new BadRequestError(
+      `حداکثر ${MAX_COLLECTIONS} مجموعه می‌توانید داشته باشید`,
+      `You can have at most ${MAX_COLLECTIONS} collections`
+    );
+  }
+  
+  const taken = collections.some(collection => (
+    collection.name.toLowerCase() === name.trim().toLowerCase()
+    && (!exceptId || !collection._id.equals(exceptId))
+  ));
+  
+  if (taken) {
+    throw new BadRequestError(
+      'مجموعه‌ای با این نام وجود دارد',
+      'A collection with this name already exists'
+    );
+  }
+};
+
+/**
+ * Put an entry at a position of the collection, or at the end
+ * @param {Object} collection - FavoriteCollection document
+ * @param {Object} entry - Entry data or subdocument
+ * @param {Number} position - Zero-based position (optional)
+ * @returns {Object} - Entry subdocument
+ */
+const placeEntry = (collection, entry, position) => {
+  const index = position === undefined
+    ? collection.entries.length
+    : Math.min(Math.max(position, 0), collection.entries.length);
+  
+  collection.entries.splice(index, 0, entry);
+  return collection.entries[index];
+};
+
+/**
+ * Add an item to a collection
+ * @param {Object} collection - FavoriteCollection document
+ * @param {String} type - 'university' or 'job'
+ * @param {Object} item - University or Job document
+ * @param {Object} fields - Entry fields
+ * @param {String} fields.note - Private note
+ * @param {String} fields.priority - Priority
+ * @param {Date} fields.addedAt - When the item was first saved (default: now)
+ * @param {Number} position - Zero-based position (default: the end)
+ * @returns {Object} - Entry subdocument (the caller saves the collection)
+ */
+const addEntry = (collection, type, item, { note, priority, addedAt } = {}, position) => {
+  if (collection.findEntry(item._id)) {
+    throw new BadRequestError(
+      'این مورد قبلاً به این مجموعه اضافه شده است',
+      'This item is already in the collection'
+    );
+  }
+  
+  if (collection.entries.length >= MAX_ENTRIES) {
+    throw new BadRequestError(
+      `هر مجموعه حداکثر ${MAX_ENTRIES} مورد می‌تواند داشته باشد`,
+      `A collection can hold at most ${MAX_ENTRIES} items`
+    );
+  }
+  
+  return placeEntry(collection, {
+    item: item._id,
+    itemType: ITEM_TYPES[type].name,
+    note,
+    priority,
+    addedAt
+  }, position);
+};
+
+/**
+ * Move an entry to another position in its collection
+ * @param {Object} collection - FavoriteCollection document
+ * @param {Object} entry - Entry subdocument
+ * @param {Number} position - Zero-based position
+ * @returns {Object} - Entry subdocument at its new position (the caller saves the collection)
+ */
+const moveEntry = (collection, entry, position) => {
+  const data = entry.toObject();
+  
+  collection.entries.pull(entry._id);
+  return placeEntry(collection, data, position);
+};
+
+/**
+ * Put the entries of a collection in a new order
+ * @param {Object} collection - FavoriteCollection document
+ * @param {String[]} entryIds - Every entry ID, in the new order
+ */
+const reorderEntries = (collection, entryIds) => {
+  const current = collection.entries.map(entry => entry._id.toString()).sort();
+  const wanted = [...entryIds].map(String).sort();
+  
+  if (current.length !== wanted.length || current.some((id, index) => id !== wanted[index])) {
+    throw new BadRequestError(
+      'ترتیب جدید باید شامل همه موارد مجموعه و هر کدام یک بار باشد',
+      'The new order must list every entry of the collection exactly once'
+    );
+  }
+  
+  const entries = entryIds.map(id => collection.entries.id(id).toObject());
+  collection.entries = entries;
+};
+
+/**
+ * Move or copy an entry to another collection, keeping its note and priority
+ * @param {Object} source - Collection the entry is in
+ * @param {Object} target - Collection to put it in
+ * @param {Object} entry - Entry subdocument
+ * @param {Object} options - Options
+ * @param {Boolean} options.copy - Keep the entry in the source collection
+ * @param {Number} options.position - Zero-based position in the target (default: the end)
+ * @returns {Promise<Object>} - Entry subdocument in the target collection
+ */
+const transferEntry = async (source, target, entry, { copy = false, position } = {}) => {
+  if (source._id.equals(target._id)) {
+    throw new BadRequestError(
+      'مجموعه مقصد با مجموعه فعلی یکسان است',
+      'The target collection is the same as the current one'
+    );
+  }
+  
+  const { note, priority, addedAt } = entry;
+  const added = addEntry(target, typeOf(entry), { _id: entry.item._id || entry.item }, { note, priority, addedAt }, position);
+  
+  await target.save();
+  
+  if (!copy) {
+    source.entries.pull(entry._id);
+    await source.save();
+  }
+  
+  return added;
+};
+
+/**
+ * Keep User.favorites in step with the collections. It holds every item in
+ * any collection, for the features that only need to know what a user follows
+ * (reminders, the calendar feed and the data export).
+ * @param {String} userId - User ID
+ */
+const syncFavorites = async (userId) => {
+  const collections = await FavoriteCollection.find({ user: userId })
+    .sort({ isDefault: -1, createdAt: 1 })
+    .select('entries.item entries.itemType');
+  const items = { University: new Map(), Job: new Map() };
+  
+  collections.forEach(collection => collection.entries.forEach(entry => {
+    items[entry.itemType].set(entry.item.toString(), entry.item);
+  }));
+  
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'favorites.universities': [...items.University.values()],
+      'favorites.jobs': [...items.Job.values()]
+    }
+  });
+};
+
+/**
+ * Shape an entry with a populated item for API responses
+ * @param {Object} entry - Entry subdocument
+ * @returns {Object} - Entry data
+ */
+const toEntry = (entry) => ({
+  id: entry._id,
+  type: typeOf(entry),
+  item: entry.item,
+  note: entry.note,
+  priority: entry.priority,
+  addedAt: entry.addedAt
+});
+
+/**
+ * Whether an item can still be shown as it is now. Jobs can be deactivated,
+ * university programs are only ever removed.
+ * @param {Object} item - Populated University or Job document, or null
+ * @returns {Boolean} - Whether the item exists and is active
+ */
+const isAvailable = (item) => !!(item && item.toJSON && item.isActive !== false);
+
+/**
+ * Bring the snapshots of a shared list in line with its collection: items
+ * that are available and changed since the last snapshot are captured again,
+ * snapshots of entries that left the collection are dropped
+ * @param {Object} share - SharedList document
+ * @param {Object} collection - FavoriteCollection document with entries.item populated
+ * @returns {Boolean} - Whether any snapshot changed
+ */
+const refreshSnapshots = (share, collection) => {
+  const previous = new Map(share.snapshots.map(snapshot => [snapshot.entry.toString(), snapshot]));
+  let changed = false;
+  
+  const snapshots = collection.entries.map(entry => {
+    const snapshot = previous.get(entry._id.toString());
+    
+    if (!isAvailable(entry.item) || (snapshot && snapshot.capturedAt >= entry.item.updatedAt)) {
+      return snapshot;
+    }
+    
+    changed = true;
+    return { entry: entry._id, item: entry.item._id, itemType: entry.itemType, data: entry.item.toJSON(), capturedAt: new Date() };
+  }).filter(Boolean);
+  
+  share.snapshots = snapshots;
+  
+  return changed || snapshots.length !== previous.size;
+};
+
+/**
+ * Publish a collection under a new public slug. A link published before for
+ * the same collection is revoked.
+ * @param {Object} collection - FavoriteCollection document
+ * @param {Number} expiresInDays - Days the link stays valid (optional, default: no expiry)
+ * @returns {Promise<Object>} - SharedList document
+ */
+const shareCollection = async (collection, expiresInDays) => {
+  await SharedList.updateMany(
+    { collectionId: collection._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  
+  await collection.populate('entries.item');
+  
+  const share = new SharedList({
+    user: collection.user,
+    collectionId: collection._id,
+    slug: SharedList.generateSlug(),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+  });
+  
+  refreshSnapshots(share, collection);
+  await share.save();
+  
+  return share;
+};
+
+/**
+ * Find the link of a collection that has not been revoked. Expired links are
+ * returned too, so the owner can see and extend them.
+ * @param {Object} collection - FavoriteCollection document
+ * @returns {Promise<Object>} - SharedList document
+ */
+const findShare = async (collection) => {
+  const share = await SharedList.findOne({ collectionId: collection._id, revokedAt: null });
+  
+  if (!share) {
+    throw new NotFoundError(
+      'این مجموعه به اشتراک گذاشته نشده است',
+      'This collection is not shared'
+    );
+  }
+  
+  return share;
+};
+
+/**
+ * Shape the entries of a shared collection for the public. Items that were
+ * removed or deactivated are shown as they were last seen, and notes are
+ * never included.
+ * @param {Object} share - SharedList document, with refreshed snapshots
+ * @param {Object} collection - FavoriteCollection document with entries.item populated
+ * @returns {Object[]} - Public entries
+ */
+const toSharedEntries = (share, collection) => {
+  const snapshots = new Map(share.snapshots.map(snapshot => [snapshot.entry.toString(), snapshot]));
+  
+  return collection.entries.map(entry => {
+    const available = isAvailable(entry.item);
+    const snapshot = snapshots.get(entry._id.toString());
+    
+    return {
+      type: typeOf(entry),
+      priority: entry.priority,
+      addedAt: entry.addedAt,
+      available,
+      item: available ? entry.item : (snapshot ? snapshot.data : null),
+      capturedAt: available || !snapshot ? undefined : snapshot.capturedAt
+    };
+  }).filter(entry => entry.item);
+};
+
+module.exports = {
+  MAX_COLLECTIONS,
+  MAX_ENTRIES,
+  ITEM_TYPES,
+  typeOf,
+  findItem,
+  getDefaultCollection,
+  findCollection,
+  findEntry,
+  checkCollectionName,
+  addEntry,
+  moveEntry,
+  reorderEntries,
+  transferEntry,
+  syncFavorites,
+  toEntry,
+  refreshSnapshots,
+  shareCollection,
+  findShare,
+  toSharedEntries
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../utils/logger');
+const { InternalServerError } = require('../utils/errorHandler');
+
+/**
+ * Escape user supplied text for use in HTML mail bodies
+ * @param {String} text - Raw text
+ * @returns {String} - Escaped text
+ */
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Transport that delivers mail through an SMTP server
+ */
+class SmtpTransport {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * Transport that writes every message as a JSON file, for local testing
+ */
+class FileTransport {
+  constructor() {
+    this.dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'logs', 'mail');
+    
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+  
+  async send(message) {
+    const messageId = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+    const file = path.join(this.dir, `${messageId}.json`);
+    
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+    
+    return { messageId, file };
+  }
+}
+
+/**
+ * Transport that only writes messages to the log
+ */
+class ConsoleTransport {
+  async send(message) {
+    logger.info(`Mail to ${message.to}: ${message.subject}`, { text: message.text });
+    return { messageId: `console-${Date.now()}` };
+  }
+}
+
+const transports = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  console: ConsoleTransport
+};
+
+/**
+ * Service for sending transactional emails through a configurable transport
+ */
+class MailService {
+  constructor() {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const Transport = transports[name];
+    
+    if (!Transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    
+    this.transportName = name;
+    this.transport = new Transport();
+    this.from = process.env.MAIL_FROM || 'راه آینده <no-reply@rahayandeh.ir>';
+    this.appUrl = process.env.APP_URL || 'http://localhost:3000';
+  }
+  
+  /**
+   * Send an email
+   * @param {Object} message - Message with to, subject, text and optional html
+   * @returns {Promise<Object>} - Transport result
+   */
+  async send(message) {
+    try {
+      const result = await this.transport.send({ from: this.from, ...message });
+      logger.debug('Mail sent', { to: message.to, subject: message.subject, transport: this.transportName });
+      return result;
+    } catch (error) {
+      logger.error('Failed to send mail', { to: message.to, error: error.message });
+      throw new InternalServerError(
+        'خطا در ارسال ایمیل',
+        'Error sending email'
+      );
+    }
+  }
+  
+  /**
+   * Send the email address verification link to a user
+   * @param {Object} user - User object
+   * @param {String} token - Email verification token
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendVerificationEmail(user, token) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    const name = user.firstName || user.username;
+    
+    return this.send({
+      to: user.email,
+      subject: 'تایید ایمیل - راه آینده | Verify your email - Rah-e Ayandeh',
+      text: [
+        `${name} عزیز،`,
+        'برای تایید ایمیل خود روی پیوند زیر کلیک کنید:',
+        link,
+        '',
+        `Hi ${name},`,
+        'Please verify your email address by opening the link below:',
+        link
+      ].join('\n'),
+      html: `<div dir="rtl"><p>${escapeHtml(name)} عزیز،</p>`
+        + `<p>برای تایید ایمیل خود روی <a href="${link}">این پیوند</a> کلیک کنید.</p></div>`
+        + `<div dir="ltr"><p>Please verify your email address by opening <a href="${link}">this link</a>.</p></div>`
+    });
+  }
+
+  /**
+   * Send a password reset link to a user
+   * @param {Object} user - User object
+   * @param {String} token - Password reset token
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendPasswordResetEmail(user, token) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    const name = user.firstName || user.username;
+    
+    return this.send({
+      to: user.email,
+      subject: 'بازیابی رمز عبور - راه آینده | Reset your password - Rah-e Ayandeh',
+      text: [
+        `${name} عزیز،`,
+        'برای تعیین رمز عبور جدید روی پیوند زیر کلیک کنید. این پیوند تا یک ساعت معتبر است:',
+        link,
+        'اگر این درخواست را شما ارسال نکرده‌اید، این ایمیل را نادیده بگیرید.',
+        '',
+        `Hi ${name},`,
+        'Open the link below to choose a new password. The link is valid for one hour:',
+        link,
+        'If you did not request this, you can ignore this email.'
+      ].join('\n'),
+      html: `<div dir="rtl"><p>${escapeHtml(name)} عزیز،</p>`
+        + `<p>برای تعیین رمز عبور جدید روی <a href="${link}">این پیوند</a> کلیک کنید. این پیوند تا یک ساعت معتبر است.</p></div>`
+        + `<div dir="ltr"><p>Open <a href="${link}">this link</a> to choose a new password. The link is valid for one hour.</p></div>`
+    });
+  }
+  
+  /**
+   * Notify a user that their account was locked after failed login attempts
+   * @param {Object} user - User object
+   * @param {Object} details - Lock details
+   * @param {String} details.ip - IP address of the last failed attempt
+   * @param {Date} details.lockedUntil - When the lock expires
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendAccountLockedEmail(user, { ip, lockedUntil }) {
+    const name = user.firstName || user.username;
+    const until = lockedUntil.toISOString();
+    
+    return this.send({
+      to: user.email,
+      subject: 'قفل موقت حساب - راه آینده | Account temporarily locked - Rah-e Ayandeh',
+      text: [
+        `${name} عزیز،`,
+        `به دلیل چند تلاش ناموفق برای ورود (آخرین تلاش از IP ${ip})، حساب شما تا ${until} به طور موقت قفل شد.`,
+        'اگر این تلاش‌ها از طرف شما نبوده است، پس از باز شدن قفل رمز عبور خود را تغییر دهید.',
+        '',
+        `Hi ${name},`,
+        `After several failed login attempts (the last one from IP ${ip}), your account is temporarily locked until ${until}.`,
+        'If this was not you, please change your password once the lock expires.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Remind a user of upcoming deadlines of programs and jobs they follow
+   * @param {Object} user - User object
+   * @param {Object[]} items - [{ name, organization, deadlineJalali, deadlineGregorian, daysLeft }]
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendDeadlineReminderEmail(user, items) {
+    const name = user.firstName || user.username;
+    const link = `${this.appUrl}/applications`;
+    const daysFa = (days) => (days === 0 ? 'امروز' : `${days} روز دیگر`);
+    const daysEn = (days) => (days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`);
+
+    return this.send({
+      to: user.email,
+      subject: 'یادآوری مهلت ثبت‌نام - راه آینده | Deadline reminder - Rah-e Ayandeh',
+      text: [
+        `${name} عزیز،`,
+        'مهلت ثبت‌نام این برنامه‌ها و شغل‌ها به زودی تمام می‌شود:',
+        ...items.map(item => `- ${item.name} (${item.organization}): ${item.deadlineJalali}، ${daysFa(item.daysLeft)}`),
+        link,
+        '',
+        `Hi ${name},`,
+        'The deadlines of these programs and jobs are coming up:',
+        ...items.map(item => `- ${item.name} (${item.organization}): ${item.deadlineGregorian}, ${daysEn(item.daysLeft)}`),
+        link
+      ].join('\n'),
+      html: `<div dir="rtl"><p>${escapeHtml(name)} عزیز،</p>`
+        + '<p>مهلت ثبت‌نام این برنامه‌ها و شغل‌ها به زودی تمام می‌شود:</p><ul>'
+        + items.map(item => `<li>${escapeHtml(item.name)} (${escapeHtml(item.organization)}): ${item.deadlineJalali}، ${daysFa(item.daysLeft)}</li>`).join('')
+        + '</ul></div>'
+        + '<div dir="ltr"><p>The deadlines of these programs and jobs are coming up:</p><ul>'
+        + items.map(item => `<li>${escapeHtml(item.name)} (${escapeHtml(item.organization)}): ${item.deadlineGregorian}, ${daysEn(item.daysLeft)}</li>`).join('')
+        + `</ul><p><a href="${link}">Rah-e Ayandeh</a></p></div>`
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new MailService();
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const redisClient = require('../config/redis');
+const { providers, REDIRECT_URIS } = require('../config/oidc');
+const { logger } = require('../utils/logger');
+const { BadRequestError, NotFoundError, UnauthorizedError, InternalServerError } = require('../utils/errorHandler');
+
+// A sign-in has to be completed within 10 minutes
+const STATE_TTL = 10 * 60;
+
+// Provider metadata and keys are fetched again after an hour
+const METADATA_TTL = 60 * 60 * 1000;
+
+const stateKey = (state) => `oidc_state:${state}`;
+
+/**
+ * Random URL-safe string for state, nonce and PKCE verifier
+ * @returns {String} - 43 characters of base64url
+ */
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Service for signing in with OpenID Connect providers, using the
+ * authorization code flow with PKCE
+ */
+class OidcService {
+  constructor() {
+    this.metadata = new Map();
+    this.keys = new Map();
+    this.axios = axios.create({ timeout: 10000 });
+  }
+  
+  /**
+   * List the configured providers
+   * @returns {Object[]} - [{ id, name }]
+   */
+  listProviders() {
+    return Object.values(providers).map(({ id, name }) => ({ id, name }));
+  }
+  
+  /**
+   * Get a configured provider
+   * @param {String} id - Provider ID
+   * @returns {Object} - Provider configuration
+   */
+  getProvider(id) {
+    const provider = providers[id];
+    
+    if (!provider) {
+      throw new NotFoundError(
+        'ارائه‌دهنده ورود یافت نشد',
+        `Login provider not found: ${id}`
+      );
+    }
+    
+    return provider;
+  }
+  
+  /**
+   * Fetch a JSON document from a provider
+   * @param {String} url - Document URL
+   * @returns {Promise<Object>} - Response data
+   * @private
+   */
+  async _fetch(url) {
+    try {
+      const response = await this.axios.get(url);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to fetch OIDC provider document', { url, error: error.message });
+      throw new InternalServerError(
+        'خطا در ارتباط با ارائه‌دهنده ورود',
+        'Error communicating with the login provider'
+      );
+    }
+  }
+  
+  /**
+   * Get the discovery document of a provider
+   * @param {Object} provider - Provider configuration
+   * @returns {Promise<Object>} - OpenID provider metadata
+   */
+  async discover(provider) {
+    const cached = this.metadata.get(provider.id);
+    
+    if (cached && cached.fetchedAt > Date.now() - METADATA_TTL) {
+      return cached.document;
+    }
+    
+    const document = await this._fetch(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    
+    // The metadata must belong to the configured issuer (OpenID Connect Discovery 4.3)
+    if (document.issuer !== provider.issuer) {
+      logger.error('OIDC issuer mismatch', { provider: provider.id, expected: provider.issuer, actual: document.issuer });
+      throw new InternalServerError(
+        'پیکربندی ارائه‌دهنده ورود نامعتبر است',
+        'Login provider configuration is invalid'
+      );
+    }
+    
+    this.metadata.set(provider.id, { document, fetchedAt: Date.now() });
+    return document;
+  }
+  
+  /**
+   * Get the public key a provider signed an ID token with. The key set is
+   * fetched again for an unknown kid, as providers rotate their keys.
+   * @param {Object} provider - Provider configuration
+   * @param {String} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>} - Public key
+   */
+  async getSigningKey(provider, kid) {
+    const cached = this.keys.get(provider.id);
+    const fresh = cached && cached.fetchedAt > Date.now() - METADATA_TTL;
+    let jwk = fresh ? cached.keys.find(key => key.kid === kid) : null;
+    
+    if (!jwk) {
+      const { jwks_uri: jwksUri } = await this.discover(provider);
+      const { keys = [] } = await this._fetch(jwksUri);
+      
+      this.keys.set(provider.id, { keys, fetchedAt: Date.now() });
+      jwk = keys.find(key => key.kid === kid);
+    }
+    
+    if (!jwk) {
+      throw new UnauthorizedError(
+        'توکن ارائه‌دهنده ورود نامعتبر است',
+        'Invalid token from the login provider'
+      );
+    }
+    
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+  
+  /**
+   * Start a sign-in: remember the state, nonce and PKCE verifier and build the
+   * URL to send the user to
+   * @param {String} providerId - Provider ID
+   * @param {Object} options - Options
+   * @param {String} options.redirectUri - Where the provider sends the user back to, must be in OIDC_REDIRECT_URIS
+   * @param {String} options.purpose - 'login', or 'link' to add the identity to a logged-in user
+   * @param {String} options.userId - User who is linking the identity
+   * @returns {Promise<Object>} - { authorizationUrl, state }
+   */
+  async createAuthorization(providerId, { redirectUri, purpose = 'login', userId } = {}) {
+    const provider = this.getProvider(providerId);
+    
+    if (!REDIRECT_URIS.includes(redirectUri)) {
+      throw new BadRequestError(
+        'آدرس بازگشت مجاز نیست',
+        'Redirect URI is not allowed'
+      );
+    }
+    
+    const { authorization_endpoint: authorizationEndpoint } = await this.discover(provider);
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    
+    await redisClient.set(stateKey(state), JSON.stringify({
+      provider: provider.id,
+      redirectUri,
+      purpose,
+      userId: userId ? userId.toString() : undefined,
+      nonce,
+      codeVerifier
+    }), { EX: STATE_TTL });
+    
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: redirectUri,
+      scope: provider.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+    
+    return { authorizationUrl: url.toString(), state };
+  }
+  
+  /**
+   * Finish a sign-in: check the state, exchange the code and verify the ID token
+   * @param {String} providerId - Provider ID
+   * @param {Object} params - Callback parameters
+   * @param {String} params.code - Authorization code from the provider
+   * @param {String} params.state - State from createAuthorization
+   * @param {String} params.purpose - Expected purpose of the sign-in
+   * @param {String} params.userId - User who started linking, for purpose 'link'
+   * @returns {Promise<Object>} - { provider, subject, email, emailVerified, givenName, familyName, preferredUsername }
+   */
+  async completeAuthorization(providerId, { code, state, purpose = 'login', userId } = {}) {
+    const provider = this.getProvider(providerId);
+    const stored = await redisClient.get(stateKey(state));
+    
+    // A state can only be used once
+    await redisClient.del(stateKey(state));
+    
+    const pending = stored ? JSON.parse(stored) : null;
+    
+    if (!pending
+      || pending.provider !== provider.id
+      || pending.purpose !== purpose
+      || (purpose === 'link' && pending.userId !== String(userId))) {
+      throw new UnauthorizedError(
+        'درخواست ورود نامعتبر یا منقضی شده است. لطفا دوباره تلاش کنید',
+        'Sign-in request is invalid or expired. Please try again'
+      );
+    }
+    
+    const { token_endpoint: tokenEndpoint } = await this.discover(provider);
+    let tokens;
+    
+    try {
+      const params = {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: pending.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: pending.codeVerifier
+      };
+      
+      if (provider.clientSecret) {
+        params.client_secret = provider.clientSecret;
+      }
+      
+      const response = await this.axios.post(tokenEndpoint, new URLSearchParams(params));
+      tokens = response.data;
+    } catch (error) {
+      const reason = error.response && error.response.data ? error.response.data.error : error.message;
+      logger.warn('OIDC code exchange failed', { provider: provider.id, error: reason });
+      
+      throw new UnauthorizedError(
+        'ورود با ارائه‌دهنده ناموفق بود. لطفا دوباره تلاش کنید',
+        'Sign-in with the provider failed. Please try again'
+      );
+    }
+    
+    const claims = await this.verifyIdToken(provider, tokens.id_token, pending.nonce);
+    
+    return {
+      provider: provider.id,
+      subject: claims.sub,
+      email: claims.email ? String(claims.email).toLowerCase() : undefined,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      givenName: claims.given_name,
+      familyName: claims.family_name,
+      preferredUsername: claims.preferred_username
+    };
+  }
+  
+  /**
+   * Verify an ID token: signature, issuer, audience, expiry and nonce
+   * @param {Object} provider - Provider configuration
+   * @param {String} idToken - ID token from the token response
+   * @param {String} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} - Token claims
+   */
+  async verifyIdToken(provider, idToken, nonce) {
+    const decoded = idToken ? jwt.decode(idToken, { complete: true }) : null;
+    
+    try {
+      if (!decoded) {
+        throw new Error('Missing or malformed ID token');
+      }
+      
+      const key = await this.getSigningKey(provider, decoded.header.kid);
+      const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'ES256'],
+        issuer: provider.issuer,
+        audience: provider.clientId,
+        clockTolerance: 60
+      });
+      
+      if (claims.nonce !== nonce) {
+        throw new Error('Nonce mismatch');
+      }
+      
+      return claims;
+    } catch (error) {
+      if (error instanceof UnauthorizedError || error instanceof InternalServerError) {
+        throw error;
+      }
+      
+      logger.warn('Invalid OIDC ID token', { provider: provider.id, error: error.message });
+      throw new UnauthorizedError(
+        'توکن ارائه‌دهنده ورود نامعتبر است',
+        'Invalid token from the login provider'
+      );
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new OidcService();
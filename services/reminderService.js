@@ -0,0 +1,240 @@
+const cron = require('node-cron');
+const User = require('../models/User');
+const University = require('../models/University');
+const Job = require('../models/Job');
+const ReminderLog = require('../models/ReminderLog');
+const mailService = require('./mailService');
+const smsService = require('./smsService');
+const applicationService = require('./applicationService');
+const { TIME_ZONE, parseDate, endOfDay, formatDate, daysUntil } = require('../utils/jalali');
+const { logger } = require('../utils/logger');
+
+// Longest lead time a user can choose
+const MAX_LEAD_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * IDs of the programs and jobs a user follows: favorites, and applications
+ * that are not in a final stage yet
+ * @param {Object} user - User document
+ * @param {Object} stages - Application stages by item type
+ * @returns {Map} - Why each item is followed ('favorite', 'application') by item ID
+ */
+const followedItems = (user, stages) => {
+  const finalStages = Object.fromEntries(Object.entries(stages)
+    .map(([type, typeStages]) => [type, new Set(typeStages.filter(stage => stage.final).map(stage => stage.key))]));
+  const items = new Map();
+  const follow = (id, reason) => {
+    const key = id.toString();
+    items.set(key, [...(items.get(key) || []), reason]);
+  };
+  
+  user.favorites.universities.forEach(id => follow(id, 'favorite'));
+  user.favorites.jobs.forEach(id => follow(id, 'favorite'));
+  
+  user.applications
+    .filter(application => application.item)
+    .filter(application => !finalStages[applicationService.typeOf(application)].has(applicationService.currentStageOf(application)))
+    .forEach(application => follow(application.item._id || application.item, 'application'));
+  
+  return items;
+};
+
+/**
+ * Programs and jobs with a deadline in a time range, closest first
+ * @param {Object} range - Mongo condition on deadlineAt
+ * @param {Object} filter - Further conditions, e.g. on _id
+ * @returns {Promise<Object[]>} - [{ itemType, item }]
+ */
+const findWithDeadline = async (range, filter = {}) => {
+  const [programs, jobs] = await Promise.all([
+    University.find({ ...filter, deadlineAt: range }),
+    Job.find({ ...filter, deadlineAt: range })
+  ]);
+  
+  return [
+    ...programs.map(item => ({ itemType: 'University', item })),
+    ...jobs.map(item => ({ itemType: 'Job', item }))
+  ].sort((a, b) => a.item.deadlineAt - b.item.deadlineAt);
+};
+
+/**
+ * Channel a user's reminders go out on. SMS needs a verified phone number
+ * and falls back to email, email needs a verified address.
+ * @param {Object} user - User document
+ * @returns {String|null} - 'email', 'sms', or null when nothing can be sent
+ */
+const deliveryChannel = (user) => {
+  const { channel } = user.reminders;
+  
+  if (channel === 'none') return null;
+  if (channel === 'sms' && user.phone && user.phoneVerified) return 'sms';
+  return user.emailVerified ? 'email' : null;
+};
+
+/**
+ * Send reminders over a channel
+ * @param {Object} user - User document
+ * @param {String} channel - 'email' or 'sms'
+ * @param {Object[]} items - [{ name, organization, deadlineJalali, deadlineGregorian, daysLeft }]
+ */
+const deliver = async (user, channel, items) => {
+  if (channel === 'sms') {
+    const text = [
+      'یادآوری مهلت ثبت‌نام - راه آینده',
+      ...items.map(item => `${item.name}: ${item.deadlineJalali} (${item.daysLeft === 0 ? 'امروز' : `${item.daysLeft} روز`})`)
+    ].join('\n');
+    
+    await smsService.send(user.phone, text);
+    return;
+  }
+  
+  await mailService.sendDeadlineReminderEmail(user, items);
+};
+
+/**
+ * Send one user the reminders that are due. Each reminder is recorded before
+ * it is sent, and the unique index of ReminderLog keeps it from being sent twice.
+ * @param {Object} user - User document
+ * @param {Map} upcoming - Programs and jobs with an upcoming deadline ({ itemType, item }) by ID
+ * @param {Object} stages - Application stages by item type
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} - Number of reminders sent
+ */
+const remindUser = async (user, upcoming, stages, now) => {
+  const channel = deliveryChannel(user);
+  
+  if (!channel) {
+    return 0;
+  }
+  
+  const leads = [...user.reminders.leadDays].sort((a, b) => a - b);
+  const muted = new Set(user.reminders.mutedItems.map(id => id.toString()));
+  const claimed = [];
+  
+  for (const id of followedItems(user, stages).keys()) {
+    if (!upcoming.has(id) || muted.has(id)) {
+      continue;
+    }
+    
+    const { itemType, item } = upcoming.get(id);
+    
+    // The closest lead time that has not passed, so an item followed late
+    // or a missed run still gets one reminder
+    const daysLeft = daysUntil(item.deadlineAt, now);
+    const leadDays = daysLeft >= 0 ? leads.find(lead => lead >= daysLeft) : undefined;
+    
+    if (leadDays === undefined) {
+      continue;
+    }
+    
+    try {
+      const log = await ReminderLog.create({
+        user: user._id,
+        item: item._id,
+        itemType,
+        leadDays,
+        deadlineAt: item.deadlineAt,
+        channel
+      });
+      
+      claimed.push({ log, item, daysLeft });
+    } catch (error) {
+      // Already sent for this lead time
+      if (error.code !== 11000) throw error;
+    }
+  }
+  
+  if (claimed.length === 0) {
+    return 0;
+  }
+  
+  try {
+    await deliver(user, channel, claimed.map(({ item, daysLeft }) => {
+      const { jalali, gregorian } = formatDate(item.deadlineAt);
+      
+      return {
+        name: item.name || item.title,
+        organization: item.university || item.company,
+        deadlineJalali: jalali,
+        deadlineGregorian: gregorian,
+        daysLeft
+      };
+    }));
+  } catch (error) {
+    // Let the next run try again
+    await ReminderLog.deleteMany({ _id: { $in: claimed.map(({ log }) => log._id) } });
+    throw error;
+  }
+  
+  return claimed.length;
+};
+
+/**
+ * Send the deadline reminders that are due to every user
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { users, reminders }
+ */
+const sendDeadlineReminders = async (now = new Date()) => {
+  const upcoming = await findWithDeadline({
+    $gte: now,
+    $lte: endOfDay(parseDate(new Date(now.getTime() + MAX_LEAD_DAYS * DAY)))
+  });
+  
+  if (upcoming.length === 0) {
+    return { users: 0, reminders: 0 };
+  }
+  
+  const ids = upcoming.map(({ item }) => item._id);
+  const users = await User.find({
+    disabled: { $ne: true },
+    'deletion.scheduledFor': { $exists: false },
+    'reminders.channel': { $ne: 'none' },
+    $or: [
+      { 'favorites.universities': { $in: ids } },
+      { 'favorites.jobs': { $in: ids } },
+      { 'applications.item': { $in: ids } }
+    ]
+  }).select('username firstName email emailVerified phone phoneVerified reminders favorites applications');
+  
+  const byId = new Map(upcoming.map(entry => [entry.item._id.toString(), entry]));
+  const stages = await applicationService.getStages();
+  let reminders = 0;
+  
+  for (const user of users) {
+    try {
+      reminders += await remindUser(user, byId, stages, now);
+    } catch (error) {
+      logger.error('Failed to send deadline reminders', { userId: user._id, error: error.message });
+    }
+  }
+  
+  return { users: users.length, reminders };
+};
+
+/**
+ * Schedule the daily deadline reminders
+ * @param {String} cronExpression - Cron expression in Tehran time (default: daily at 9 AM)
+ * @returns {cron.ScheduledTask} - Scheduled task
+ */
+const scheduleDeadlineReminders = (cronExpression = '0 9 * * *') => {
+  logger.info(`Scheduling deadline reminders with cron expression: ${cronExpression}`);
+  
+  return cron.schedule(cronExpression, async () => {
+    try {
+      const result = await sendDeadlineReminders();
+      logger.info('Scheduled deadline reminders completed', result);
+    } catch (error) {
+      logger.error('Error in scheduled deadline reminders', { error: error.message });
+    }
+  }, { timezone: TIME_ZONE });
+};
+
+module.exports = {
+  MAX_LEAD_DAYS,
+  followedItems,
+  findWithDeadline,
+  sendDeadlineReminders,
+  scheduleDeadlineReminders
+};
@@ -0,0 +1,145 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const { maskPhone } = require('../utils/phone');
+const { InternalServerError } = require('../utils/errorHandler');
+
+/**
+ * Provider that sends SMS through the Kavenegar HTTP API. One-time codes use
+ * the verify/lookup endpoint when a template is configured, which is delivered
+ * faster and through the operators' OTP route; otherwise they are sent as a
+ * plain message from SMS_SENDER.
+ */
+class KavenegarProvider {
+  constructor() {
+    this.apiKey = process.env.SMS_API_KEY;
+    this.sender = process.env.SMS_SENDER;
+    this.otpTemplate = process.env.SMS_OTP_TEMPLATE;
+    
+    if (!this.apiKey) {
+      console.warn('Warning: SMS_API_KEY is not set in environment variables');
+    }
+    
+    this.axios = axios.create({
+      baseURL: `${process.env.SMS_API_URL || 'https://api.kavenegar.com/v1'}/${this.apiKey}`,
+      timeout: 10000
+    });
+  }
+  
+  /**
+   * Call an API method with form-encoded parameters
+   * @param {String} method - API method, e.g. 'sms/send.json'
+   * @param {Object} params - Method parameters
+   * @returns {Promise<Object>} - { messageId }
+   */
+  async request(method, params) {
+    const response = await this.axios.post(method, new URLSearchParams(params));
+    const { entries = [] } = response.data || {};
+    
+    return { messageId: entries[0] && String(entries[0].messageid) };
+  }
+  
+  async send(to, text) {
+    return this.request('sms/send.json', { receptor: to, sender: this.sender || '', message: text });
+  }
+  
+  async sendOtp(to, code, text) {
+    if (!this.otpTemplate) {
+      return this.send(to, text);
+    }
+    
+    return this.request('verify/lookup.json', { receptor: to, token: code, template: this.otpTemplate });
+  }
+}
+
+/**
+ * Provider that only writes messages to the log, for local testing
+ */
+class ConsoleProvider {
+  async send(to, text) {
+    logger.info(`SMS to ${to}`, { text });
+    return { messageId: `console-${Date.now()}` };
+  }
+  
+  async sendOtp(to, code, text) {
+    return this.send(to, text);
+  }
+}
+
+const providers = {
+  kavenegar: KavenegarProvider,
+  console: ConsoleProvider
+};
+
+/**
+ * Service for sending SMS through a configurable provider
+ */
+class SmsService {
+  constructor() {
+    const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? 'kavenegar' : 'console');
+    const Provider = providers[name];
+    
+    if (!Provider) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    
+    this.providerName = name;
+    this.provider = new Provider();
+  }
+  
+  /**
+   * Run a provider call and turn failures into a bilingual error
+   * @param {String} to - Recipient phone number
+   * @param {Function} call - Provider call
+   * @returns {Promise<Object>} - Provider result
+   * @private
+   */
+  async _deliver(to, call) {
+    try {
+      const result = await call();
+      logger.debug('SMS sent', { to: maskPhone(to), provider: this.providerName });
+      return result;
+    } catch (error) {
+      // Kavenegar explains failures in return.message
+      const reason = (error.response && error.response.data && error.response.data.return)
+        ? error.response.data.return.message
+        : error.message;
+      
+      logger.error('Failed to send SMS', { to: maskPhone(to), provider: this.providerName, error: reason });
+      throw new InternalServerError(
+        'خطا در ارسال پیامک',
+        'Error sending SMS'
+      );
+    }
+  }
+  
+  /**
+   * Send a text message
+   * @param {String} to - Normalised phone number
+   * @param {String} text - Message text
+   * @returns {Promise<Object>} - Provider result
+   */
+  async send(to, text) {
+    return this._deliver(to, () => this.provider.send(to, text));
+  }
+  
+  /**
+   * Send a one-time code
+   * @param {String} to - Normalised phone number
+   * @param {String} code - One-time code
+   * @param {Number} ttl - Seconds the code is valid
+   * @returns {Promise<Object>} - Provider result
+   */
+  async sendOtp(to, code, ttl) {
+    const minutes = Math.ceil(ttl / 60);
+    const text = [
+      `کد تایید راه آینده: ${code}`,
+      `این کد تا ${minutes} دقیقه معتبر است.`,
+      `Rah-e Ayandeh code: ${code}`
+    ].join('\n');
+    
+    return this._deliver(to, () => this.provider.sendOtp(to, code, text));
+  }
+}
+
+// Export singleton instance
+module.exports = new SmsService();
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { InternalServerError, NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Storage that keeps files on the local disk under UPLOAD_DIR.
+ *
+ * Every storage provider implements the same methods with keys like
+ * '<userId>/<random>', so a provider for S3-compatible object storage can be
+ * added next to this one without changing the callers:
+ *   save(key, buffer, contentType) - store a file
+ *   createReadStream(key)          - stream a stored file
+ *   remove(key)                    - delete a file, missing files are ignored
+ */
+class LocalStorage {
+  constructor() {
+    this.root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+  }
+  
+  /**
+   * Resolve a key to a path inside the storage directory
+   * @param {String} key - Storage key
+   * @returns {String} - Absolute file path
+   */
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    
+    // Keys are generated by the API, but never let one point outside the root
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    
+    return file;
+  }
+  
+  async save(key, buffer) {
+    const file = this.resolve(key);
+    
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+  }
+  
+  async createReadStream(key) {
+    const file = this.resolve(key);
+    
+    // Open before streaming so a missing file is reported as an error, not a broken response
+    const handle = await fs.promises.open(file, 'r');
+    return handle.createReadStream();
+  }
+  
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+const providers = {
+  local: LocalStorage
+};
+
+/**
+ * Service for storing uploaded files through a configurable provider
+ */
+class StorageService {
+  constructor() {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const Provider = providers[name];
+    
+    if (!Provider) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    
+    this.driver = name;
+    this.provider = new Provider();
+  }
+  
+  /**
+   * Store a file
+   * @param {String} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {String} contentType - MIME type of the file
+   */
+  async save(key, buffer, contentType) {
+    try {
+      await this.provider.save(key, buffer, contentType);
+    } catch (error) {
+      logger.error('Failed to store file', { key, driver: this.driver, error: error.message });
+      throw new InternalServerError(
+        'خطا در ذخیره فایل',
+        'Error storing the file'
+      );
+    }
+  }
+  
+  /**
+   * Open a stored file for reading
+   * @param {String} key - Storage key
+   * @returns {Promise<stream.Readable>} - File contents
+   */
+  async createReadStream(key) {
+    try {
+      return await this.provider.createReadStream(key);
+    } catch (error) {
+      logger.error('Failed to read stored file', { key, driver: this.driver, error: error.message });
+      throw new NotFoundError(
+        'فایل یافت نشد',
+        'File not found'
+      );
+    }
+  }
+  
+  /**
+   * Delete a stored file. Failures are only logged, as the file is no longer
+   * referenced and can be cleaned up later.
+   * @param {String} key - Storage key
+   */
+  async remove(key) {
+    try {
+      await this.provider.remove(key);
+    } catch (error) {
+      logger.error('Failed to delete stored file', { key, driver: this.driver, error: error.message });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new StorageService();
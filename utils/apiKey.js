@@ -0,0 +1,96 @@
+const ApiKey = require('../models/ApiKey');
+const redisClient = require('../config/redis');
+const { UnauthorizedError, ForbiddenError, RateLimitError } = require('./errorHandler');
+const { logger } = require('./logger');
+
+/**
+ * Look up an active API key and apply its own rate limit quota
+ * @param {String} key - Plain API key from the x-api-key header
+ * @param {String} ip - Client IP
+ * @returns {Promise<Object>} - ApiKey document
+ */
+const verifyApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+  
+  if (!apiKey || !apiKey.isActive()) {
+    throw new UnauthorizedError(
+      'کلید API نامعتبر است',
+      'Invalid API key'
+    );
+  }
+  
+  // Fixed window counter per key
+  const windowSeconds = apiKey.rateLimit.windowMinutes * 60;
+  const window = Math.floor(Date.now() / 1000 / windowSeconds);
+  const counterKey = `api_key_rate:${apiKey._id}:${window}`;
+  const count = await redisClient.incr(counterKey);
+  
+  if (count === 1) {
+    await redisClient.expire(counterKey, windowSeconds);
+  }
+  
+  if (count > apiKey.rateLimit.max) {
+    const error = new RateLimitError(
+      'سهمیه درخواست این کلید API به پایان رسیده است',
+      'API key request quota exceeded'
+    );
+    error.retryAfter = windowSeconds - (Math.floor(Date.now() / 1000) % windowSeconds);
+    throw error;
+  }
+  
+  // Track usage without delaying the request
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: Date.now(), lastUsedIp: ip })
+    .catch(error => logger.error('Failed to update API key usage', { apiKeyId: apiKey._id, error: error.message }));
+  
+  return apiKey;
+};
+
+/**
+ * Middleware that requires an API key with the given scope
+ * @param {String} scope - Required scope (e.g. 'admin:sync')
+ * @returns {Function} - Express middleware
+ */
+const requireApiKey = (scope) => async (req, res, next) => {
+  try {
+    const key = req.headers['x-api-key'];
+    
+    if (!key) {
+      throw new UnauthorizedError(
+        'کلید API الزامی است',
+        'API key required'
+      );
+    }
+    
+    const apiKey = await verifyApiKey(key, req.ip);
+    
+    if (!apiKey.scopes.includes(scope)) {
+      throw new ForbiddenError(
+        'این کلید API مجوز دسترسی به این بخش را ندارد',
+        `API key is missing the ${scope} scope`
+      );
+    }
+    
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware that checks an API key only if one is sent. Partners send a key
+ * to use its own quota instead of the shared per-IP limit.
+ * @param {String} scope - Required scope when a key is sent
+ * @returns {Function} - Express middleware
+ */
+const optionalApiKey = (scope) => {
+  const required = requireApiKey(scope);
+  
+  return (req, res, next) => (req.headers['x-api-key'] ? required(req, res, next) : next());
+};
+
+module.exports = {
+  verifyApiKey,
+  requireApiKey,
+  optionalApiKey
+};
@@ -1,86 +1,248 @@
-const jwt = require('jsonwebtoken');
-const redis = require('redis');
-const { promisify } = require('util');
-const { UnauthorizedError } = require('./errorHandler');
+const crypto = require('crypto');
+const jwtKeys = require('./jwtKeys');
+const authCookies = require('./authCookies');
+const { BadRequestError, UnauthorizedError, ForbiddenError } = require('./errorHandler');
 const { logger } = require('./logger');
 const User = require('../models/User');
+const Setting = require('../models/Setting');
+const AuditEvent = require('../models/AuditEvent');
+const redisClient = require('../config/redis');
+const { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
 
-// Initialize Redis client for refresh tokens
-const redisClient = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379',
-  legacyMode: false,
-});
+// Audience of access tokens, checked by this API and by other services through the JWKS
+const ACCESS_TOKEN_AUDIENCE = process.env.JWT_AUDIENCE || 'rah-e-ayandeh-api';
 
-redisClient.on('error', (err) => {
-  logger.error('Redis error:', { error: err.message });
-});
+// Refresh tokens (and therefore sessions) live for 7 days
+const SESSION_TTL = 60 * 60 * 24 * 7;
 
-redisClient.on('connect', () => {
-  logger.info('Connected to Redis for token management');
-});
+// Email verification links are valid for 24 hours
+const EMAIL_VERIFICATION_TTL = 60 * 60 * 24;
 
-// Create promisified Redis commands
-const redisGet = promisify(redisClient.get).bind(redisClient);
-const redisSet = promisify(redisClient.set).bind(redisClient);
-const redisDel = promisify(redisClient.del).bind(redisClient);
+// Password reset links are valid for 1 hour
+const PASSWORD_RESET_TTL = 60 * 60;
 
-// Connect to Redis
-(async () => {
-  try {
-    await redisClient.connect();
-  } catch (err) {
-    logger.error('Failed to connect to Redis:', { error: err.message });
-  }
-})();
+// "MFA pending" tokens from /login must be exchanged within 5 minutes and 5 attempts
+const MFA_PENDING_TTL = 60 * 5;
+const MFA_MAX_ATTEMPTS = 5;
+
+// Sensitive actions of users without a password need a login within the last 5 minutes
+const REAUTH_MAX_AGE = 60 * 5;
+
+// Roles that must use two-factor authentication are cached for a minute
+const TWO_FACTOR_POLICY_KEY = 'twoFactorRequiredRoles';
+const TWO_FACTOR_POLICY_CACHE_TTL = 60 * 1000;
+let twoFactorPolicyCache = { roles: null, loadedAt: 0 };
+
+// Role-permission overrides made by admins are cached for a minute
+const ROLE_PERMISSIONS_KEY = 'rolePermissions';
+const ROLE_PERMISSIONS_CACHE_TTL = 60 * 1000;
+let rolePermissionsCache = { matrix: null, loadedAt: 0 };
+
+// Number of rotated refresh token IDs remembered per session for reuse detection
+const MAX_ROTATED_TOKENS = 50;
+
+// Swaps the refresh token ID of a session only while it is still the ID that
+// was presented, in one step, so two refreshes with the same token cannot both
+// succeed. KEYS[1] is the session key, ARGV holds the presented token ID, the
+// new token ID, the time, MAX_ROTATED_TOKENS and SESSION_TTL. Returns the
+// updated session, or nil if it is gone or was rotated in the meantime.
+const ROTATE_SESSION_SCRIPT = `
+local data = redis.call('GET', KEYS[1])
+if not data then return nil end
+local session = cjson.decode(data)
+if session.tokenId ~= ARGV[1] then return nil end
+local rotated = session.rotatedTokenIds or {}
+table.insert(rotated, session.tokenId)
+while #rotated > tonumber(ARGV[4]) do table.remove(rotated, 1) end
+session.rotatedTokenIds = rotated
+session.tokenId = ARGV[2]
+session.lastUsedAt = ARGV[3]
+local encoded = cjson.encode(session)
+redis.call('SET', KEYS[1], encoded, 'EX', tonumber(ARGV[5]))
+return encoded
+`;
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+const userSessionsKey = (userId) => `user_sessions:${userId}`;
 
 // JWT token generation and verification
 const auth = {
   /**
    * Generate access token for a user
    * @param {Object} user - User object
+   * @param {String} sessionId - ID of the session the token belongs to
+   * @param {Object} options - Options
+   * @param {Boolean} options.mfa - Whether the session passed two-factor authentication
+   * @param {Number} options.authTime - When the user logged in to the session, in seconds (default: now)
    * @returns {String} - JWT access token
    */
-  generateAccessToken: (user) => {
+  generateAccessToken: (user, sessionId, { mfa = false, authTime = Math.floor(Date.now() / 1000) } = {}) => {
     const payload = {
       id: user._id,
       username: user.username,
       email: user.email,
       role: user.role,
+      sid: sessionId,
+      mfa,
+      // Login time as in OpenID Connect, unlike iat it stays the same when tokens are refreshed
+      auth_time: authTime,
+      // Issue time in milliseconds, compared with the cutoff of invalidateAccessTokens
+      iat_ms: Date.now(),
+      jti: crypto.randomUUID(),
     };
     
-    return jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'jwt_fallback_secret',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-    );
+    return jwtKeys.sign(payload, {
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+      audience: ACCESS_TOKEN_AUDIENCE
+    });
+  },
+  
+  /**
+   * Extract device information for a new session from the request
+   * @param {Object} req - Express request object
+   * @returns {Object} - Session metadata (deviceName, ip, userAgent)
+   */
+  getSessionMeta: (req) => {
+    const userAgent = req.headers['user-agent'] || '';
+    
+    return {
+      deviceName: (req.body && req.body.deviceName) || req.headers['x-device-name'] || userAgent.split(' ')[0] || 'Unknown device',
+      ip: req.ip,
+      userAgent
+    };
   },
   
   /**
-   * Generate refresh token for a user
+   * Generate refresh token for a user and open a new session for it
    * @param {Object} user - User object
+   * @param {Object} meta - Session metadata from getSessionMeta, optionally with a sessionId, mfa flag and authTime
    * @returns {String} - JWT refresh token
    */
-  generateRefreshToken: async (user) => {
-    const payload = {
-      id: user._id,
-      type: 'refresh'
+  generateRefreshToken: async (user, meta = {}) => {
+    const sessionId = meta.sessionId || crypto.randomUUID();
+    const tokenId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    
+    const session = {
+      id: sessionId,
+      userId: user._id.toString(),
+      tokenId,
+      deviceName: meta.deviceName || 'Unknown device',
+      ip: meta.ip || null,
+      userAgent: meta.userAgent || null,
+      createdAt: now,
+      lastUsedAt: now
     };
     
-    const refreshToken = jwt.sign(
-      payload,
-      process.env.JWT_REFRESH_SECRET || 'jwt_refresh_fallback_secret',
+    const refreshToken = jwtKeys.sign(
+      { id: user._id, type: 'refresh', sid: sessionId, jti: tokenId, mfa: !!meta.mfa, auth_time: meta.authTime || Math.floor(Date.now() / 1000) },
       { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
     );
     
-    // Store refresh token in Redis with user ID as key
-    const tokenKey = `refresh_token:${user._id}`;
-    await redisSet(tokenKey, refreshToken, 'EX', 60 * 60 * 24 * 7); // 7 days
+    // Store the session and index it under the user so every device keeps its own token
+    await redisClient.set(sessionKey(sessionId), JSON.stringify(session), { EX: SESSION_TTL });
+    await redisClient.sAdd(userSessionsKey(session.userId), sessionId);
+    await redisClient.expire(userSessionsKey(session.userId), SESSION_TTL);
     
-    logger.debug('Refresh token stored in Redis', { userId: user._id });
+    logger.debug('Refresh token stored in Redis', { userId: user._id, sessionId });
     
     return refreshToken;
   },
   
+  /**
+   * Open a new session and generate both tokens for it
+   * @param {Object} user - User object
+   * @param {Object} meta - Session metadata from getSessionMeta, plus mfa when a second factor was used
+   * @returns {Object} - { accessToken, refreshToken, sessionId }
+   */
+  issueTokens: async (user, meta = {}) => {
+    const sessionId = crypto.randomUUID();
+    const authTime = Math.floor(Date.now() / 1000);
+    const refreshToken = await auth.generateRefreshToken(user, { ...meta, sessionId, authTime });
+    const accessToken = auth.generateAccessToken(user, sessionId, { mfa: !!meta.mfa, authTime });
+    
+    return { accessToken, refreshToken, sessionId };
+  },
+  
+  /**
+   * Get a stored session
+   * @param {String} sessionId - Session ID
+   * @returns {Object|null} - Session or null if it does not exist
+   */
+  getSession: async (sessionId) => {
+    const data = await redisClient.get(sessionKey(sessionId));
+    return data ? JSON.parse(data) : null;
+  },
+  
+  /**
+   * List the active sessions of a user, most recently used first
+   * @param {String} userId - User ID
+   * @returns {Object[]} - Sessions
+   */
+  listSessions: async (userId) => {
+    const sessionIds = await redisClient.sMembers(userSessionsKey(userId));
+    
+    if (sessionIds.length === 0) {
+      return [];
+    }
+    
+    const data = await redisClient.mGet(sessionIds.map(sessionKey));
+    const sessions = [];
+    
+    data.forEach((item, index) => {
+      if (item) {
+        sessions.push(JSON.parse(item));
+      } else {
+        // Session expired, drop it from the index
+        redisClient.sRem(userSessionsKey(userId), sessionIds[index]);
+      }
+    });
+    
+    return sessions.sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+  },
+  
+  /**
+   * Revoke a single session of a user
+   * @param {String} userId - User ID
+   * @param {String} sessionId - Session ID
+   * @returns {Boolean} - Whether the session existed
+   */
+  revokeSession: async (userId, sessionId) => {
+    const session = await auth.getSession(sessionId);
+    
+    if (!session || session.userId !== userId.toString()) {
+      return false;
+    }
+    
+    await redisClient.del(sessionKey(sessionId));
+    await redisClient.sRem(userSessionsKey(userId), sessionId);
+    
+    logger.debug('Session revoked', { userId, sessionId });
+    
+    return true;
+  },
+  
+  /**
+   * Revoke all sessions of a user
+   * @param {String} userId - User ID
+   * @param {Object} options - Options
+   * @param {String} options.except - Session ID to keep (e.g. the current one)
+   * @returns {Number} - Number of revoked sessions
+   */
+  revokeAllSessions: async (userId, { except } = {}) => {
+    const sessionIds = await redisClient.sMembers(userSessionsKey(userId));
+    const revoked = sessionIds.filter(sessionId => sessionId !== except);
+    
+    if (revoked.length > 0) {
+      await redisClient.del(revoked.map(sessionKey));
+      await redisClient.sRem(userSessionsKey(userId), revoked);
+    }
+    
+    logger.debug('Sessions revoked', { userId, count: revoked.length, except });
+    
+    return revoked.length;
+  },
+  
   /**
    * Verify access token
    * @param {String} token - JWT access token
@@ -88,7 +250,17 @@ const auth = {
    */
   verifyAccessToken: (token) => {
     try {
-      return jwt.verify(token, process.env.JWT_SECRET || 'jwt_fallback_secret');
+      const decoded = jwtKeys.verify(token, {
+        audience: ACCESS_TOKEN_AUDIENCE,
+        legacySecret: process.env.JWT_SECRET
+      });
+      
+      // Purpose-bound tokens (e.g. email verification) share the signing key but are not access tokens
+      if (decoded.type) {
+        throw new Error(`Unexpected token type: ${decoded.type}`);
+      }
+      
+      return decoded;
     } catch (error) {
       logger.warn('Access token verification failed', { error: error.message });
       throw new UnauthorizedError(
@@ -99,31 +271,107 @@ const auth = {
   },
   
   /**
-   * Verify refresh token and check if it exists in Redis
+   * Check whether the user logged in recently, for sensitive actions of users
+   * who have no password to confirm them with. Tokens issued before auth_time
+   * existed never count as recent.
+   * @param {Object} decoded - Decoded access token payload
+   * @returns {Boolean} - Whether the login is at most REAUTH_MAX_AGE seconds old
+   */
+  isRecentLogin: (decoded) => (
+    !!decoded.auth_time && Math.floor(Date.now() / 1000) - decoded.auth_time <= REAUTH_MAX_AGE
+  ),
+  
+  /**
+   * Revoke a single access token until it would have expired anyway
+   * @param {Object} decoded - Decoded access token payload
+   */
+  revokeAccessToken: async (decoded) => {
+    const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+    
+    if (decoded.jti && ttl > 0) {
+      await redisClient.set(`revoked_access_token:${decoded.jti}`, '1', { EX: ttl });
+    }
+  },
+  
+  /**
+   * Invalidate every access token of a user issued until now, e.g. after a role
+   * change, password change or account disable. The cutoff is in milliseconds,
+   * so a token issued earlier in the same second is invalidated too, while one
+   * issued right after (e.g. for the current device) stays valid.
+   * @param {String} userId - User ID
+   */
+  invalidateAccessTokens: async (userId) => {
+    // Kept as long as any token issued before now could still be valid
+    await redisClient.set(`tokens_valid_after:${userId}`, String(Date.now()), { EX: SESSION_TTL });
+    logger.debug('Access tokens invalidated', { userId });
+  },
+  
+  /**
+   * Mark a user as disabled or enabled for authenticateToken. Disabling also
+   * ends all sessions and access tokens of the user.
+   * @param {String} userId - User ID
+   * @param {Boolean} disabled - Whether the account is disabled
+   */
+  setUserDisabled: async (userId, disabled) => {
+    if (disabled) {
+      await redisClient.set(`user_disabled:${userId}`, '1');
+      await auth.revokeAllSessions(userId);
+      await auth.invalidateAccessTokens(userId);
+    } else {
+      await redisClient.del(`user_disabled:${userId}`);
+    }
+  },
+  
+  /**
+   * Check whether a user account is disabled
+   * @param {String} userId - User ID
+   * @returns {Promise<Boolean>} - Whether the account is disabled
+   */
+  isUserDisabled: async (userId) => {
+    return !!(await redisClient.get(`user_disabled:${userId}`));
+  },
+  
+  /**
+   * Check whether an access token was revoked, individually, by a user-wide
+   * cutoff or because its session ended
+   * @param {Object} decoded - Decoded access token payload
+   * @returns {Promise<Boolean>} - Whether the token is revoked
+   */
+  isAccessTokenRevoked: async (decoded) => {
+    const [revoked, validAfter, session] = await redisClient.mGet([
+      `revoked_access_token:${decoded.jti}`,
+      `tokens_valid_after:${decoded.id}`,
+      sessionKey(decoded.sid)
+    ]);
+    
+    // Tokens without iat_ms count from the start of their second, so one
+    // issued in the same second as the cutoff is invalidated
+    const issuedAt = decoded.iat_ms || decoded.iat * 1000;
+    
+    // Revoking a session also ends the access tokens issued for it
+    return !!revoked
+      || (!!validAfter && issuedAt < parseInt(validAfter))
+      || (!!decoded.sid && !session);
+  },
+  
+  /**
+   * Verify refresh token and check that it is the current token of its session.
+   * Presenting a token that was already rotated revokes the whole session (token family)
+   * and records a token.reuse audit event.
    * @param {String} token - JWT refresh token
+   * @param {Object} req - Express request object, for security logging and the audit event
    * @returns {Object} - Decoded token payload
    */
-  verifyRefreshToken: async (token) => {
+  verifyRefreshToken: async (token, req) => {
+    let decoded;
+    
     try {
       // Verify token signature and expiration
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_REFRESH_SECRET || 'jwt_refresh_fallback_secret'
-      );
+      decoded = jwtKeys.verify(token, { legacySecret: process.env.JWT_REFRESH_SECRET });
       
-      // Check if token exists in Redis
-      const tokenKey = `refresh_token:${decoded.id}`;
-      const storedToken = await redisGet(tokenKey);
-      
-      if (!storedToken || storedToken !== token) {
-        logger.warn('Refresh token not found in Redis or does not match', { userId: decoded.id });
-        throw new UnauthorizedError(
-          'توکن نامعتبر است. لطفا مجددا وارد شوید',
-          'Invalid token. Please login again'
-        );
+      if (decoded.type !== 'refresh') {
+        throw new Error(`Unexpected token type: ${decoded.type}`);
       }
-      
-      return decoded;
     } catch (error) {
       logger.warn('Refresh token verification failed', { error: error.message });
       throw new UnauthorizedError(
@@ -131,40 +379,386 @@ const auth = {
         'Token expired. Please login again'
       );
     }
+    
+    // Check if the session of this token still exists in Redis
+    const session = decoded.sid ? await auth.getSession(decoded.sid) : null;
+    
+    if (session && session.tokenId !== decoded.jti && (session.rotatedTokenIds || []).includes(decoded.jti)) {
+      // An already rotated token was presented again, so either this client or the
+      // current holder of the session got hold of a stolen token
+      await auth.revokeSession(session.userId, session.id);
+      
+      logger.warn('Security event: refresh token reuse detected, session revoked', {
+        event: 'refresh_token_reuse',
+        userId: session.userId,
+        sessionId: session.id,
+        deviceName: session.deviceName,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        requestId: req.id
+      });
+      
+      await AuditEvent.record(req, 'token.reuse', {
+        user: session.userId,
+        details: { sessionId: session.id, deviceName: session.deviceName }
+      });
+      
+      throw new UnauthorizedError(
+        'توکن قبلاً استفاده شده است. برای امنیت حساب، نشست لغو شد. لطفا مجددا وارد شوید',
+        'Token has already been used. The session was revoked for your security. Please login again'
+      );
+    }
+    
+    if (!session || session.tokenId !== decoded.jti) {
+      logger.warn('Refresh token session not found in Redis or does not match', { userId: decoded.id, sessionId: decoded.sid });
+      throw new UnauthorizedError(
+        'توکن نامعتبر است. لطفا مجددا وارد شوید',
+        'Invalid token. Please login again'
+      );
+    }
+    
+    return decoded;
   },
   
   /**
-   * Invalidate refresh token
-   * @param {String} userId - User ID
+   * Replace the refresh token of a session with a new one and remember the old one
+   * so that it can be recognised if it is ever presented again. The check and
+   * the swap run as one Redis script, only one of concurrent refreshes with
+   * the same token gets a new one.
+   * @param {Object} user - User object
+   * @param {Object} decoded - Decoded payload of the verified refresh token
+   * @returns {String} - New JWT refresh token
    */
-  invalidateRefreshToken: async (userId) => {
-    const tokenKey = `refresh_token:${userId}`;
-    await redisDel(tokenKey);
-    logger.debug('Refresh token invalidated', { userId });
+  rotateRefreshToken: async (user, decoded) => {
+    const tokenId = crypto.randomUUID();
+    const data = await redisClient.eval(ROTATE_SESSION_SCRIPT, {
+      keys: [sessionKey(decoded.sid)],
+      arguments: [decoded.jti, tokenId, new Date().toISOString(), String(MAX_ROTATED_TOKENS), String(SESSION_TTL)]
+    });
+    
+    // The session ended, or a concurrent refresh with the same token won
+    if (!data) {
+      throw new UnauthorizedError(
+        'توکن نامعتبر است. لطفا مجددا وارد شوید',
+        'Invalid token. Please login again'
+      );
+    }
+    
+    const session = JSON.parse(data);
+    
+    const refreshToken = jwtKeys.sign(
+      { id: user._id, type: 'refresh', sid: session.id, jti: tokenId, mfa: !!decoded.mfa, auth_time: decoded.auth_time },
+      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    );
+    
+    await redisClient.expire(userSessionsKey(session.userId), SESSION_TTL);
+    
+    logger.debug('Refresh token rotated', { userId: user._id, sessionId: session.id });
+    
+    return refreshToken;
   },
   
   /**
-   * Middleware to authenticate requests
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @param {Function} next - Express next function
+   * Generate a signed one-time email verification token. Issuing a new token
+   * invalidates any previous one for the same user.
+   * @param {Object} user - User object
+   * @returns {String} - Signed verification token
    */
-  authenticateToken: (req, res, next) => {
-    // Get authorization header
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+  generateEmailVerificationToken: async (user) => {
+    const tokenId = crypto.randomUUID();
+    
+    const token = jwtKeys.sign(
+      { id: user._id, email: user.email, type: 'email-verification', jti: tokenId },
+      { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+    
+    await redisClient.set(`email_verification:${user._id}`, tokenId, { EX: EMAIL_VERIFICATION_TTL });
     
-    if (!token) {
+    return token;
+  },
+  
+  /**
+   * Verify and consume an email verification token
+   * @param {String} token - Verification token
+   * @returns {Object} - Decoded token payload (id, email)
+   */
+  verifyEmailVerificationToken: async (token) => {
+    let decoded;
+    
+    try {
+      decoded = jwtKeys.verify(token, { legacySecret: process.env.JWT_SECRET });
+    } catch (error) {
+      decoded = null;
+    }
+    
+    const key = decoded && `email_verification:${decoded.id}`;
+    const storedTokenId = key && decoded.type === 'email-verification' ? await redisClient.get(key) : null;
+    
+    if (!storedTokenId || storedTokenId !== decoded.jti) {
       throw new UnauthorizedError(
-        'توکن دسترسی الزامی است',
-        'Access token is required'
+        'پیوند تایید ایمیل نامعتبر یا منقضی شده است',
+        'Email verification link is invalid or expired'
+      );
+    }
+    
+    // One-time use
+    await redisClient.del(key);
+    
+    return decoded;
+  },
+  
+  /**
+   * Generate a single-use password reset token. Only a hash of the token is
+   * stored, and issuing a new token invalidates any previous one.
+   * @param {Object} user - User object
+   * @returns {String} - Password reset token
+   */
+  generatePasswordResetToken: async (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const userKey = `password_reset_user:${user._id}`;
+    
+    const previousHash = await redisClient.get(userKey);
+    if (previousHash) {
+      await redisClient.del(`password_reset:${previousHash}`);
+    }
+    
+    await redisClient.set(`password_reset:${tokenHash}`, user._id.toString(), { EX: PASSWORD_RESET_TTL });
+    await redisClient.set(userKey, tokenHash, { EX: PASSWORD_RESET_TTL });
+    
+    return token;
+  },
+  
+  /**
+   * Verify a password reset token without consuming it
+   * @param {String} token - Password reset token
+   * @returns {String} - ID of the user the token was issued for
+   */
+  verifyPasswordResetToken: async (token) => {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const userId = await redisClient.get(`password_reset:${tokenHash}`);
+    
+    if (!userId) {
+      throw new BadRequestError(
+        'پیوند بازیابی رمز عبور نامعتبر یا منقضی شده است',
+        'Password reset link is invalid or expired'
       );
     }
     
+    return userId;
+  },
+  
+  /**
+   * Verify and consume a password reset token
+   * @param {String} token - Password reset token
+   * @returns {String} - ID of the user the token was issued for
+   */
+  consumePasswordResetToken: async (token) => {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const userId = await auth.verifyPasswordResetToken(token);
+    
+    await redisClient.del([`password_reset:${tokenHash}`, `password_reset_user:${userId}`]);
+    
+    return userId;
+  },
+  
+  /**
+   * Generate a short-lived "MFA pending" token after a correct password for a
+   * user with two-factor authentication. It cannot be used as an access token.
+   * @param {Object} user - User object
+   * @returns {String} - Signed MFA pending token
+   */
+  generateMfaPendingToken: (user) => {
+    return jwtKeys.sign(
+      { id: user._id, type: 'mfa-pending', jti: crypto.randomUUID() },
+      { expiresIn: MFA_PENDING_TTL }
+    );
+  },
+  
+  /**
+   * Verify an MFA pending token and count the attempt
+   * @param {String} token - MFA pending token
+   * @returns {Object} - Decoded token payload
+   */
+  verifyMfaPendingToken: async (token) => {
+    let decoded;
+    
+    try {
+      // Issued for 5 minutes only, tokens from before the key upgrade are long gone
+      decoded = jwtKeys.verify(token);
+    } catch (error) {
+      decoded = null;
+    }
+    
+    if (!decoded || decoded.type !== 'mfa-pending') {
+      throw new UnauthorizedError(
+        'نشست ورود منقضی شده است. لطفا دوباره وارد شوید',
+        'Login session expired. Please login again'
+      );
+    }
+    
+    const attemptsKey = `mfa_attempts:${decoded.jti}`;
+    const attempts = await redisClient.incr(attemptsKey);
+    await redisClient.expire(attemptsKey, MFA_PENDING_TTL);
+    
+    if (attempts > MFA_MAX_ATTEMPTS) {
+      throw new UnauthorizedError(
+        'تعداد تلاش‌ها بیش از حد مجاز است. لطفا دوباره وارد شوید',
+        'Too many attempts. Please login again'
+      );
+    }
+    
+    return decoded;
+  },
+  
+  /**
+   * Mark an MFA pending token as used so it cannot be exchanged twice
+   * @param {Object} decoded - Decoded MFA pending token
+   */
+  consumeMfaPendingToken: async (decoded) => {
+    await redisClient.set(`mfa_attempts:${decoded.jti}`, MFA_MAX_ATTEMPTS + 1, { EX: MFA_PENDING_TTL });
+  },
+  
+  /**
+   * Get the roles that are required to use two-factor authentication
+   * @returns {Promise<String[]>} - Roles
+   */
+  getTwoFactorRequiredRoles: async () => {
+    if (twoFactorPolicyCache.roles && Date.now() - twoFactorPolicyCache.loadedAt < TWO_FACTOR_POLICY_CACHE_TTL) {
+      return twoFactorPolicyCache.roles;
+    }
+    
+    const roles = await Setting.getValue(TWO_FACTOR_POLICY_KEY, []);
+    twoFactorPolicyCache = { roles, loadedAt: Date.now() };
+    
+    return roles;
+  },
+  
+  /**
+   * Set the roles that are required to use two-factor authentication
+   * @param {String[]} roles - Roles
+   * @param {String} userId - ID of the admin making the change
+   * @returns {Promise<String[]>} - Saved roles
+   */
+  setTwoFactorRequiredRoles: async (roles, userId) => {
+    const setting = await Setting.setValue(TWO_FACTOR_POLICY_KEY, roles, userId);
+    twoFactorPolicyCache = { roles: setting.value, loadedAt: Date.now() };
+    
+    return setting.value;
+  },
+  
+  /**
+   * Get the role-permission matrix: defaults merged with admin overrides
+   * @returns {Promise<Object>} - Map of role to permissions
+   */
+  getRolePermissions: async () => {
+    if (rolePermissionsCache.matrix && Date.now() - rolePermissionsCache.loadedAt < ROLE_PERMISSIONS_CACHE_TTL) {
+      return rolePermissionsCache.matrix;
+    }
+    
+    const overrides = await Setting.getValue(ROLE_PERMISSIONS_KEY, {});
+    const matrix = {};
+    
+    ROLES.forEach(role => {
+      matrix[role] = role === 'admin'
+        ? PERMISSIONS
+        : (overrides[role] || DEFAULT_ROLE_PERMISSIONS[role]).filter(permission => PERMISSIONS.includes(permission));
+    });
+    
+    rolePermissionsCache = { matrix, loadedAt: Date.now() };
+    
+    return matrix;
+  },
+  
+  /**
+   * Change the permissions of a role. The admin role cannot be changed.
+   * @param {String} role - Role
+   * @param {String[]} permissions - New permissions of the role
+   * @param {String} userId - ID of the admin making the change
+   * @returns {Promise<Object>} - Updated role-permission matrix
+   */
+  setRolePermissions: async (role, permissions, userId) => {
+    const overrides = await Setting.getValue(ROLE_PERMISSIONS_KEY, {});
+    overrides[role] = [...new Set(permissions)];
+    
+    await Setting.setValue(ROLE_PERMISSIONS_KEY, overrides, userId);
+    rolePermissionsCache = { matrix: null, loadedAt: 0 };
+    
+    return auth.getRolePermissions();
+  },
+  
+  /**
+   * Check whether a role has a permission
+   * @param {String} role - Role
+   * @param {String} permission - Permission
+   * @returns {Promise<Boolean>} - Whether the role has the permission
+   */
+  hasPermission: async (role, permission) => {
+    const matrix = await auth.getRolePermissions();
+    return (matrix[role] || []).includes(permission);
+  },
+  
+  /**
+   * Throw if the user's role requires two-factor authentication and the
+   * current session did not pass it
+   * @param {Object} user - Decoded access token (req.user)
+   */
+  assertTwoFactorSatisfied: async (user) => {
+    const twoFactorRoles = await auth.getTwoFactorRequiredRoles();
+    
+    if (twoFactorRoles.includes(user.role) && !user.mfa) {
+      throw new ForbiddenError(
+        'برای این بخش ورود دو مرحله‌ای الزامی است. آن را فعال کرده و دوباره وارد شوید',
+        'Two-factor authentication is required for this resource. Enable it and login again'
+      );
+    }
+  },
+  
+  /**
+   * Middleware to authenticate requests
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  authenticateToken: async (req, res, next) => {
     try {
+      // Get authorization header
+      const authHeader = req.headers.authorization;
+      let token = authHeader && authHeader.split(' ')[1];
+      
+      // Browsers in cookie mode send the access token as an HttpOnly cookie,
+      // which makes state-changing requests subject to the CSRF check
+      if (!token && req.cookies && req.cookies[authCookies.ACCESS_COOKIE]) {
+        token = req.cookies[authCookies.ACCESS_COOKIE];
+        req.authViaCookie = true;
+        authCookies.verifyCsrf(req);
+      }
+      
+      if (!token) {
+        throw new UnauthorizedError(
+          'توکن دسترسی الزامی است',
+          'Access token is required'
+        );
+      }
+      
       // Verify token
       const decoded = auth.verifyAccessToken(token);
       
+      // Reject tokens that were revoked individually or by a user-wide cutoff
+      if (await auth.isAccessTokenRevoked(decoded)) {
+        throw new UnauthorizedError(
+          'توکن باطل شده است. لطفا مجددا وارد شوید',
+          'Token has been revoked. Please login again'
+        );
+      }
+      
+      if (await auth.isUserDisabled(decoded.id)) {
+        throw new ForbiddenError(
+          'حساب کاربری شما غیرفعال شده است',
+          'Your account has been disabled'
+        );
+      }
+      
       // Set user in request object
       req.user = decoded;
       
@@ -180,23 +774,92 @@ const auth = {
    * @returns {Function} - Express middleware
    */
   authorizeRoles: (roles) => {
-    return (req, res, next) => {
-      if (!req.user) {
+    return async (req, res, next) => {
+      try {
+        if (!req.user) {
+          throw new UnauthorizedError(
+            'لطفا ابتدا وارد شوید',
+            'Please login first'
+          );
+        }
+        
+        if (!roles.includes(req.user.role)) {
+          throw new UnauthorizedError(
+            'شما مجوز دسترسی به این بخش را ندارید',
+            'You do not have permission to access this resource'
+          );
+        }
+        
+        // Roles that require two-factor authentication need a session that passed it
+        await auth.assertTwoFactorSatisfied(req.user);
+        
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  },
+  
+  /**
+   * Middleware to check that the user's role has a permission
+   * @param {String} permission - Required permission (e.g. 'user:manage')
+   * @returns {Function} - Express middleware
+   */
+  authorizePermission: (permission) => {
+    return async (req, res, next) => {
+      try {
+        if (!req.user) {
+          throw new UnauthorizedError(
+            'لطفا ابتدا وارد شوید',
+            'Please login first'
+          );
+        }
+        
+        if (!(await auth.hasPermission(req.user.role, permission))) {
+          throw new ForbiddenError(
+            'شما مجوز دسترسی به این بخش را ندارید',
+            `You do not have the ${permission} permission`
+          );
+        }
+        
+        await auth.assertTwoFactorSatisfied(req.user);
+        
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  },
+  
+  /**
+   * Middleware to allow only users with a verified email address.
+   * Must be used after authenticateToken.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  requireVerifiedEmail: async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id).select('emailVerified');
+      
+      if (!user) {
         throw new UnauthorizedError(
-          'لطفا ابتدا وارد شوید',
-          'Please login first'
+          'کاربر یافت نشد',
+          'User not found'
         );
       }
       
-      if (!roles.includes(req.user.role)) {
-        throw new UnauthorizedError(
-          'شما مجوز دسترسی به این بخش را ندارید',
-          'You do not have permission to access this resource'
+      if (!user.emailVerified) {
+        throw new ForbiddenError(
+          'برای استفاده از این بخش ابتدا ایمیل خود را تایید کنید',
+          'Please verify your email address to use this feature'
         );
       }
       
       next();
-    };
+    } catch (error) {
+      next(error);
+    }
   }
 };
 
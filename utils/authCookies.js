@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ForbiddenError } = require('./errorHandler');
+
+// Browser clients opt in to cookie auth with this header, mobile clients keep using Bearer tokens
+const AUTH_MODE_HEADER = 'x-auth-mode';
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+
+// Methods that do not change state and need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Cookie options shared by all auth cookies
+ * @returns {Object} - Express cookie options
+ */
+const baseOptions = () => ({
+  secure: process.env.AUTH_COOKIE_SECURE !== 'false',
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'strict',
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined
+});
+
+/**
+ * Remaining lifetime of a JWT, for the maxAge of its cookie
+ * @param {String} token - JWT
+ * @returns {Number} - Milliseconds until the token expires
+ */
+const lifetimeOf = (token) => {
+  const { exp } = jwt.decode(token) || {};
+  return exp ? Math.max(exp * 1000 - Date.now(), 0) : undefined;
+};
+
+/**
+ * Check whether the client uses cookie-based auth, because it asked for it or
+ * authenticated this request with a cookie
+ * @param {Object} req - Express request object
+ * @returns {Boolean} - Whether tokens should be set as cookies
+ */
+const isCookieMode = (req) => !!req.authViaCookie || req.headers[AUTH_MODE_HEADER] === 'cookie';
+
+/**
+ * Set the access token cookie
+ * @param {Object} res - Express response object
+ * @param {String} accessToken - JWT access token
+ */
+const setAccessCookie = (res, accessToken) => {
+  res.cookie(ACCESS_COOKIE, accessToken, {
+    ...baseOptions(),
+    httpOnly: true,
+    path: '/',
+    maxAge: lifetimeOf(accessToken)
+  });
+};
+
+/**
+ * Set the access, refresh and CSRF cookies after a login or refresh
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @returns {String} - New CSRF token, also returned in the response body
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+  const maxAge = lifetimeOf(refreshToken);
+  
+  setAccessCookie(res, accessToken);
+  
+  // The refresh token is only ever sent to the auth routes
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...baseOptions(),
+    httpOnly: true,
+    path: '/api/v1/auth',
+    maxAge
+  });
+  
+  // Readable by the frontend, which sends it back in the X-CSRF-Token header
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...baseOptions(),
+    httpOnly: false,
+    path: '/',
+    maxAge
+  });
+  
+  return csrfToken;
+};
+
+/**
+ * Remove all auth cookies
+ * @param {Object} res - Express response object
+ */
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE, { ...baseOptions(), path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...baseOptions(), path: '/api/v1/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...baseOptions(), path: '/' });
+};
+
+/**
+ * Deliver new tokens: as cookies in cookie mode, otherwise in the response body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @returns {Object} - Fields to add to the response body
+ */
+const deliverTokens = (req, res, tokens) => {
+  if (!isCookieMode(req)) {
+    return tokens;
+  }
+  
+  return { csrfToken: setAuthCookies(res, tokens) };
+};
+
+/**
+ * Deliver a new access token: as a cookie in cookie mode, otherwise in the response body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} accessToken - JWT access token
+ * @returns {Object} - Fields to add to the response body
+ */
+const deliverAccessToken = (req, res, accessToken) => {
+  if (!isCookieMode(req)) {
+    return { accessToken };
+  }
+  
+  setAccessCookie(res, accessToken);
+  return {};
+};
+
+/**
+ * Double-submit CSRF check for requests authenticated by cookie: state-changing
+ * requests must repeat the CSRF cookie in the X-CSRF-Token header, which
+ * another site cannot read or set
+ * @param {Object} req - Express request object
+ */
+const verifyCsrf = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return;
+  }
+  
+  const cookieToken = Buffer.from(String((req.cookies && req.cookies[CSRF_COOKIE]) || ''));
+  const headerToken = Buffer.from(String(req.headers[CSRF_HEADER] || ''));
+  
+  const valid = cookieToken.length > 0
+    && cookieToken.length === headerToken.length
+    && crypto.timingSafeEqual(cookieToken, headerToken);
+  
+  if (!valid) {
+    throw new ForbiddenError(
+      'توکن CSRF نامعتبر است یا ارسال نشده است',
+      'Missing or invalid CSRF token'
+    );
+  }
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  isCookieMode,
+  setAccessCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  deliverTokens,
+  deliverAccessToken,
+  verifyCsrf
+};
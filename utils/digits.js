@@ -0,0 +1,12 @@
+/**
+ * Convert Persian and Arabic-Indic digits to ASCII digits
+ * @param {String} text - Text to convert
+ * @returns {String} - Text with ASCII digits
+ */
+const toAsciiDigits = (text) => String(text)
+  .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+  .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+
+module.exports = {
+  toAsciiDigits
+};
@@ -149,6 +149,11 @@ const errorHandlerMiddleware = (err, req, res, next) => {
     errorResponse.message_en = 'Please login again';
   }
   
+  // Tell rate limited clients when to retry
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  
   // Send response
   res.status(statusCode).json(errorResponse);
 };
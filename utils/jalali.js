@@ -0,0 +1,285 @@
+const { toAsciiDigits } = require('./digits');
+
+// Dates without a time, such as deadlines, are days in Iran
+const TIME_ZONE = 'Asia/Tehran';
+
+// Years in which the 33-year leap cycle of the Jalali calendar shifts
+const BREAKS = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210, 1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
+
+const div = (a, b) => Math.trunc(a / b);
+const mod = (a, b) => a - Math.trunc(a / b) * b;
+
+/**
+ * Julian day number of a Gregorian date
+ * @param {Number} gy - Year
+ * @param {Number} gm - Month (1-12)
+ * @param {Number} gd - Day
+ * @returns {Number} - Julian day number
+ */
+const gregorianToDay = (gy, gm, gd) => {
+  const day = div((gy + div(gm - 8, 6) + 100100) * 1461, 4) + div(153 * mod(gm + 9, 12) + 2, 5) + gd - 34840408;
+  return day - div(div(gy + 100100 + div(gm - 8, 6), 100) * 3, 4) + 752;
+};
+
+/**
+ * Gregorian date of a Julian day number
+ * @param {Number} day - Julian day number
+ * @returns {Object} - { year, month, day }
+ */
+const dayToGregorian = (day) => {
+  let j = 4 * day + 139361631;
+  j = j + div(div(4 * day + 183187720, 146097) * 3, 4) * 4 - 3908;
+  const i = div(mod(j, 1461), 4) * 5 + 308;
+  const month = mod(div(i, 153), 12) + 1;
+  
+  return {
+    year: div(j, 1461) - 100100 + div(8 - month, 6),
+    month,
+    day: div(mod(i, 153), 5) + 1
+  };
+};
+
+/**
+ * Leap year information of a Jalali year (Borkowski's algorithm)
+ * @param {Number} jy - Jalali year
+ * @returns {Object} - { leap: years since the last leap year (0 for a leap year), gy, march: day in March of Nowruz }
+ */
+const jalaliYear = (jy) => {
+  if (jy < BREAKS[0] || jy >= BREAKS[BREAKS.length - 1]) {
+    throw new RangeError(`Jalali year out of range: ${jy}`);
+  }
+  
+  let leapJ = -14;
+  let jp = BREAKS[0];
+  let jump = 0;
+  
+  for (let i = 1; i < BREAKS.length; i += 1) {
+    const jm = BREAKS[i];
+    jump = jm - jp;
+    
+    if (jy < jm) {
+      break;
+    }
+    
+    leapJ += div(jump, 33) * 8 + div(mod(jump, 33), 4);
+    jp = jm;
+  }
+  
+  let n = jy - jp;
+  leapJ += div(n, 33) * 8 + div(mod(n, 33) + 3, 4);
+  
+  if (mod(jump, 33) === 4 && jump - n === 4) {
+    leapJ += 1;
+  }
+  
+  const gy = jy + 621;
+  const leapG = div(gy, 4) - div((div(gy, 100) + 1) * 3, 4) - 150;
+  
+  if (jump - n < 6) {
+    n = n - jump + div(jump + 4, 33) * 33;
+  }
+  
+  let leap = mod(mod(n + 1, 33) - 1, 4);
+  
+  if (leap === -1) {
+    leap = 4;
+  }
+  
+  return { leap, gy, march: 20 + leapJ - leapG };
+};
+
+/**
+ * Number of days in a Jalali month
+ * @param {Number} jy - Jalali year
+ * @param {Number} jm - Jalali month (1-12)
+ * @returns {Number} - Days
+ */
+const jalaliMonthLength = (jy, jm) => {
+  if (jm <= 6) return 31;
+  if (jm <= 11) return 30;
+  return jalaliYear(jy).leap === 0 ? 30 : 29;
+};
+
+/**
+ * Convert a Jalali date to Gregorian
+ * @param {Number} jy - Jalali year
+ * @param {Number} jm - Jalali month (1-12)
+ * @param {Number} jd - Jalali day
+ * @returns {Object} - { year, month, day }
+ */
+const toGregorian = (jy, jm, jd) => {
+  const { gy, march } = jalaliYear(jy);
+  return dayToGregorian(gregorianToDay(gy, 3, march) + (jm - 1) * 31 - div(jm, 7) * (jm - 7) + jd - 1);
+};
+
+/**
+ * Convert a Gregorian date to Jalali
+ * @param {Number} gy - Year
+ * @param {Number} gm - Month (1-12)
+ * @param {Number} gd - Day
+ * @returns {Object} - { year, month, day }
+ */
+const toJalali = (gy, gm, gd) => {
+  const day = gregorianToDay(gy, gm, gd);
+  let year = gy - 621;
+  const { leap, march } = jalaliYear(year);
+  let k = day - gregorianToDay(gy, 3, march);
+  
+  if (k >= 0) {
+    if (k <= 185) {
+      return { year, month: 1 + div(k, 31), day: mod(k, 31) + 1 };
+    }
+    k -= 186;
+  } else {
+    year -= 1;
+    k += leap === 1 ? 180 : 179;
+  }
+  
+  return { year, month: 7 + div(k, 30), day: mod(k, 30) + 1 };
+};
+
+const tehranFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric'
+});
+
+/**
+ * Calendar date and time of an instant in Iran
+ * @param {Date} date - Instant
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const tehranParts = (date) => Object.fromEntries(tehranFormat.formatToParts(date)
+  .filter(part => part.type !== 'literal')
+  .map(part => [part.type, parseInt(part.value)]));
+
+/**
+ * The instant a Gregorian date and time in Iran happens
+ * @param {Object} day - { year, month, day }
+ * @param {Array} time - [hour, minute, second, millisecond]
+ * @returns {Date} - Instant
+ */
+const fromTehran = ({ year, month, day }, [hour, minute, second, ms]) => {
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  const parts = tehranParts(new Date(utc));
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(utc / 1000) * 1000;
+  
+  return new Date(utc - offset);
+};
+
+/**
+ * First moment of a day in Iran
+ * @param {Object} day - Gregorian { year, month, day }
+ * @returns {Date} - 00:00:00.000 Tehran time
+ */
+const startOfDay = (day) => fromTehran(day, [0, 0, 0, 0]);
+
+/**
+ * Last moment of a day in Iran
+ * @param {Object} day - Gregorian { year, month, day }
+ * @returns {Date} - 23:59:59.999 Tehran time
+ */
+const endOfDay = (day) => fromTehran(day, [23, 59, 59, 999]);
+
+/**
+ * Parse a date written as Jalali ('1402/05/15'), Gregorian ('2023-08-06'),
+ * with Persian or Arabic digits, or as an ISO timestamp. Years before 1700
+ * are read as Jalali.
+ * @param {String|Date} input - Date to parse
+ * @returns {Object|null} - Gregorian { year, month, day } of the day in Iran, or null if not a valid date
+ */
+const parseDate = (input) => {
+  if (input instanceof Date) {
+    return isNaN(input) ? null : tehranParts(input);
+  }
+  
+  if (typeof input !== 'string' && typeof input !== 'number') {
+    return null;
+  }
+  
+  const text = toAsciiDigits(input).trim();
+  const match = text.match(/^(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})$/);
+  
+  if (!match) {
+    // Timestamps with a time and zone, e.g. from other APIs
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+      return parseDate(new Date(text));
+    }
+    
+    return null;
+  }
+  
+  const [year, month, day] = match.slice(1).map(Number);
+  
+  if (month < 1 || month > 12 || day < 1) {
+    return null;
+  }
+  
+  if (year < 1700) {
+    if (year < 1300 || day > jalaliMonthLength(year, month)) {
+      return null;
+    }
+    
+    return toGregorian(year, month, day);
+  }
+  
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) {
+    return null;
+  }
+  
+  return { year, month, day };
+};
+
+/**
+ * Parse a deadline into the last moment it is still open
+ * @param {String|Date} input - Deadline, see parseDate
+ * @returns {Date|null} - End of the deadline day in Iran, or null if not a valid date
+ */
+const parseDeadline = (input) => {
+  const day = parseDate(input);
+  return day ? endOfDay(day) : null;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Write the day of an instant in Iran in both calendars
+ * @param {Date} date - Instant
+ * @returns {Object} - { jalali: '1402/05/15', gregorian: '2023-08-06' }
+ */
+const formatDate = (date) => {
+  const { year, month, day } = tehranParts(date);
+  const jalali = toJalali(year, month, day);
+  
+  return {
+    jalali: `${jalali.year}/${pad(jalali.month)}/${pad(jalali.day)}`,
+    gregorian: `${year}-${pad(month)}-${pad(day)}`
+  };
+};
+
+/**
+ * Calendar days from today in Iran to the day of a date
+ * @param {Date} date - Date, e.g. a deadline
+ * @param {Date} now - Current time
+ * @returns {Number} - 0 on the day itself, negative once it has passed
+ */
+const daysUntil = (date, now = new Date()) => Math.floor((date - startOfDay(parseDate(now))) / (24 * 60 * 60 * 1000));
+
+module.exports = {
+  TIME_ZONE,
+  toGregorian,
+  toJalali,
+  jalaliMonthLength,
+  parseDate,
+  parseDeadline,
+  startOfDay,
+  endOfDay,
+  tehranParts,
+  formatDate,
+  daysUntil
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+// Directory with one PEM file per key, named <kid>.pem. A private key can sign
+// and verify, a public key only verifies (for retired keys).
+const KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(process.cwd(), 'keys');
+
+// Issuer claim of every token signed here
+const ISSUER = process.env.JWT_ISSUER || 'rah-e-ayandeh';
+
+/**
+ * Pick the JWT algorithm for a key
+ * @param {crypto.KeyObject} key - Private or public key
+ * @returns {String} - RS256 or ES256
+ */
+const algorithmFor = (key) => {
+  const { asymmetricKeyType, asymmetricKeyDetails = {} } = key;
+  
+  if (asymmetricKeyType === 'rsa' && asymmetricKeyDetails.modulusLength >= 2048) {
+    return 'RS256';
+  }
+  
+  if (asymmetricKeyType === 'ec' && asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  
+  throw new Error('JWT keys must be RSA (at least 2048 bits) or EC P-256');
+};
+
+/**
+ * Build a key entry from PEM text
+ * @param {String} kid - Key ID
+ * @param {String} pem - PEM encoded private or public key
+ * @returns {Object} - { kid, alg, privateKey, publicKey }
+ */
+const loadKey = (kid, pem) => {
+  let privateKey = null;
+  let publicKey;
+  
+  if (pem.includes('PRIVATE KEY')) {
+    privateKey = crypto.createPrivateKey(pem);
+    publicKey = crypto.createPublicKey(privateKey);
+  } else {
+    publicKey = crypto.createPublicKey(pem);
+  }
+  
+  return { kid, alg: algorithmFor(publicKey), privateKey, publicKey };
+};
+
+/**
+ * Load the keys from KEYS_DIR. Outside production a temporary key is
+ * generated when none is configured, so tokens do not survive a restart.
+ * @returns {Map<String, Object>} - Keys by kid
+ */
+const loadKeys = () => {
+  const keys = new Map();
+  
+  if (fs.existsSync(KEYS_DIR)) {
+    for (const file of fs.readdirSync(KEYS_DIR).filter(name => name.endsWith('.pem')).sort()) {
+      const kid = path.basename(file, '.pem');
+      keys.set(kid, loadKey(kid, fs.readFileSync(path.join(KEYS_DIR, file), 'utf8')));
+    }
+  }
+  
+  if (![...keys.values()].some(key => key.privateKey)) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`No JWT signing key found in ${KEYS_DIR}. Create one with "npm run jwt:keygen".`);
+    }
+    
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const kid = `dev-${crypto.randomBytes(4).toString('hex')}`;
+    
+    keys.set(kid, loadKey(kid, privateKey.export({ type: 'pkcs8', format: 'pem' })));
+    logger.warn(`No JWT signing key found in ${KEYS_DIR}, using a temporary key. Tokens will not survive a restart.`);
+  }
+  
+  return keys;
+};
+
+const keys = loadKeys();
+
+// New tokens are signed with JWT_SIGNING_KID, or the last private key by name.
+// Older keys keep verifying, so rotating does not log anyone out.
+const signingKey = process.env.JWT_SIGNING_KID
+  ? keys.get(process.env.JWT_SIGNING_KID)
+  : [...keys.values()].filter(key => key.privateKey).pop();
+
+if (!signingKey || !signingKey.privateKey) {
+  throw new Error(`JWT signing key "${process.env.JWT_SIGNING_KID}" not found or has no private key`);
+}
+
+logger.info('JWT keys loaded', { signingKid: signingKey.kid, kids: [...keys.keys()] });
+
+/**
+ * Sign a JWT with the current signing key
+ * @param {Object} payload - Token claims
+ * @param {Object} options - jsonwebtoken sign options (expiresIn, audience)
+ * @returns {String} - Signed token
+ */
+const sign = (payload, options = {}) => jwt.sign(payload, signingKey.privateKey, {
+  ...options,
+  algorithm: signingKey.alg,
+  keyid: signingKey.kid,
+  issuer: ISSUER
+});
+
+/**
+ * Verify a JWT against the key named in its kid header. Tokens without a kid
+ * were signed with the old shared HMAC secret and are accepted only while
+ * that secret is still configured, so existing sessions survive the upgrade.
+ * @param {String} token - Signed token
+ * @param {Object} options - Options
+ * @param {String} options.audience - Required audience
+ * @param {String} options.legacySecret - HMAC secret for tokens without a kid
+ * @returns {Object} - Decoded token payload
+ */
+const verify = (token, { audience, legacySecret } = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  
+  if (!decoded) {
+    throw new Error('Malformed token');
+  }
+  
+  if (!decoded.header.kid) {
+    if (!legacySecret) {
+      throw new Error('Token has no key ID');
+    }
+    
+    return jwt.verify(token, legacySecret, { algorithms: ['HS256'] });
+  }
+  
+  const key = keys.get(decoded.header.kid);
+  
+  if (!key) {
+    throw new Error(`Unknown key ID: ${decoded.header.kid}`);
+  }
+  
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    issuer: ISSUER,
+    ...(audience ? { audience } : {})
+  });
+};
+
+/**
+ * Public keys as a JSON Web Key Set, for services that verify our tokens
+ * @returns {Object} - { keys: [...] }
+ */
+const getJwks = () => ({
+  keys: [...keys.values()].map(key => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.alg,
+    use: 'sig'
+  }))
+});
+
+module.exports = {
+  ISSUER,
+  sign,
+  verify,
+  getJwks
+};
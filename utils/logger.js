@@ -65,6 +65,10 @@ const httpLogger = (req, res, next) => {
   const startTime = new Date();
   const requestId = req.headers['x-request-id'] || `req-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
   
+  // Make the request ID available to handlers (e.g. audit events) and clients
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  
   // Log the request
   logger.info(`${req.method} ${req.originalUrl}`, {
     requestId,
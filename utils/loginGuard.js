@@ -0,0 +1,240 @@
+const redisClient = require('../config/redis');
+const { RateLimitError } = require('./errorHandler');
+const { logger } = require('./logger');
+
+// Failed attempts are kept in a counter that expires this long after the last
+// failure (default: 15 minutes). Each failure restarts the expiry, so the count
+// only drops to zero after a quiet period, it is not a sliding window.
+const FAILURE_WINDOW = (parseInt(process.env.LOGIN_FAILURE_WINDOW) || 15) * 60;
+
+// Failures per account before delays start, and before the account is locked
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const MAX_DELAY = 60;
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+
+// Failures per IP before it is locked. Kept high because whole universities share one NAT address.
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 100;
+
+// Wrong two-factor codes per account before it is locked. These are counted
+// apart from password failures and a correct password does not clear them, as
+// whoever is guessing the code already has the password.
+const TWO_FACTOR_MAX_FAILURES = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+
+// Lock duration (default: 15 minutes)
+const LOCK_DURATION = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60;
+
+const failuresKey = (key) => `login_failures:${key}`;
+const delayKey = (key) => `login_delay:${key}`;
+const lockKey = (key) => `login_lock:${key}`;
+const twoFactorFailuresKey = (key) => `two_factor_failures:${key}`;
+
+/**
+ * Build the key that identifies the account of a login attempt. Attempts for
+ * unknown usernames are tracked by name so they behave like real accounts.
+ * @param {Object|null} user - User document, if found
+ * @param {String} identifier - Username or email that was entered
+ * @returns {String} - Account key
+ */
+const accountKey = (user, identifier) => (
+  user ? `user:${user._id}` : `name:${String(identifier).trim().toLowerCase()}`
+);
+
+/**
+ * Build a bilingual "too many attempts" error
+ * @param {Number} seconds - Seconds until the next attempt is allowed
+ * @param {Boolean} locked - Whether this is a lockout rather than a short delay
+ * @returns {RateLimitError} - Error with retryAfter set
+ */
+const tooManyAttempts = (seconds, locked) => {
+  const minutes = Math.ceil(seconds / 60);
+  
+  const error = locked
+    ? new RateLimitError(
+      `به دلیل تلاش‌های ناموفق متعدد، ورود تا ${minutes} دقیقه دیگر مسدود است`,
+      `Too many failed login attempts. Login is locked for ${minutes} more minute(s)`
+    )
+    : new RateLimitError(
+      `لطفا ${seconds} ثانیه دیگر دوباره تلاش کنید`,
+      `Please try again in ${seconds} second(s)`
+    );
+  
+  error.retryAfter = seconds;
+  return error;
+};
+
+/**
+ * Throw if a login attempt is not allowed right now, because the account or
+ * IP is locked or the account is still in its escalating delay
+ * @param {Object} params - Attempt details
+ * @param {String} params.ip - Client IP
+ * @param {String} params.account - Account key from accountKey
+ */
+const assertLoginAllowed = async ({ ip, account }) => {
+  const [ipLockTtl, accountLockTtl, delayTtl] = await Promise.all([
+    redisClient.ttl(lockKey(`ip:${ip}`)),
+    redisClient.ttl(lockKey(account)),
+    redisClient.ttl(delayKey(account))
+  ]);
+  
+  if (ipLockTtl > 0 || accountLockTtl > 0) {
+    throw tooManyAttempts(Math.max(ipLockTtl, accountLockTtl), true);
+  }
+  
+  if (delayTtl > 0) {
+    throw tooManyAttempts(delayTtl, false);
+  }
+};
+
+/**
+ * Lock an IP after too many failures
+ * @param {String} ip - Client IP
+ * @param {Number} failures - Failures counted for the IP
+ */
+const lockIp = async (ip, failures) => {
+  await redisClient.set(lockKey(`ip:${ip}`), new Date(Date.now() + LOCK_DURATION * 1000).toISOString(), { EX: LOCK_DURATION });
+  await redisClient.del(failuresKey(`ip:${ip}`));
+  logger.warn('Security event: IP locked after failed logins', { event: 'login_ip_locked', ip, failures });
+};
+
+/**
+ * Lock an account after too many failures
+ * @param {String} account - Account key from accountKey
+ * @param {String} counterKey - Failure counter that reached its limit
+ * @returns {Promise<Date>} - When the lock ends
+ */
+const lockAccount = async (account, counterKey) => {
+  const lockedUntil = new Date(Date.now() + LOCK_DURATION * 1000);
+  
+  await redisClient.set(lockKey(account), lockedUntil.toISOString(), { EX: LOCK_DURATION });
+  await redisClient.del([counterKey, delayKey(account)]);
+  
+  return lockedUntil;
+};
+
+/**
+ * Count a failure for an account and the IP it came from
+ * @param {String} counterKey - Failure counter of the account
+ * @param {String} ip - Client IP
+ * @returns {Promise<Number>} - Failures counted for the account
+ */
+const countFailure = async (counterKey, ip) => {
+  const [failures, ipFailures] = await Promise.all([
+    redisClient.incr(counterKey),
+    redisClient.incr(failuresKey(`ip:${ip}`))
+  ]);
+  
+  await Promise.all([
+    redisClient.expire(counterKey, FAILURE_WINDOW),
+    redisClient.expire(failuresKey(`ip:${ip}`), FAILURE_WINDOW)
+  ]);
+  
+  if (ipFailures >= IP_MAX_FAILURES) {
+    await lockIp(ip, ipFailures);
+  }
+  
+  return failures;
+};
+
+/**
+ * Record a failed login attempt and apply delays or locks
+ * @param {Object} params - Attempt details
+ * @param {String} params.ip - Client IP
+ * @param {String} params.account - Account key from accountKey
+ * @returns {Object} - { failures, accountLocked, lockedUntil }
+ */
+const recordLoginFailure = async ({ ip, account }) => {
+  const failures = await countFailure(failuresKey(account), ip);
+  
+  if (failures >= ACCOUNT_MAX_FAILURES) {
+    const lockedUntil = await lockAccount(account, failuresKey(account));
+    logger.warn('Security event: account locked after failed logins', { event: 'login_account_locked', account, ip, failures });
+    
+    return { failures, accountLocked: true, lockedUntil };
+  }
+  
+  if (failures >= DELAY_AFTER) {
+    // 1, 2, 4, 8 ... seconds, capped
+    const delay = Math.min(2 ** (failures - DELAY_AFTER), MAX_DELAY);
+    await redisClient.set(delayKey(account), '1', { EX: delay });
+  }
+  
+  return { failures, accountLocked: false, lockedUntil: null };
+};
+
+/**
+ * Record a wrong two-factor code. The account is locked, for password and
+ * two-factor logins alike, once TWO_FACTOR_MAX_FAILURES is reached.
+ * @param {Object} params - Attempt details
+ * @param {String} params.ip - Client IP
+ * @param {String} params.account - Account key from accountKey
+ * @returns {Object} - { failures, accountLocked, lockedUntil }
+ */
+const recordTwoFactorFailure = async ({ ip, account }) => {
+  const failures = await countFailure(twoFactorFailuresKey(account), ip);
+  
+  if (failures >= TWO_FACTOR_MAX_FAILURES) {
+    const lockedUntil = await lockAccount(account, twoFactorFailuresKey(account));
+    logger.warn('Security event: account locked after invalid two-factor codes', { event: 'two_factor_account_locked', account, ip, failures });
+    
+    return { failures, accountLocked: true, lockedUntil };
+  }
+  
+  return { failures, accountLocked: false, lockedUntil: null };
+};
+
+/**
+ * Clear failed attempts of an account after a successful login
+ * @param {String} account - Account key from accountKey
+ */
+const recordLoginSuccess = async (account) => {
+  await redisClient.del([failuresKey(account), delayKey(account)]);
+};
+
+/**
+ * Clear wrong two-factor codes of an account after a completed two-factor login
+ * @param {String} account - Account key from accountKey
+ */
+const recordTwoFactorSuccess = async (account) => {
+  await redisClient.del(twoFactorFailuresKey(account));
+};
+
+/**
+ * Get the lock state of a user account
+ * @param {String} userId - User ID
+ * @returns {Object} - { locked, lockedUntil, failedAttempts, failedTwoFactorAttempts }
+ */
+const getLockState = async (userId) => {
+  const account = `user:${userId}`;
+  const [lockedUntil, failures, twoFactorFailures] = await Promise.all([
+    redisClient.get(lockKey(account)),
+    redisClient.get(failuresKey(account)),
+    redisClient.get(twoFactorFailuresKey(account))
+  ]);
+  
+  return {
+    locked: !!lockedUntil,
+    lockedUntil: lockedUntil ? new Date(lockedUntil) : null,
+    failedAttempts: parseInt(failures) || 0,
+    failedTwoFactorAttempts: parseInt(twoFactorFailures) || 0
+  };
+};
+
+/**
+ * Unlock a user account and clear its failed attempts
+ * @param {String} userId - User ID
+ */
+const unlockAccount = async (userId) => {
+  const account = `user:${userId}`;
+  await redisClient.del([lockKey(account), failuresKey(account), delayKey(account), twoFactorFailuresKey(account)]);
+};
+
+module.exports = {
+  accountKey,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordTwoFactorFailure,
+  recordTwoFactorSuccess,
+  getLockState,
+  unlockAccount
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const redisClient = require('../config/redis');
+const { RateLimitError } = require('./errorHandler');
+
+// One-time codes sent by SMS: length and lifetime (default: 2 minutes)
+const CODE_LENGTH = 6;
+const CODE_TTL = (parseInt(process.env.OTP_TTL_MINUTES) || 2) * 60;
+
+// Wrong guesses before a code is thrown away
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+// Seconds between two codes for the same number, and codes per hour per number and per IP
+const RESEND_COOLDOWN = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+const PHONE_HOURLY_LIMIT = parseInt(process.env.OTP_PHONE_HOURLY_LIMIT) || 5;
+const IP_HOURLY_LIMIT = parseInt(process.env.OTP_IP_HOURLY_LIMIT) || 20;
+
+const codeKey = (purpose, phone) => `otp:${purpose}:${phone}`;
+const attemptsKey = (purpose, phone) => `otp_attempts:${purpose}:${phone}`;
+const cooldownKey = (phone) => `otp_cooldown:${phone}`;
+const requestsKey = (key) => `otp_requests:${key}`;
+
+/**
+ * Hash a code together with what it is for, so a login code cannot be used to
+ * verify a number and the other way round
+ * @param {String} purpose - What the code is for ('login' or 'verify')
+ * @param {String} phone - Normalised phone number
+ * @param {String} code - One-time code
+ * @returns {String} - Hex digest
+ */
+const hashCode = (purpose, phone, code) => crypto
+  .createHash('sha256')
+  .update(`${purpose}:${phone}:${code}`)
+  .digest('hex');
+
+/**
+ * Build a bilingual "too many codes" error
+ * @param {Number} seconds - Seconds until a new code can be requested
+ * @returns {RateLimitError} - Error with retryAfter set
+ */
+const tooManyRequests = (seconds) => {
+  const error = new RateLimitError(
+    `لطفا ${seconds} ثانیه دیگر برای دریافت کد جدید تلاش کنید`,
+    `Please wait ${seconds} second(s) before requesting a new code`
+  );
+  
+  error.retryAfter = seconds;
+  return error;
+};
+
+/**
+ * Count a code request and throw if the number is still in its resend
+ * cooldown or the number or IP has asked for too many codes this hour.
+ * Requests for unknown numbers are counted the same way, so the limits do
+ * not reveal which numbers belong to an account.
+ * @param {Object} params - Request details
+ * @param {String} params.phone - Normalised phone number
+ * @param {String} params.ip - Client IP
+ */
+const assertRequestAllowed = async ({ phone, ip }) => {
+  const cooldown = await redisClient.ttl(cooldownKey(phone));
+  
+  if (cooldown > 0) {
+    throw tooManyRequests(cooldown);
+  }
+  
+  for (const [key, limit] of [[`phone:${phone}`, PHONE_HOURLY_LIMIT], [`ip:${ip}`, IP_HOURLY_LIMIT]]) {
+    const count = await redisClient.incr(requestsKey(key));
+    
+    if (count === 1) {
+      await redisClient.expire(requestsKey(key), 60 * 60);
+    }
+    
+    if (count > limit) {
+      throw tooManyRequests(Math.max(await redisClient.ttl(requestsKey(key)), 1));
+    }
+  }
+  
+  await redisClient.set(cooldownKey(phone), '1', { EX: RESEND_COOLDOWN });
+};
+
+/**
+ * Create a one-time code for a phone number, replacing any earlier code
+ * @param {String} purpose - What the code is for ('login' or 'verify')
+ * @param {String} phone - Normalised phone number
+ * @returns {Promise<String>} - The code, to be sent by SMS
+ */
+const createCode = async (purpose, phone) => {
+  const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+  
+  await redisClient.set(codeKey(purpose, phone), hashCode(purpose, phone, code), { EX: CODE_TTL });
+  await redisClient.del(attemptsKey(purpose, phone));
+  
+  return code;
+};
+
+/**
+ * Check a one-time code. A correct code is used up, and a code is thrown
+ * away after MAX_ATTEMPTS wrong guesses.
+ * @param {String} purpose - What the code is for ('login' or 'verify')
+ * @param {String} phone - Normalised phone number
+ * @param {String} code - Code entered by the user
+ * @returns {Promise<Boolean>} - Whether the code is valid
+ */
+const verifyCode = async (purpose, phone, code) => {
+  const stored = await redisClient.get(codeKey(purpose, phone));
+  
+  if (!stored) {
+    return false;
+  }
+  
+  const attempts = await redisClient.incr(attemptsKey(purpose, phone));
+  
+  if (attempts === 1) {
+    await redisClient.expire(attemptsKey(purpose, phone), CODE_TTL);
+  }
+  
+  const expected = Buffer.from(stored, 'hex');
+  const actual = Buffer.from(hashCode(purpose, phone, String(code)), 'hex');
+  const valid = attempts <= MAX_ATTEMPTS && crypto.timingSafeEqual(expected, actual);
+  
+  if (valid || attempts >= MAX_ATTEMPTS) {
+    await redisClient.del([codeKey(purpose, phone), attemptsKey(purpose, phone)]);
+  }
+  
+  return valid;
+};
+
+module.exports = {
+  CODE_TTL,
+  RESEND_COOLDOWN,
+  assertRequestAllowed,
+  createCode,
+  verifyCode
+};
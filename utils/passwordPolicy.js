@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errorHandler');
+const { toAsciiDigits } = require('./digits');
+
+// Minimum and maximum length (bcrypt only uses the first 72 bytes)
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+const MAX_LENGTH = 72;
+
+// Character classes a password must contain, as a comma separated list of
+// letter, lowercase, uppercase, digit and symbol (default: letter,digit)
+const CHARACTER_CLASSES = {
+  letter: {
+    pattern: /\p{L}/u,
+    message: 'رمز عبور باید شامل حداقل یک حرف باشد | Password must contain at least one letter'
+  },
+  lowercase: {
+    pattern: /\p{Ll}/u,
+    message: 'رمز عبور باید شامل حداقل یک حرف کوچک لاتین باشد | Password must contain at least one lowercase letter'
+  },
+  uppercase: {
+    pattern: /\p{Lu}/u,
+    message: 'رمز عبور باید شامل حداقل یک حرف بزرگ لاتین باشد | Password must contain at least one uppercase letter'
+  },
+  digit: {
+    pattern: /\p{Nd}/u,
+    message: 'رمز عبور باید شامل حداقل یک عدد باشد | Password must contain at least one number'
+  },
+  symbol: {
+    pattern: /[^\p{L}\p{Nd}\s]/u,
+    message: 'رمز عبور باید شامل حداقل یک نماد (مانند ! یا @) باشد | Password must contain at least one symbol (such as ! or @)'
+  }
+};
+
+const REQUIRED_CLASSES = (process.env.PASSWORD_REQUIRED_CLASSES || 'letter,digit')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => CHARACTER_CLASSES[name]);
+
+// Persian (ISIRI 9147) keyboard layout mapped to the US keys it shares, so a
+// Persian word or keyboard row matches the list entry typed on those keys
+const PERSIAN_LAYOUT = {
+  'ض': 'q', 'ص': 'w', 'ث': 'e', 'ق': 'r', 'ف': 't', 'غ': 'y', 'ع': 'u', 'ه': 'i', 'خ': 'o', 'ح': 'p', 'ج': '[', 'چ': ']',
+  'ش': 'a', 'س': 's', 'ی': 'd', 'ي': 'd', 'ب': 'f', 'ل': 'g', 'ا': 'h', 'آ': 'h', 'ت': 'j', 'ن': 'k', 'م': 'l', 'ک': ';', 'ك': ';', 'گ': '\'',
+  'ظ': 'z', 'ط': 'x', 'ز': 'c', 'ژ': 'c', 'ر': 'v', 'ذ': 'b', 'د': 'n', 'پ': 'm', 'و': ','
+};
+
+// Bundled list of common and breached passwords
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, '..', 'config', 'common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+/**
+ * Check whether a password is, or is built on, a common password
+ * @param {String} password - Password to check
+ * @returns {Boolean} - Whether the password is too common
+ */
+const isCommonPassword = (password) => {
+  const normalized = toAsciiDigits(password.toLowerCase());
+  const onUsKeys = [...normalized].map(char => PERSIAN_LAYOUT[char] || char).join('');
+  
+  return [normalized, onUsKeys].some(candidate => {
+    // Also catch a common password with a few digits or symbols appended, e.g. "iran1234!"
+    const base = candidate.replace(/[^\p{L}]+$/u, '');
+    return COMMON_PASSWORDS.has(candidate) || (base.length >= 4 && COMMON_PASSWORDS.has(base));
+  });
+};
+
+/**
+ * Check a password against the password policy
+ * @param {String} password - Password to check
+ * @param {Object} context - Account the password is for
+ * @param {String} context.username - Username
+ * @param {String} context.email - Email address
+ * @returns {String[]} - Bilingual messages of the rules that failed (empty if the password is allowed)
+ */
+const checkPassword = (password, { username, email } = {}) => {
+  const errors = [];
+  const value = String(password || '');
+  
+  if ([...value].length < MIN_LENGTH) {
+    errors.push(`رمز عبور باید حداقل ${MIN_LENGTH} کاراکتر باشد | Password must be at least ${MIN_LENGTH} characters`);
+  }
+  
+  if (Buffer.byteLength(value) > MAX_LENGTH) {
+    errors.push(`رمز عبور نمی‌تواند بیش از ${MAX_LENGTH} بایت باشد | Password cannot be longer than ${MAX_LENGTH} bytes`);
+  }
+  
+  for (const name of REQUIRED_CLASSES) {
+    if (!CHARACTER_CLASSES[name].pattern.test(value)) {
+      errors.push(CHARACTER_CLASSES[name].message);
+    }
+  }
+  
+  const lowered = value.toLowerCase();
+  const personal = [username, email, email && String(email).split('@')[0]]
+    .filter(part => part && String(part).length >= 3)
+    .map(part => String(part).toLowerCase());
+  
+  if (personal.some(part => lowered.includes(part))) {
+    errors.push('رمز عبور نباید شامل نام کاربری یا ایمیل باشد | Password must not contain your username or email');
+  }
+  
+  if (value && isCommonPassword(value)) {
+    errors.push('این رمز عبور بسیار رایج است یا قبلا افشا شده است | This password is too common or has appeared in a data breach');
+  }
+  
+  return errors;
+};
+
+/**
+ * Throw a ValidationError if a password does not meet the password policy
+ * @param {String} password - Password to check
+ * @param {Object} context - Account the password is for ({ username, email })
+ * @param {String} field - Request field the password came from
+ */
+const assertPasswordAllowed = (password, context, field = 'password') => {
+  const errors = checkPassword(password, context);
+  
+  if (errors.length > 0) {
+    const error = new ValidationError('رمز عبور با سیاست رمز عبور مطابقت ندارد', 'Password does not meet the password policy');
+    error.addValidationErrors(errors.map(message => ({ field, message })));
+    throw error;
+  }
+};
+
+module.exports = {
+  checkPassword,
+  assertPasswordAllowed
+};
@@ -0,0 +1,34 @@
+const { toAsciiDigits } = require('./digits');
+
+// Normalised form of an Iranian mobile number
+const PHONE_PATTERN = /^09\d{9}$/;
+
+/**
+ * Normalise an Iranian mobile number to 09xxxxxxxxx. Accepts Persian and
+ * Arabic digits, spaces and dashes, and the +98, 0098 and 98 prefixes.
+ * @param {String} input - Phone number as entered
+ * @returns {String|null} - Normalised number, or null if it is not an Iranian mobile number
+ */
+const normalizePhone = (input) => {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  
+  const digits = toAsciiDigits(input).replace(/[\s\-().]/g, '');
+  const match = digits.match(/^(?:\+98|0098|98|0)?(9\d{9})$/);
+  
+  return match ? `0${match[1]}` : null;
+};
+
+/**
+ * Hide the middle of a phone number for logs and responses
+ * @param {String} phone - Normalised phone number
+ * @returns {String} - e.g. 0912***4567
+ */
+const maskPhone = (phone) => (phone ? `${phone.slice(0, 4)}***${phone.slice(-4)}` : phone);
+
+module.exports = {
+  PHONE_PATTERN,
+  normalizePhone,
+  maskPhone
+};
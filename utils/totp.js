@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults, as used by Google Authenticator
+const STEP = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as base32 (RFC 4648, without padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {String} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} - Decoded data
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    
+    value = (value << 5) | index;
+    bits += 5;
+    
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(output);
+};
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {String} secret - Base32 secret
+ * @param {Number} counter - Counter value
+ * @returns {String} - Zero-padded code
+ */
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+  
+  return code.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Get the TOTP time step for a moment
+ * @param {Number} time - Unix time in milliseconds (default: now)
+ * @returns {Number} - Time step
+ */
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP);
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} - Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generate the TOTP code for a moment
+ * @param {String} secret - Base32 secret
+ * @param {Number} time - Unix time in milliseconds (default: now)
+ * @returns {String} - TOTP code
+ */
+const generateCode = (secret, time = Date.now()) => hotp(secret, timeStep(time));
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift in each direction
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Number of steps to accept before and after now
+ * @returns {Number|null} - Matched time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  
+  const current = timeStep();
+  
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(secret, step);
+    
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {String} secret - Base32 secret
+ * @param {String} account - Account label (e.g. username or email)
+ * @param {String} issuer - Issuer name
+ * @returns {String} - otpauth URI
+ */
+const keyUri = (secret, account, issuer = process.env.TOTP_ISSUER || 'Rah-e Ayandeh') => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP)
+  });
+  
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes
+ * @param {Number} count - Number of codes
+ * @returns {String[]} - Recovery codes in xxxxx-xxxxx format
+ */
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+/**
+ * Hash a recovery code for storage
+ * @param {String} code - Recovery code
+ * @returns {String} - SHA-256 hash
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toLowerCase())
+  .digest('hex');
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  keyUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,93 @@
+const path = require('path');
+const multer = require('multer');
+const { BadRequestError } = require('./errorHandler');
+
+// Largest file that can be uploaded (default: 10 MB)
+const MAX_FILE_SIZE = (parseInt(process.env.UPLOAD_MAX_FILE_MB) || 10) * 1024 * 1024;
+
+// Total size of the documents one user can keep (default: 50 MB)
+const USER_QUOTA = (parseInt(process.env.UPLOAD_USER_QUOTA_MB) || 50) * 1024 * 1024;
+
+// Accepted file formats. The contents are checked against the signature of the
+// format, as the file name and the Content-Type sent by the client can be anything.
+const FILE_FORMATS = [
+  {
+    mimeType: 'application/pdf',
+    extensions: ['.pdf'],
+    matches: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-'
+  },
+  {
+    mimeType: 'image/jpeg',
+    extensions: ['.jpg', '.jpeg'],
+    matches: buffer => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    mimeType: 'image/png',
+    extensions: ['.png'],
+    matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    // Word documents are ZIP archives with a word/ folder
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx'],
+    matches: buffer => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) && buffer.includes('word/')
+  }
+];
+
+/**
+ * Find the format of an uploaded file from its name and contents
+ * @param {String} fileName - Original file name
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} - Matching entry of FILE_FORMATS, or null if not accepted
+ */
+const detectFormat = (fileName, buffer) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  
+  return FILE_FORMATS.find(format => format.extensions.includes(extension) && format.matches(buffer)) || null;
+};
+
+const parser = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send Persian file names as UTF-8
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_FILE_SIZE, files: 1, fields: 10 }
+}).single('file');
+
+/**
+ * Middleware that reads one file from the 'file' field of a multipart form
+ * into req.file, with errors turned into bilingual 400 responses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const uploadFile = (req, res, next) => {
+  parser(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return next(new BadRequestError(
+        `حجم فایل نمی‌تواند بیش از ${MAX_FILE_SIZE / 1024 / 1024} مگابایت باشد`,
+        `File cannot be larger than ${MAX_FILE_SIZE / 1024 / 1024} MB`
+      ));
+    }
+    
+    if (error instanceof multer.MulterError) {
+      return next(new BadRequestError(
+        'فقط یک فایل در فیلد file قابل ارسال است',
+        'Send a single file in the file field'
+      ));
+    }
+    
+    return next(error);
+  });
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  USER_QUOTA,
+  FILE_FORMATS,
+  detectFormat,
+  uploadFile
+};
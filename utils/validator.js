@@ -1,5 +1,14 @@
 const { body, query, param, validationResult } = require('express-validator');
 const { ValidationError } = require('./errorHandler');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+const { DOCUMENT_TYPES } = require('../models/Document');
+const { REMINDER_CHANNELS } = require('../models/User');
+const { ENTRY_PRIORITIES } = require('../models/FavoriteCollection');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+const { checkPassword } = require('./passwordPolicy');
+const { normalizePhone } = require('./phone');
+const { toAsciiDigits } = require('./digits');
+const { parseDate } = require('./jalali');
 
 /**
  * Middleware to validate results from express-validator
@@ -23,6 +32,26 @@ const validate = (req, res, next) => {
   return next(error);
 };
 
+/**
+ * Validation chain for an Iranian mobile number, normalised to 09xxxxxxxxx
+ * @param {String} field - Body field name
+ * @returns {Object} - express-validator chain
+ */
+const phoneField = (field = 'phone') => body(field)
+  .trim()
+  .notEmpty().withMessage('شماره موبایل الزامی است | Phone number is required')
+  .customSanitizer(value => normalizePhone(value) || value)
+  .matches(/^09\d{9}$/).withMessage('شماره موبایل نامعتبر است | Invalid mobile number');
+
+/**
+ * Validation chain for a one-time code sent by SMS, Persian digits allowed
+ * @returns {Object} - express-validator chain
+ */
+const otpCodeField = () => body('code')
+  .trim()
+  .customSanitizer(value => toAsciiDigits(value))
+  .matches(/^\d{6}$/).withMessage('کد باید 6 رقم باشد | Code must be 6 digits');
+
 /**
  * Validation schemas for authentication
  */
@@ -42,8 +71,13 @@ const authValidation = {
     body('password')
       .trim()
       .notEmpty().withMessage('رمز عبور الزامی است | Password is required')
-      .isLength({ min: 6 }).withMessage('رمز عبور باید حداقل 6 کاراکتر باشد | Password must be at least 6 characters')
-      .matches(/\d/).withMessage('رمز عبور باید شامل حداقل یک عدد باشد | Password must contain at least one number'),
+      .custom((value, { req }) => {
+        const errors = checkPassword(value, { username: req.body.username, email: req.body.email });
+        if (errors.length > 0) {
+          throw new Error(errors[0]);
+        }
+        return true;
+      }),
     
     body('confirmPassword')
       .trim()
@@ -70,6 +104,152 @@ const authValidation = {
     validate
   ],
   
+  verifyEmail: [
+    body('token')
+      .trim()
+      .notEmpty().withMessage('توکن تایید الزامی است | Verification token is required'),
+    
+    validate
+  ],
+  
+  resendVerification: [
+    body('email')
+      .trim()
+      .notEmpty().withMessage('ایمیل الزامی است | Email is required')
+      .isEmail().withMessage('ایمیل نامعتبر است | Invalid email format')
+      .normalizeEmail(),
+    
+    validate
+  ],
+  
+  forgotPassword: [
+    body('email')
+      .trim()
+      .notEmpty().withMessage('ایمیل الزامی است | Email is required')
+      .isEmail().withMessage('ایمیل نامعتبر است | Invalid email format')
+      .normalizeEmail(),
+    
+    validate
+  ],
+  
+  resetPassword: [
+    body('token')
+      .trim()
+      .notEmpty().withMessage('توکن بازیابی الزامی است | Reset token is required'),
+    
+    // The password policy is checked in the route, once the user is known
+    body('newPassword')
+      .trim()
+      .notEmpty().withMessage('رمز عبور جدید الزامی است | New password is required'),
+    
+    body('confirmPassword')
+      .trim()
+      .notEmpty().withMessage('تایید رمز عبور الزامی است | Confirm password is required')
+      .custom((value, { req }) => {
+        if (value !== req.body.newPassword) {
+          throw new Error('تایید رمز عبور با رمز عبور مطابقت ندارد | Passwords do not match');
+        }
+        return true;
+      }),
+    
+    validate
+  ],
+  
+  deleteAccount: [
+    // Users without a password (login provider or SMS only) confirm with a recent login instead
+    body('password')
+      .optional()
+      .isString().withMessage('رمز عبور نامعتبر است | Invalid password'),
+    
+    validate
+  ],
+  
+  otpRequest: [
+    phoneField(),
+    
+    validate
+  ],
+  
+  otpVerify: [
+    phoneField(),
+    
+    otpCodeField(),
+    
+    validate
+  ],
+  
+  phoneVerify: [
+    otpCodeField(),
+    
+    validate
+  ],
+  
+  oidcAuthorize: [
+    body('redirectUri')
+      .trim()
+      .notEmpty().withMessage('آدرس بازگشت الزامی است | Redirect URI is required'),
+    
+    validate
+  ],
+  
+  oidcCallback: [
+    body('code')
+      .trim()
+      .notEmpty().withMessage('کد مجوز الزامی است | Authorization code is required'),
+    
+    body('state')
+      .trim()
+      .notEmpty().withMessage('پارامتر state الزامی است | State is required'),
+    
+    validate
+  ],
+  
+  twoFactorCode: [
+    body('code')
+      .trim()
+      .notEmpty().withMessage('کد ورود دو مرحله‌ای الزامی است | Two-factor code is required')
+      .matches(/^\d{6}$/).withMessage('کد باید 6 رقم باشد | Code must be 6 digits'),
+    
+    validate
+  ],
+  
+  twoFactorVerify: [
+    body('mfaToken')
+      .trim()
+      .notEmpty().withMessage('توکن ورود دو مرحله‌ای الزامی است | MFA token is required'),
+    
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .trim()
+      .notEmpty().withMessage('کد ورود دو مرحله‌ای یا کد بازیابی الزامی است | Two-factor code or recovery code is required'),
+    
+    validate
+  ],
+  
+  twoFactorDisable: [
+    // Users without a password confirm with a recent login instead
+    body('password')
+      .optional()
+      .isString().withMessage('رمز عبور نامعتبر است | Invalid password'),
+    
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .trim()
+      .notEmpty().withMessage('کد ورود دو مرحله‌ای یا کد بازیابی الزامی است | Two-factor code or recovery code is required'),
+    
+    validate
+  ],
+  
+  twoFactorPolicy: [
+    body('roles')
+      .isArray().withMessage('نقش‌ها باید آرایه باشند | Roles must be an array'),
+    
+    body('roles.*')
+      .isIn(ROLES).withMessage('نقش نامعتبر است | Invalid role'),
+    
+    validate
+  ],
+  
   updateProfile: [
     body('firstName')
       .optional()
@@ -87,11 +267,12 @@ const authValidation = {
       .isEmail().withMessage('ایمیل نامعتبر است | Invalid email format')
       .normalizeEmail(),
     
-    body('password')
-      .optional()
+    // An empty value removes the number
+    body('phone')
+      .optional({ values: 'null' })
       .trim()
-      .isLength({ min: 6 }).withMessage('رمز عبور باید حداقل 6 کاراکتر باشد | Password must be at least 6 characters')
-      .matches(/\d/).withMessage('رمز عبور باید شامل حداقل یک عدد باشد | Password must contain at least one number'),
+      .customSanitizer(value => normalizePhone(value) || value)
+      .custom(value => value === '' || /^09\d{9}$/.test(value)).withMessage('شماره موبایل نامعتبر است | Invalid mobile number'),
     
     validate
   ]
@@ -122,14 +303,209 @@ const favoriteValidation = {
       .notEmpty().withMessage('نوع مورد نیاز است | Item type is required')
       .isIn(['university', 'job']).withMessage('نوع نامعتبر است | Invalid type (must be university or job)'),
     
+    validate
+  ],
+  
+  createCollection: [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('نام مجموعه الزامی است | Collection name is required')
+      .isLength({ max: 100 }).withMessage('نام مجموعه نمی‌تواند بیش از 100 کاراکتر باشد | Collection name cannot be more than 100 characters'),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('توضیحات نمی‌تواند بیش از 500 کاراکتر باشد | Description cannot be more than 500 characters'),
+    
+    validate
+  ],
+  
+  updateCollection: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('نام مجموعه باید بین 1 تا 100 کاراکتر باشد | Collection name must be between 1 and 100 characters'),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('توضیحات نمی‌تواند بیش از 500 کاراکتر باشد | Description cannot be more than 500 characters'),
+    
+    validate
+  ],
+  
+  collection: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    query('sort')
+      .optional()
+      .isIn(['position', 'priority', 'addedAt']).withMessage('ترتیب نامعتبر است | Invalid sort (allowed: position, priority, addedAt)'),
+    
+    validate
+  ],
+  
+  addEntry: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    body('itemId')
+      .notEmpty().withMessage('شناسه مورد نیاز است | Item ID is required')
+      .isMongoId().withMessage('شناسه نامعتبر است | Invalid ID format'),
+    
+    body('type')
+      .notEmpty().withMessage('نوع مورد نیاز است | Item type is required')
+      .isIn(['university', 'job']).withMessage('نوع نامعتبر است | Invalid type (must be university or job)'),
+    
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('یادداشت نمی‌تواند بیش از 1000 کاراکتر باشد | Note cannot be more than 1000 characters'),
+    
+    body('priority')
+      .optional()
+      .isIn(ENTRY_PRIORITIES).withMessage(`اولویت نامعتبر است | Invalid priority (allowed: ${ENTRY_PRIORITIES.join(', ')})`),
+    
+    body('position')
+      .optional()
+      .isInt({ min: 0 }).withMessage('جایگاه باید عددی بزرگتر یا مساوی صفر باشد | Position must be a non-negative integer')
+      .toInt(),
+    
+    validate
+  ],
+  
+  updateEntry: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    param('entryId')
+      .isMongoId().withMessage('شناسه مورد نامعتبر است | Invalid entry ID format'),
+    
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('یادداشت نمی‌تواند بیش از 1000 کاراکتر باشد | Note cannot be more than 1000 characters'),
+    
+    body('priority')
+      .optional()
+      .isIn(ENTRY_PRIORITIES).withMessage(`اولویت نامعتبر است | Invalid priority (allowed: ${ENTRY_PRIORITIES.join(', ')})`),
+    
+    body('position')
+      .optional()
+      .isInt({ min: 0 }).withMessage('جایگاه باید عددی بزرگتر یا مساوی صفر باشد | Position must be a non-negative integer')
+      .toInt(),
+    
+    validate
+  ],
+  
+  entry: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    param('entryId')
+      .isMongoId().withMessage('شناسه مورد نامعتبر است | Invalid entry ID format'),
+    
+    validate
+  ],
+  
+  reorder: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    body('entries')
+      .isArray().withMessage('ترتیب جدید باید آرایه‌ای از شناسه‌ها باشد | Entries must be an array of entry IDs'),
+    
+    body('entries.*')
+      .isMongoId().withMessage('شناسه مورد نامعتبر است | Invalid entry ID format'),
+    
+    validate
+  ],
+  
+  transfer: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    param('entryId')
+      .isMongoId().withMessage('شناسه مورد نامعتبر است | Invalid entry ID format'),
+    
+    body('collectionId')
+      .notEmpty().withMessage('مجموعه مقصد الزامی است | Target collection is required')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    body('position')
+      .optional()
+      .isInt({ min: 0 }).withMessage('جایگاه باید عددی بزرگتر یا مساوی صفر باشد | Position must be a non-negative integer')
+      .toInt(),
+    
+    validate
+  ],
+  
+  share: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 }).withMessage('مدت اعتبار باید بین 1 تا 365 روز باشد | Expiry must be between 1 and 365 days')
+      .toInt(),
+    
+    validate
+  ],
+  
+  updateShare: [
+    param('id')
+      .isMongoId().withMessage('شناسه مجموعه نامعتبر است | Invalid collection ID format'),
+    
+    // null removes the expiry
+    body('expiresInDays')
+      .exists().withMessage('مدت اعتبار الزامی است | Expiry is required')
+      .if(value => value !== null)
+      .isInt({ min: 1, max: 365 }).withMessage('مدت اعتبار باید بین 1 تا 365 روز باشد | Expiry must be between 1 and 365 days')
+      .toInt(),
+    
     validate
   ]
 };
 
+// Application stage keys, see config/applicationStages.js
+const STAGE_KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
 /**
  * Validation schemas for applications
  */
 const applicationValidation = {
+  list: [
+    query('status')
+      .optional()
+      .custom(value => String(value).split(',').every(status => STAGE_KEY_PATTERN.test(status.trim())))
+      .withMessage('وضعیت نامعتبر است | Invalid status'),
+    
+    query('type')
+      .optional()
+      .isIn(['university', 'job']).withMessage('نوع نامعتبر است | Invalid type (must be university or job)'),
+    
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('شماره صفحه باید عدد صحیح بزرگتر از صفر باشد | Page must be a positive integer'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('تعداد نتایج باید بین 1 تا 100 باشد | Limit must be between 1 and 100'),
+    
+    validate
+  ],
+  
+  get: [
+    param('id')
+      .notEmpty().withMessage('شناسه مورد نیاز است | Application ID is required')
+      .isMongoId().withMessage('شناسه نامعتبر است | Invalid ID format'),
+    
+    validate
+  ],
+  
   create: [
     body('id')
       .notEmpty().withMessage('شناسه مورد نیاز است | Item ID is required')
@@ -139,6 +515,11 @@ const applicationValidation = {
       .notEmpty().withMessage('نوع مورد نیاز است | Item type is required')
       .isIn(['university', 'job']).withMessage('نوع نامعتبر است | Invalid type (must be university or job)'),
     
+    body('status')
+      .optional()
+      .matches(STAGE_KEY_PATTERN)
+      .withMessage('وضعیت نامعتبر است | Invalid status'),
+    
     body('notes')
       .optional()
       .trim()
@@ -154,7 +535,7 @@ const applicationValidation = {
     
     body('status')
       .optional()
-      .isIn(['applied', 'in-progress', 'accepted', 'rejected'])
+      .matches(STAGE_KEY_PATTERN)
       .withMessage('وضعیت نامعتبر است | Invalid status'),
     
     body('notes')
@@ -162,6 +543,362 @@ const applicationValidation = {
       .trim()
       .isLength({ max: 1000 }).withMessage('یادداشت‌ها نمی‌توانند بیش از 1000 کاراکتر باشند | Notes cannot exceed 1000 characters'),
     
+    validate
+  ],
+  
+  transition: [
+    param('id')
+      .notEmpty().withMessage('شناسه مورد نیاز است | Application ID is required')
+      .isMongoId().withMessage('شناسه نامعتبر است | Invalid ID format'),
+    
+    body('stage')
+      .notEmpty().withMessage('مرحله الزامی است | Stage is required')
+      .matches(STAGE_KEY_PATTERN).withMessage('مرحله نامعتبر است | Invalid stage'),
+    
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('یادداشت نمی‌تواند بیش از 1000 کاراکتر باشد | Note cannot exceed 1000 characters'),
+    
+    body('at')
+      .optional()
+      .isISO8601().withMessage('زمان نامعتبر است | Invalid date, use ISO 8601'),
+    
+    validate
+  ],
+  
+  updateStages: [
+    param('type')
+      .isIn(['university', 'job']).withMessage('نوع نامعتبر است | Invalid type (must be university or job)'),
+    
+    body('stages')
+      .isArray({ min: 2, max: 30 }).withMessage('مراحل باید آرایه‌ای با 2 تا 30 مرحله باشند | Stages must be an array of 2 to 30 stages')
+      .custom(stages => new Set(stages.map(stage => stage && stage.key)).size === stages.length)
+      .withMessage('کلید مراحل باید یکتا باشد | Stage keys must be unique')
+      .custom(stages => !stages[0].final && stages.some(stage => stage.final))
+      .withMessage('مرحله اول نباید پایانی باشد و حداقل یک مرحله پایانی لازم است | The first stage cannot be final and at least one stage must be final'),
+    
+    body('stages.*.key')
+      .matches(STAGE_KEY_PATTERN).withMessage('کلید مرحله فقط می‌تواند شامل حروف کوچک انگلیسی، اعداد و خط تیره باشد | Stage key can only contain lowercase letters, numbers and dashes'),
+    
+    body('stages.*.label')
+      .trim()
+      .notEmpty().withMessage('عنوان مرحله الزامی است | Stage label is required')
+      .isLength({ max: 50 }).withMessage('عنوان مرحله نمی‌تواند بیش از 50 کاراکتر باشد | Stage label cannot exceed 50 characters'),
+    
+    body('stages.*.label_en')
+      .trim()
+      .notEmpty().withMessage('عنوان انگلیسی مرحله الزامی است | Stage English label is required')
+      .isLength({ max: 50 }).withMessage('عنوان انگلیسی مرحله نمی‌تواند بیش از 50 کاراکتر باشد | Stage English label cannot exceed 50 characters'),
+    
+    body('stages.*.expectedDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 }).withMessage('مدت مورد انتظار باید بین 1 تا 365 روز باشد | Expected days must be between 1 and 365')
+      .toInt(),
+    
+    body('stages.*.repeatable')
+      .optional()
+      .isBoolean().withMessage('مقدار repeatable باید بولین باشد | repeatable must be a boolean')
+      .toBoolean(),
+    
+    body('stages.*.final')
+      .optional()
+      .isBoolean().withMessage('مقدار final باید بولین باشد | final must be a boolean')
+      .toBoolean(),
+    
+    validate
+  ],
+  
+  attachDocument: [
+    param('id')
+      .notEmpty().withMessage('شناسه مورد نیاز است | Application ID is required')
+      .isMongoId().withMessage('شناسه نامعتبر است | Invalid ID format'),
+    
+    body('documentId')
+      .notEmpty().withMessage('شناسه سند الزامی است | Document ID is required')
+      .isMongoId().withMessage('شناسه سند نامعتبر است | Invalid document ID format'),
+    
+    validate
+  ],
+  
+  detachDocument: [
+    param('id')
+      .notEmpty().withMessage('شناسه مورد نیاز است | Application ID is required')
+      .isMongoId().withMessage('شناسه نامعتبر است | Invalid ID format'),
+    
+    param('documentId')
+      .isMongoId().withMessage('شناسه سند نامعتبر است | Invalid document ID format'),
+    
+    validate
+  ]
+};
+
+/**
+ * Validation schemas for documents
+ */
+const documentValidation = {
+  list: [
+    query('type')
+      .optional()
+      .isIn(DOCUMENT_TYPES).withMessage(`نوع سند نامعتبر است | Invalid document type (allowed: ${DOCUMENT_TYPES.join(', ')})`),
+    
+    validate
+  ],
+  
+  byId: [
+    param('id')
+      .isMongoId().withMessage('شناسه سند نامعتبر است | Invalid document ID format'),
+    
+    validate
+  ],
+  
+  upload: [
+    body('type')
+      .notEmpty().withMessage('نوع سند الزامی است | Document type is required')
+      .isIn(DOCUMENT_TYPES).withMessage(`نوع سند نامعتبر است | Invalid document type (allowed: ${DOCUMENT_TYPES.join(', ')})`),
+    
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 }).withMessage('نام سند باید بین 1 تا 200 کاراکتر باشد | Document name must be between 1 and 200 characters'),
+    
+    validate
+  ],
+  
+  update: [
+    param('id')
+      .isMongoId().withMessage('شناسه سند نامعتبر است | Invalid document ID format'),
+    
+    body('type')
+      .optional()
+      .isIn(DOCUMENT_TYPES).withMessage(`نوع سند نامعتبر است | Invalid document type (allowed: ${DOCUMENT_TYPES.join(', ')})`),
+    
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 }).withMessage('نام سند باید بین 1 تا 200 کاراکتر باشد | Document name must be between 1 and 200 characters'),
+    
+    validate
+  ]
+};
+
+/**
+ * Validation schemas for deadline reminders
+ */
+const reminderValidation = {
+  updateSettings: [
+    body('channel')
+      .optional()
+      .isIn(REMINDER_CHANNELS).withMessage(`روش ارسال نامعتبر است | Invalid channel (allowed: ${REMINDER_CHANNELS.join(', ')})`),
+    
+    body('leadDays')
+      .optional()
+      .isArray({ min: 1, max: 5 }).withMessage('زمان‌های یادآوری باید آرایه‌ای با 1 تا 5 عدد باشد | Lead days must be an array of 1 to 5 numbers'),
+    
+    body('leadDays.*')
+      .isInt({ min: 0, max: 30 }).withMessage('زمان یادآوری باید بین 0 تا 30 روز باشد | Lead days must be between 0 and 30')
+      .toInt(),
+    
+    validate
+  ],
+  
+  item: [
+    param('itemId')
+      .isMongoId().withMessage('شناسه برنامه یا شغل نامعتبر است | Invalid program or job ID format'),
+    
+    validate
+  ]
+};
+
+/**
+ * Validation schemas for API key management
+ */
+const apiKeyValidation = {
+  create: [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('نام کلید API الزامی است | API key name is required')
+      .isLength({ max: 100 }).withMessage('نام کلید API نمی‌تواند بیش از 100 کاراکتر باشد | API key name cannot exceed 100 characters'),
+    
+    body('scopes')
+      .isArray({ min: 1 }).withMessage('حداقل یک دسترسی الزامی است | At least one scope is required'),
+    
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES).withMessage(`دسترسی نامعتبر است | Invalid scope (allowed: ${API_KEY_SCOPES.join(', ')})`),
+    
+    body('ownerUserId')
+      .optional()
+      .isMongoId().withMessage('شناسه کاربر نامعتبر است | Invalid user ID format'),
+    
+    body('organisation')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 }).withMessage('نام سازمان باید بین 2 تا 100 کاراکتر باشد | Organisation must be between 2 and 100 characters'),
+    
+    body()
+      .custom(value => {
+        if (!value.ownerUserId && !value.organisation) {
+          throw new Error('مالک کلید (کاربر یا سازمان) الزامی است | Key owner (user or organisation) is required');
+        }
+        return true;
+      }),
+    
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: 3650 }).withMessage('مدت اعتبار باید بین 1 تا 3650 روز باشد | Expiry must be between 1 and 3650 days'),
+    
+    body('rateLimitMax')
+      .optional()
+      .isInt({ min: 1 }).withMessage('سهمیه درخواست باید عدد صحیح مثبت باشد | Rate limit must be a positive integer'),
+    
+    body('rateLimitWindowMinutes')
+      .optional()
+      .isInt({ min: 1, max: 1440 }).withMessage('بازه سهمیه باید بین 1 تا 1440 دقیقه باشد | Rate limit window must be between 1 and 1440 minutes'),
+    
+    validate
+  ],
+  
+  list: [
+    query('ownerUserId')
+      .optional()
+      .isMongoId().withMessage('شناسه کاربر نامعتبر است | Invalid user ID format'),
+    
+    query('organisation')
+      .optional()
+      .isString().withMessage('نام سازمان نامعتبر است | Invalid organisation'),
+    
+    query('active')
+      .optional()
+      .isIn(['true', 'false']).withMessage('مقدار active باید true یا false باشد | active must be true or false'),
+    
+    validate
+  ],
+  
+  byId: [
+    param('id')
+      .isMongoId().withMessage('شناسه نامعتبر است | Invalid ID format'),
+    
+    validate
+  ]
+};
+
+/**
+ * Validation schemas for admin user management
+ */
+const adminUserValidation = {
+  list: [
+    query('query')
+      .optional()
+      .trim()
+      .isLength({ min: 2 }).withMessage('عبارت جستجو باید حداقل 2 کاراکتر باشد | Search query must be at least 2 characters'),
+    
+    query('role')
+      .optional()
+      .isIn(ROLES).withMessage('نقش نامعتبر است | Invalid role'),
+    
+    query(['registeredFrom', 'registeredTo', 'lastLoginFrom', 'lastLoginTo'])
+      .optional()
+      .isISO8601().withMessage('تاریخ نامعتبر است | Invalid date (use ISO 8601)'),
+    
+    query('disabled')
+      .optional()
+      .isBoolean().withMessage('مقدار disabled باید true یا false باشد | disabled must be true or false'),
+    
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('شماره صفحه باید عدد صحیح بزرگتر از صفر باشد | Page must be a positive integer'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('تعداد نتایج باید بین 1 تا 100 باشد | Limit must be between 1 and 100'),
+    
+    validate
+  ],
+  
+  byId: [
+    param('id')
+      .isMongoId().withMessage('شناسه کاربر نامعتبر است | Invalid user ID format'),
+    
+    validate
+  ],
+  
+  changeRole: [
+    param('id')
+      .isMongoId().withMessage('شناسه کاربر نامعتبر است | Invalid user ID format'),
+    
+    body('role')
+      .notEmpty().withMessage('نقش الزامی است | Role is required')
+      .isIn(ROLES).withMessage('نقش نامعتبر است | Invalid role'),
+    
+    validate
+  ],
+  
+  disable: [
+    param('id')
+      .isMongoId().withMessage('شناسه کاربر نامعتبر است | Invalid user ID format'),
+    
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('دلیل نمی‌تواند بیش از 500 کاراکتر باشد | Reason cannot exceed 500 characters'),
+    
+    validate
+  ]
+};
+
+/**
+ * Validation schemas for audit log searches
+ */
+const auditValidation = {
+  list: [
+    query(['userId', 'actorId'])
+      .optional()
+      .isMongoId().withMessage('شناسه کاربر نامعتبر است | Invalid user ID format'),
+    
+    query('type')
+      .optional()
+      .trim()
+      .matches(/^[\w.]+\*?$/).withMessage('نوع رویداد نامعتبر است | Invalid event type'),
+    
+    query('targetType')
+      .optional()
+      .isIn(['User', 'ApiKey', 'Setting']).withMessage('نوع هدف نامعتبر است | Invalid target type'),
+    
+    query(['ip', 'requestId', 'targetId'])
+      .optional()
+      .trim()
+      .isLength({ max: 100 }).withMessage('مقدار فیلتر بیش از حد طولانی است | Filter value is too long'),
+    
+    query(['from', 'to'])
+      .optional()
+      .isISO8601().withMessage('تاریخ نامعتبر است | Invalid date (use ISO 8601)'),
+    
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('شماره صفحه باید عدد صحیح بزرگتر از صفر باشد | Page must be a positive integer'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('تعداد نتایج باید بین 1 تا 100 باشد | Limit must be between 1 and 100'),
+    
+    validate
+  ]
+};
+
+/**
+ * Validation schemas for role and permission management
+ */
+const permissionValidation = {
+  updateRole: [
+    param('role')
+      .isIn(ROLES.filter(role => role !== 'admin')).withMessage('نقش نامعتبر است یا قابل تغییر نیست | Invalid or unchangeable role'),
+    
+    body('permissions')
+      .isArray().withMessage('مجوزها باید آرایه باشند | Permissions must be an array'),
+    
+    body('permissions.*')
+      .isIn(PERMISSIONS).withMessage('مجوز نامعتبر است | Invalid permission'),
+    
     validate
   ]
 };
@@ -184,6 +921,43 @@ const universityValidation = {
       .optional()
       .trim(),
     
+    query(['deadlineFrom', 'deadlineTo'])
+      .optional()
+      .custom(value => parseDate(value) !== null)
+      .withMessage('تاریخ نامعتبر است، مانند 1402/05/15 یا 2023-08-06 | Invalid date, e.g. 1402/05/15 or 2023-08-06'),
+    
+    query('openOnly')
+      .optional()
+      .isBoolean().withMessage('مقدار openOnly باید true یا false باشد | openOnly must be true or false'),
+    
+    query('sort')
+      .optional()
+      .isIn(['name', 'deadline']).withMessage('ترتیب نامعتبر است | Invalid sort (must be name or deadline)'),
+    
+    query('page')
+      .optional()
+      .isInt({ min: 1 }).withMessage('شماره صفحه باید عدد صحیح بزرگتر از صفر باشد | Page must be a positive integer'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 }).withMessage('تعداد نتایج باید بین 1 تا 100 باشد | Limit must be between 1 and 100'),
+    
+    validate
+  ],
+  
+  closingSoon: [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 }).withMessage('تعداد روزها باید بین 1 تا 365 باشد | Days must be between 1 and 365'),
+    
+    query('field')
+      .optional()
+      .trim(),
+    
+    query('location')
+      .optional()
+      .trim(),
+    
     query('page')
       .optional()
       .isInt({ min: 1 }).withMessage('شماره صفحه باید عدد صحیح بزرگتر از صفر باشد | Page must be a positive integer'),
@@ -249,6 +1023,12 @@ module.exports = {
   authValidation,
   favoriteValidation,
   applicationValidation,
+  documentValidation,
+  reminderValidation,
+  apiKeyValidation,
+  adminUserValidation,
+  auditValidation,
+  permissionValidation,
   universityValidation,
   jobValidation
 }; 
\ No newline at end of file